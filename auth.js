@@ -1,17 +1,81 @@
 // ---- JWT Authentication Utilities ----
-// Simple JWT-based auth for dev/home use
+// JWT cookie sessions; AUTH_MODE decides how they may be obtained
 
 import jwt from 'jsonwebtoken';
+import { registerJwtSession, isJwtSessionActive, extendJwtSession, revokeJwtSession } from './src/ops/sessions.js';
 
-// Secret key for JWT (in production, use environment variable)
-const JWT_SECRET = process.env.JWT_SECRET || 'roamwise-dev-secret-change-in-production';
-const JWT_EXPIRES_IN = '7d'; // 7 days
+const DEV_JWT_SECRET = 'roamwise-dev-secret-change-in-production';
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * 'dev': passwordless /api/dev login is mounted and JWT_SECRET may be omitted
+ * 'production': /api/dev is not mounted, JWT_SECRET is mandatory, password login only
+ * Defaults to production: dev mode has to be asked for with AUTH_MODE=dev.
+ */
+export const AUTH_MODE = process.env.AUTH_MODE || 'production';
+
+// The dev fallback only ever applies in dev mode (assertAuthConfig guards production)
+const JWT_SECRET = process.env.JWT_SECRET || (AUTH_MODE === 'dev' ? DEV_JWT_SECRET : '');
+const JWT_TTL_S = 7 * 24 * 60 * 60; // 7 days
+const JWT_ROTATE_AFTER_S = Number(process.env.JWT_ROTATE_HOURS || 24) * 60 * 60;
+
+/**
+ * Validate auth settings at startup
+ * @throws {Error} When AUTH_MODE is unknown or production lacks a strong JWT_SECRET
+ */
+export function assertAuthConfig() {
+  if (!['dev', 'production'].includes(AUTH_MODE)) {
+    throw new Error(`AUTH_MODE must be "dev" or "production" (got "${AUTH_MODE}")`);
+  }
+  if (AUTH_MODE !== 'production') return;
+
+  if (!process.env.JWT_SECRET || process.env.JWT_SECRET === DEV_JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set in production auth mode');
+  }
+  if (process.env.JWT_SECRET.length < MIN_SECRET_LENGTH) {
+    throw new Error(`JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+}
 
 /**
  * Sign a JWT token for a user
+ * @param {Object} payload - Claims (userId, tenantId, ...)
+ * @param {string} [jti] - Session ID from jwt_sessions
  */
-export function signToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+export function signToken(payload, jti) {
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_TTL_S, ...(jti && { jwtid: jti }) });
+}
+
+/**
+ * JWT claims for a users row (with tenant_name)
+ */
+export function authPayloadFor(user) {
+  return {
+    userId: user.id,
+    username: user.username,
+    tenantId: user.tenant_id,
+    tenantName: user.tenant_name,
+    displayName: user.display_name,
+    role: user.role
+  };
+}
+
+/**
+ * Start a revocable JWT session: register the jti, sign, set cookie
+ * @returns {string} jti
+ */
+export function issueAuthSession(res, payload, req) {
+  const jti = registerJwtSession(payload.userId, Math.floor(Date.now() / 1000) + JWT_TTL_S, req);
+  setAuthCookie(res, signToken(payload, jti));
+  return jti;
+}
+
+/**
+ * Revoke the JWT session in the request cookie (logout)
+ */
+export function revokeAuthSession(req) {
+  const payload = req.cookies?.roamwise_auth ? verifyToken(req.cookies.roamwise_auth) : null;
+  if (payload?.jti) revokeJwtSession(payload.userId, payload.jti);
 }
 
 /**
@@ -35,7 +99,7 @@ export function setAuthCookie(res, token) {
     httpOnly: true,
     secure: process.env.NODE_ENV === 'production', // HTTPS only in production
     sameSite: 'lax',
-    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days in milliseconds
+    maxAge: JWT_TTL_S * 1000 // 7 days in milliseconds
   });
 }
 
@@ -57,8 +121,7 @@ export function authRequired(req, res, next) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
-  const payload = verifyToken(token);
-
+  const payload = resolveAuthToken(token, res);
   if (!payload) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
@@ -67,3 +130,25 @@ export function authRequired(req, res, next) {
   req.user = payload;
   next();
 }
+
+/**
+ * Verify a JWT cookie value against its session and rotate it if due
+ * @param {string} token - roamwise_auth cookie value
+ * @param {Object} res - Express response (receives the rotated cookie)
+ * @returns {Object|null} Payload if valid and not revoked
+ */
+export function resolveAuthToken(token, res) {
+  const payload = verifyToken(token);
+
+  // Tokens must map to an active (not logged out / revoked) session
+  if (!payload || !isJwtSessionActive(payload.jti)) return null;
+
+  // Rotate: re-sign older tokens with a fresh expiry (same session)
+  const { iat, exp, jti, ...claims } = payload;
+  if (Date.now() / 1000 - iat >= JWT_ROTATE_AFTER_S) {
+    setAuthCookie(res, signToken(claims, jti));
+    extendJwtSession(jti, Math.floor(Date.now() / 1000) + JWT_TTL_S);
+  }
+
+  return payload;
+}
@@ -8,14 +8,27 @@ import { dirname, join } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Initialize SQLite database
-const dbPath = join(__dirname, 'roamwise.db');
+// Initialize SQLite database (DB_PATH=':memory:' for tests)
+const dbPath = process.env.DB_PATH || join(__dirname, 'roamwise.db');
 const db = new Database(dbPath);
 
 // Enable foreign keys and WAL mode for better concurrency
 db.pragma('foreign_keys = ON');
 db.pragma('journal_mode = WAL');
 
+/**
+ * Add a column to an existing table if it is missing (SQLite has no ADD COLUMN IF NOT EXISTS)
+ * @param {string} table
+ * @param {string} column
+ * @param {string} ddl - Column type and constraints
+ */
+export function ensureColumn(table, column, ddl) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (!cols.includes(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+  }
+}
+
 /**
  * Run migrations to create tables and seed data
  */
@@ -31,6 +44,9 @@ export function migrate() {
     )
   `);
 
+  // 'shared' tenants are real groups; 'personal' ones back family phone sign-ins
+  ensureColumn('tenants', 'kind', "TEXT NOT NULL DEFAULT 'shared'");
+
   // Create users table
   db.exec(`
     CREATE TABLE IF NOT EXISTS users (
@@ -44,6 +60,12 @@ export function migrate() {
     )
   `);
 
+  // Per-tenant role; disabled users keep their data but cannot sign in
+  ensureColumn('users', 'role', "TEXT NOT NULL DEFAULT 'member' CHECK(role IN ('admin', 'member'))");
+  ensureColumn('users', 'disabled_at', 'DATETIME');
+  // scrypt hash (src/ops/passwords.js); NULL until the user sets a password
+  ensureColumn('users', 'password_hash', 'TEXT');
+
   // Create profiles table with travel preferences
   db.exec(`
     CREATE TABLE IF NOT EXISTS profiles (
@@ -65,6 +87,13 @@ export function migrate() {
   // Seed default tenant and users
   seedDefaultData();
 
+  // Databases seeded before roles existed: gal administers home
+  db.prepare(`
+    UPDATE users SET role = 'admin'
+    WHERE username = 'gal' AND tenant_id = (SELECT id FROM tenants WHERE name = 'home')
+      AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin' AND tenant_id = (SELECT id FROM tenants WHERE name = 'home'))
+  `).run();
+
   console.log('[DB] Migrations complete');
 }
 
@@ -72,8 +101,8 @@ export function migrate() {
  * Seed default data for home use
  */
 function seedDefaultData() {
-  // Check if home tenant already exists
-  const existingTenant = db.prepare('SELECT id FROM tenants WHERE name = ?').get('home');
+  // Check if any shared tenant already exists (home may have been renamed)
+  const existingTenant = db.prepare("SELECT id FROM tenants WHERE kind = 'shared' LIMIT 1").get();
   if (existingTenant) {
     console.log('[DB] Default data already exists, skipping seed');
     return;
@@ -87,50 +116,82 @@ function seedDefaultData() {
   const homeTenantId = tenantResult.lastInsertRowid;
 
   // Create default users
-  const insertUser = db.prepare('INSERT INTO users (tenant_id, username, display_name) VALUES (?, ?, ?)');
+  const insertUser = db.prepare('INSERT INTO users (tenant_id, username, display_name, role) VALUES (?, ?, ?, ?)');
   const users = [
-    { username: 'gal', displayName: 'Gal' },
-    { username: 'guest', displayName: 'Guest' },
-    { username: 'family1', displayName: 'Family Member 1' },
-    { username: 'family2', displayName: 'Family Member 2' }
+    { username: 'gal', displayName: 'Gal', role: 'admin' },
+    { username: 'guest', displayName: 'Guest', role: 'member' },
+    { username: 'family1', displayName: 'Family Member 1', role: 'member' },
+    { username: 'family2', displayName: 'Family Member 2', role: 'member' }
   ];
 
-  const insertProfile = db.prepare(`
-    INSERT INTO profiles (user_id, pace, likes, avoid, dietary, budget_min, budget_max)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `);
-
   users.forEach((user) => {
-    const userResult = insertUser.run(homeTenantId, user.username, user.displayName);
-    const userId = userResult.lastInsertRowid;
+    const userResult = insertUser.run(homeTenantId, user.username, user.displayName, user.role);
 
     // Create default profile for each user
-    insertProfile.run(
-      userId,
-      'relaxed',
-      JSON.stringify(['food', 'culture']),
-      JSON.stringify([]),
-      JSON.stringify([]),
-      50,
-      500
-    );
+    insertDefaultProfile(userResult.lastInsertRowid);
   });
 
   console.log('[DB] Seeded home tenant with', users.length, 'users');
 }
 
 /**
- * Get all tenants
+ * Insert the default travel profile for a new user
+ */
+function insertDefaultProfile(userId) {
+  db.prepare(`
+    INSERT INTO profiles (user_id, pace, likes, avoid, dietary, budget_min, budget_max)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    userId,
+    'relaxed',
+    JSON.stringify(['food', 'culture']),
+    JSON.stringify([]),
+    JSON.stringify([]),
+    50,
+    500
+  );
+}
+
+/**
+ * Create a user with a default profile
+ * @param {number} tenantId
+ * @param {string} username
+ * @param {string} displayName
+ * @param {'admin'|'member'} [role='member']
+ * @returns {number} New user ID
+ */
+export const createUserWithProfile = db.transaction((tenantId, username, displayName, role = 'member') => {
+  const r = db.prepare('INSERT INTO users (tenant_id, username, display_name, role) VALUES (?, ?, ?, ?)')
+    .run(tenantId, username, displayName, role);
+  insertDefaultProfile(r.lastInsertRowid);
+  return Number(r.lastInsertRowid);
+});
+
+/**
+ * Get a user with tenant info by ID
+ */
+export function getUserById(userId) {
+  return db.prepare(`
+    SELECT u.id, u.username, u.display_name, u.role, u.disabled_at, u.tenant_id,
+           t.name as tenant_name, t.kind as tenant_kind
+    FROM users u
+    JOIN tenants t ON u.tenant_id = t.id
+    WHERE u.id = ?
+  `).get(userId);
+}
+
+/**
+ * Get all shared tenants (personal tenants are hidden)
  */
 export function getAllTenants() {
-  return db.prepare('SELECT id, name FROM tenants').all();
+  return db.prepare("SELECT id, name FROM tenants WHERE kind = 'shared'").all();
 }
 
 /**
  * Get all users for a tenant
  */
 export function getUsersByTenant(tenantId) {
-  return db.prepare('SELECT id, username, display_name FROM users WHERE tenant_id = ?').all(tenantId);
+  return db.prepare('SELECT id, username, display_name FROM users WHERE tenant_id = ? AND disabled_at IS NULL').all(tenantId);
 }
 
 /**
@@ -138,13 +199,41 @@ export function getUsersByTenant(tenantId) {
  */
 export function getUserByCredentials(tenantName, username) {
   return db.prepare(`
-    SELECT u.id, u.username, u.display_name, u.tenant_id, t.name as tenant_name
+    SELECT u.id, u.username, u.display_name, u.role, u.disabled_at, u.tenant_id, t.name as tenant_name
     FROM users u
     JOIN tenants t ON u.tenant_id = t.id
     WHERE t.name = ? AND u.username = ?
   `).get(tenantName, username);
 }
 
+/**
+ * Get a user's stored password hash (null when no password is set)
+ */
+export function getPasswordHash(userId) {
+  return db.prepare('SELECT password_hash FROM users WHERE id = ?').get(userId)?.password_hash ?? null;
+}
+
+/**
+ * Store a user's password hash
+ */
+export function setPasswordHash(userId, hash) {
+  db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hash, userId);
+}
+
+/**
+ * Give every active admin a password, only while no user has one (first start)
+ * @param {string} hash
+ * @returns {number} Users updated
+ */
+export function bootstrapAdminPasswords(hash) {
+  if (db.prepare('SELECT 1 FROM users WHERE password_hash IS NOT NULL LIMIT 1').get()) return 0;
+  return db.prepare(`
+    UPDATE users SET password_hash = ?
+    WHERE role = 'admin' AND disabled_at IS NULL
+      AND tenant_id IN (SELECT id FROM tenants WHERE kind = 'shared')
+  `).run(hash).changes;
+}
+
 /**
  * Get user profile by user ID
  */
@@ -0,0 +1,175 @@
+// ---- Circuit Breakers ----
+// One breaker per external provider (osrm, ors, google, hazards feeds, ...)
+// Rolling failure rate opens it; after a cool-down it goes half-open and lets
+// a few trial requests through; enough successes close it, a failure reopens
+// it with a longer cool-down. In-memory, per process.
+//
+// Settings (defaults below), overridable per breaker with BREAKER_<NAME>_<SETTING>,
+// e.g. BREAKER_ORS_COOLDOWN_MS=120000:
+//   BREAKER_WINDOW_MS, BREAKER_MIN_REQUESTS, BREAKER_FAILURE_RATE,
+//   BREAKER_COOLDOWN_MS, BREAKER_MAX_COOLDOWN_MS, BREAKER_HALF_OPEN_MAX, BREAKER_HALF_OPEN_SUCCESSES
+
+const DEFAULTS = {
+  WINDOW_MS: 60_000,
+  MIN_REQUESTS: 5,
+  FAILURE_RATE: 0.5,
+  COOLDOWN_MS: 30_000,
+  MAX_COOLDOWN_MS: 5 * 60_000,
+  HALF_OPEN_MAX: 1, // concurrent trial requests
+  HALF_OPEN_SUCCESSES: 2 // trials that must pass to close
+};
+
+const MAX_TRANSITIONS = 20;
+
+const breakers = new Map();
+
+function setting(name, key) {
+  const envName = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const raw = process.env[`BREAKER_${envName}_${key}`] ?? process.env[`BREAKER_${key}`];
+  const n = Number(raw);
+  return raw !== undefined && raw !== '' && Number.isFinite(n) ? n : DEFAULTS[key];
+}
+
+function configFor(name) {
+  return Object.fromEntries(Object.keys(DEFAULTS).map(k => [k, setting(name, k)]));
+}
+
+function get(name) {
+  let b = breakers.get(name);
+  if (!b) {
+    b = {
+      name,
+      cfg: configFor(name),
+      state: 'closed',
+      samples: [], // [ts, ok]
+      openUntil: 0,
+      reopenCount: 0, // consecutive failed half-open rounds (cool-down backoff)
+      trialsInFlight: 0,
+      trialSuccesses: 0,
+      opens: 0,
+      transitions: []
+    };
+    breakers.set(name, b);
+  }
+  return b;
+}
+
+function trim(b, now) {
+  const cutoff = now - b.cfg.WINDOW_MS;
+  while (b.samples.length && b.samples[0][0] < cutoff) b.samples.shift();
+}
+
+function failureRate(b) {
+  if (!b.samples.length) return 0;
+  return b.samples.filter(([, ok]) => !ok).length / b.samples.length;
+}
+
+function transition(b, to, reason) {
+  const from = b.state;
+  b.state = to;
+  b.transitions.push({ ts: Date.now(), from, to, reason });
+  if (b.transitions.length > MAX_TRANSITIONS) b.transitions.shift();
+  console.warn(`[BREAKER] ${b.name}: ${from} -> ${to} (${reason})`);
+}
+
+function open(b, reason) {
+  const cooldown = Math.min(b.cfg.COOLDOWN_MS * 2 ** b.reopenCount, b.cfg.MAX_COOLDOWN_MS);
+  b.openUntil = Date.now() + cooldown;
+  b.trialsInFlight = 0;
+  b.trialSuccesses = 0;
+  b.opens++;
+  transition(b, 'open', `${reason}; retry in ${Math.round(cooldown / 1000)}s`);
+}
+
+/**
+ * May a request go to this provider now?
+ * Half-open admits up to HALF_OPEN_MAX concurrent trials; each admitted call
+ * must be followed by record().
+ * @param {string} name - Breaker key (provider name)
+ * @returns {boolean}
+ */
+export function canRequest(name) {
+  const b = get(name);
+  const now = Date.now();
+
+  if (b.state === 'open') {
+    if (now < b.openUntil) return false;
+    transition(b, 'half_open', 'cool-down elapsed');
+  }
+
+  if (b.state === 'half_open') {
+    if (b.trialsInFlight >= b.cfg.HALF_OPEN_MAX) return false;
+    b.trialsInFlight++;
+  }
+  return true;
+}
+
+/**
+ * Record the outcome of a call admitted by canRequest()
+ * Only provider health counts as failure (timeouts, network, 5xx, 429),
+ * not "no route" or bad input.
+ * @param {string} name
+ * @param {boolean} ok
+ */
+export function record(name, ok) {
+  const b = get(name);
+  const now = Date.now();
+
+  if (b.state === 'half_open') {
+    b.trialsInFlight = Math.max(0, b.trialsInFlight - 1);
+    if (!ok) {
+      b.reopenCount++;
+      open(b, 'trial request failed');
+      return;
+    }
+    b.trialSuccesses++;
+    if (b.trialSuccesses >= b.cfg.HALF_OPEN_SUCCESSES) {
+      b.samples = [];
+      b.reopenCount = 0;
+      transition(b, 'closed', `${b.trialSuccesses} trial requests succeeded`);
+    }
+    return;
+  }
+
+  // Late result of a call that started before the breaker opened
+  if (b.state === 'open') return;
+
+  b.samples.push([now, ok]);
+  trim(b, now);
+  if (!ok && b.samples.length >= b.cfg.MIN_REQUESTS) {
+    const rate = failureRate(b);
+    if (rate >= b.cfg.FAILURE_RATE) {
+      open(b, `failure rate ${Math.round(rate * 100)}% over ${b.samples.length} requests`);
+    }
+  }
+}
+
+/**
+ * Is this provider outcome a health failure?
+ * @param {{ok: boolean, error?: string, status?: number}} r - Adapter-style result
+ */
+export function isProviderFailure(r) {
+  if (r.ok) return false;
+  if (r.error === 'timeout' || r.error === 'network') return true;
+  return !!r.status && (r.status >= 500 || r.status === 429);
+}
+
+/**
+ * Current state of every breaker (for /admin/healthz)
+ */
+export function snapshotBreakers() {
+  const now = Date.now();
+  const out = {};
+  for (const [name, b] of breakers) {
+    trim(b, now);
+    out[name] = {
+      state: b.state,
+      failure_rate: Number(failureRate(b).toFixed(3)),
+      requests: b.samples.length,
+      open_until: b.state === 'open' ? b.openUntil : null,
+      opens: b.opens,
+      transitions: [...b.transitions]
+    };
+  }
+  return out;
+}
@@ -18,7 +18,7 @@ function now() {
 
 /**
  * Record a service call observation
- * @param {string} kind - Service name (route, places, hazards, profile_get, profile_put)
+ * @param {string} kind - Service name (route, places, hazards, forecast, profile_get, profile_put)
  * @param {number} ms - Duration in milliseconds
  * @param {boolean} ok - Whether the call succeeded (default: true)
  */
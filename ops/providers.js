@@ -1,5 +1,7 @@
 // ---- Provider Health Checks ----
-// Simple reachability checks for external dependencies (OSRM, Overpass)
+// Simple reachability checks for external dependencies (routing providers, Overpass)
+
+import { healthAll } from '../src/providers/routing/index.js';
 
 /**
  * Ping a URL with timeout
@@ -34,53 +36,18 @@ export async function ping(url, timeoutMs = 4000) {
   }
 }
 
-/**
- * Ping OpenRouteService (ORS) status endpoint
- * @returns {Promise<{up: boolean, ms: number|null, status: number|null}>}
- */
-async function pingOrs() {
-  if (!process.env.ORS_API_KEY) {
-    return { up: false, ms: null, status: null };
-  }
-
-  const t0 = Date.now();
-  try {
-    const r = await fetch(
-      `${process.env.ORS_URL || 'https://api.openrouteservice.org'}/status`
-    );
-    return {
-      up: r.ok,
-      ms: Date.now() - t0,
-      status: r.status,
-    };
-  } catch (e) {
-    return {
-      up: false,
-      ms: Date.now() - t0,
-      status: null,
-    };
-  }
-}
-
 /**
  * Check health of all external providers
- * @returns {Promise<{osrm: Object, overpass: Object, ors: Object}>}
+ * Routing providers report through their adapters (src/providers/routing)
+ * @returns {Promise<{osrm: Object, ors: Object, google: Object, overpass: Object}>}
  */
 export async function healthProviders() {
-  // OSRM routing service check with a simple route query
-  const osrm = process.env.OSRM_URL
-    ? await ping(
-        `${process.env.OSRM_URL}/route/v1/driving/34.78,32.08;34.80,32.08?overview=false`
-      )
-    : { up: false, ms: null, status: null };
+  const routing = await healthAll();
 
   // Overpass API check
   const overpass = process.env.OVERPASS_URL
     ? await ping(process.env.OVERPASS_URL)
     : { up: false, ms: null, status: null };
 
-  // OpenRouteService check
-  const ors = await pingOrs();
-
-  return { osrm, overpass, ors };
+  return { ...routing, overpass };
 }
@@ -5,13 +5,14 @@ import express from 'express';
 import { snapshot } from '../ops/metrics.js';
 import { healthProviders } from '../ops/providers.js';
 import { snapshotCounters } from '../ops/counters.js';
+import { snapshotBreakers } from '../ops/breaker.js';
 import pkg from '../package.json' with { type: 'json' };
 
 const router = express.Router();
 
 /**
  * GET /admin/healthz - JSON health check endpoint
- * Returns: ok, version, metrics, providers, config
+ * Returns: ok, version, metrics, providers, breakers, config
  * Status: 200 if healthy, 503 if OSRM down
  */
 router.get('/admin/healthz', async (_req, res) => {
@@ -27,6 +28,7 @@ router.get('/admin/healthz', async (_req, res) => {
     version: pkg.version || 'dev',
     metrics,
     providers,
+    breakers: snapshotBreakers(),
     counters: snapshotCounters(),
     config: {
       window_ms: Number(process.env.METRICS_WINDOW_MS || 10 * 60 * 1000),
@@ -34,6 +36,10 @@ router.get('/admin/healthz', async (_req, res) => {
       overpass_url: !!process.env.OVERPASS_URL,
       ors_url: !!process.env.ORS_URL,
       ors_api_key: !!process.env.ORS_API_KEY,
+      google_api_key: !!process.env.GOOGLE_MAPS_API_KEY,
+      route_providers: process.env.ROUTE_PROVIDERS || null,
+      matrix_providers: process.env.MATRIX_PROVIDERS || null,
+      places_providers: process.env.PLACES_PROVIDERS || null,
     },
   };
 
@@ -93,6 +99,10 @@ h1 {
   background: #f8d7da;
   color: #721c24;
 }
+.status.warn {
+  background: #fff3cd;
+  color: #856404;
+}
 .grid {
   display: grid;
   grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
@@ -195,6 +205,25 @@ async function loadHealth() {
     }
     html += '</div>';
 
+    // Circuit breakers card (one per provider, created on first use)
+    const BREAKER_CLASS = { closed: 'ok', half_open: 'warn', open: 'error' };
+    html += '<div class="card"><h2>Circuit Breakers</h2>';
+    const breakerEntries = Object.entries(data.breakers || {});
+    if (!breakerEntries.length) {
+      html += '<div class="metric"><span class="label">No provider calls yet</span></div>';
+    }
+    for (const [name, b] of breakerEntries) {
+      html += \`<div class="metric">
+        <span class="label">\${name}</span>
+        <span class="value"><span class="status \${BREAKER_CLASS[b.state]}">\${b.state.replace('_', '-')}</span></span>
+      </div>\`;
+      html += \`<div class="metric">
+        <span class="label">└ Failures</span>
+        <span class="value">\${(b.failure_rate * 100).toFixed(0)}% of \${b.requests}\${b.open_until ? ' · retry ' + new Date(b.open_until).toLocaleTimeString() : ''}</span>
+      </div>\`;
+    }
+    html += '</div>';
+
     // Config card
     html += '<div class="card"><h2>Configuration</h2>';
     html += \`<div class="metric">
@@ -242,6 +271,25 @@ async function loadHealth() {
 
     html += '</tbody></table>';
 
+    // Breaker transitions, newest first
+    const transitions = Object.entries(data.breakers || {})
+      .flatMap(([name, b]) => b.transitions.map(t => ({ name, ...t })))
+      .sort((a, b) => b.ts - a.ts)
+      .slice(0, 20);
+    if (transitions.length) {
+      html += '<h2 style="margin: 2rem 0 1rem;">Breaker Transitions</h2>';
+      html += '<table><thead><tr><th>Time</th><th>Provider</th><th>Change</th><th>Reason</th></tr></thead><tbody>';
+      for (const t of transitions) {
+        html += \`<tr>
+          <td>\${new Date(t.ts).toLocaleTimeString()}</td>
+          <td><strong>\${t.name}</strong></td>
+          <td>\${t.from} → \${t.to}</td>
+          <td>\${t.reason}</td>
+        </tr>\`;
+      }
+      html += '</tbody></table>';
+    }
+
     document.getElementById('content').innerHTML = html;
 
   } catch (err) {
@@ -1,10 +1,11 @@
 // ---- Auth Routes ----
 // Dev login/logout endpoints (no password, choose tenant+user)
+// Only mounted when AUTH_MODE=dev; production uses /api/auth (password)
 
 import express from 'express';
 import { z } from 'zod';
 import { getUserByCredentials, getAllTenants, getUsersByTenant } from '../db.js';
-import { signToken, setAuthCookie, clearAuthCookie } from '../auth.js';
+import { authPayloadFor, issueAuthSession, revokeAuthSession, clearAuthCookie } from '../auth.js';
 
 const router = express.Router();
 
@@ -41,18 +42,12 @@ router.post('/login', (req, res) => {
       });
     }
 
-    // Create JWT payload
-    const payload = {
-      userId: user.id,
-      username: user.username,
-      tenantId: user.tenant_id,
-      tenantName: user.tenant_name,
-      displayName: user.display_name
-    };
+    if (user.disabled_at) {
+      return res.status(403).json({ error: 'User disabled' });
+    }
 
-    // Sign token and set cookie
-    const token = signToken(payload);
-    setAuthCookie(res, token);
+    // Register session, sign token and set cookie
+    issueAuthSession(res, authPayloadFor(user), req);
 
     console.log('[Auth] User logged in:', user.username, 'tenant:', user.tenant_name);
 
@@ -73,9 +68,10 @@ router.post('/login', (req, res) => {
 
 /**
  * POST /api/dev/logout
- * Clear auth cookie
+ * Revoke the current session and clear auth cookie
  */
 router.post('/logout', (req, res) => {
+  revokeAuthSession(req);
   clearAuthCookie(res);
   console.log('[Auth] User logged out');
   res.json({ success: true });
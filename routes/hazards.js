@@ -1,132 +1,85 @@
 // ---- Hazards API ----
-// Weather alerts + traffic incidents with caching and circuit breaker
+// Weather alerts + traffic incidents with caching and per-feed circuit breakers
 
+import crypto from 'node:crypto';
 import express from 'express';
+import { z } from 'zod';
 import { LRUCache } from 'lru-cache';
 import { time } from '../util/timing.js';
 import { observe } from '../ops/metrics.js';
+import { loadHazardFeeds, hasSevere, featuresAlong } from '../src/ops/hazards-feed.js';
+import { corridor, hitCorridor, lineOf } from '../src/ops/geo.js';
+import { queryHazards, getHazard, SEVERITY_RANK } from '../src/ops/hazard-history.js';
+import { MODES } from '../src/providers/routing/index.js';
+import { computeRoute } from './route.js';
 
 const router = express.Router();
 
 // Configuration
-const WEATHER_URL = process.env.HAZ_WEATHER_URL || '';
-const TRAFFIC_URL = process.env.HAZ_TRAFFIC_URL || '';
 const TTL_MS = Number(process.env.HAZ_CACHE_TTL_MS || 10 * 60 * 1000); // 10 min
-const TIMEOUT_MS = Number(process.env.HAZ_TIMEOUT_MS || 12000);
+const ALONG_MAX_POINTS = Number(process.env.HAZ_ALONG_MAX_POINTS || 2500); // ~100kb JSON body limit
 
-// Cache and circuit breaker
+// Cache
 const cache = new LRUCache({ max: 500, ttl: TTL_MS });
-let breakerUntil = 0;
 
-/**
- * Calculate distance between two points (Haversine formula)
- */
-function distanceMeters(lat1, lon1, lat2, lon2) {
-  const R = 6371000; // Earth radius in meters
-  const toRad = (deg) => (deg * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-  return 2 * R * Math.asin(Math.sqrt(a));
-}
+const coordSchema = z.tuple([z.number().gte(-180).lte(180), z.number().gte(-90).lte(90)]).rest(z.number());
+const lineSchema = z.object({
+  type: z.literal('LineString'),
+  coordinates: z.array(coordSchema).min(2).max(ALONG_MAX_POINTS)
+});
 
-/**
- * Get center point of a geometry
- */
-function getCenterPoint(geometry) {
-  if (!geometry) return null;
-  if (geometry.type === 'Point') {
-    return [geometry.coordinates[1], geometry.coordinates[0]]; // [lat, lon]
-  }
-  if (geometry.type === 'LineString' && geometry.coordinates.length > 0) {
-    const mid = geometry.coordinates[Math.floor(geometry.coordinates.length / 2)];
-    return [mid[1], mid[0]];
-  }
-  if (geometry.type === 'Polygon' && geometry.coordinates[0]?.length > 0) {
-    const ring = geometry.coordinates[0];
-    const mid = ring[Math.floor(ring.length / 2)];
-    return [mid[1], mid[0]];
-  }
-  return null;
-}
+// geometry: a LineString, a Feature with one, or a FeatureCollection such as
+// the /api/route response geometry (first LineString is used).
+// Otherwise stops (+ mode, providers, constraints) are routed first.
+const alongRouteSchema = z.object({
+  geometry: z.object({ type: z.string() }).passthrough().optional(),
+  stops: z.array(z.object({
+    lat: z.number().gte(-90).lte(90),
+    lon: z.number().gte(-180).lte(180)
+  })).min(2).max(5).optional(),
+  mode: z.enum(Object.keys(MODES)).default('drive'),
+  providers: z.array(z.string().regex(/^[a-z][a-z0-9_-]*(:relaxed)?$/)).min(1).max(5).optional(),
+  constraints: z.record(z.any()).optional(),
+  buffer_m: z.number().min(10).max(50000).default(1000)
+}).refine(b => b.geometry || b.stops, { message: 'geometry or stops is required' });
 
-/**
- * Check if feature is within radius
- */
-function isWithinRadius(lat, lon, feature, radiusMeters) {
-  const center = getCenterPoint(feature.geometry);
-  if (!center) return false;
-  return distanceMeters(lat, lon, center[0], center[1]) <= radiusMeters;
-}
+// bbox=minLon,minLat,maxLon,maxLat; at, or from + to (ISO 8601, default now)
+const isoTime = z.string().datetime({ offset: true }).transform(s => Math.floor(Date.parse(s) / 1000));
+const historySchema = z.object({
+  bbox: z.string()
+    .transform(s => s.split(',').map(Number))
+    .refine(b => b.length === 4 && b.every(Number.isFinite)
+      && b[0] >= -180 && b[2] <= 180 && b[1] >= -90 && b[3] <= 90 && b[0] <= b[2] && b[1] <= b[3],
+    { message: 'bbox must be minLon,minLat,maxLon,maxLat' }),
+  at: isoTime.optional(),
+  from: isoTime.optional(),
+  to: isoTime.optional(),
+  kind: z.enum(['weather', 'traffic']).optional(),
+  min_severity: z.enum(Object.keys(SEVERITY_RANK)).default('minor'),
+  limit: z.coerce.number().int().min(1).max(500).default(100)
+}).refine(q => !(q.at && (q.from || q.to)), { message: 'use at, or from and to' })
+  .refine(q => !(q.from && q.to) || q.from <= q.to, { message: 'from must not be after to' });
 
-/**
- * Fetch JSON with timeout
- */
-async function fetchJson(url, timeoutMs) {
-  if (!url) return null;
-  const ac = new AbortController();
-  const tid = setTimeout(() => ac.abort(), timeoutMs);
-  try {
-    const r = await fetch(url, { signal: ac.signal });
-    clearTimeout(tid);
-    if (!r.ok) return null;
-    return await r.json();
-  } catch {
-    clearTimeout(tid);
-    return null;
-  }
+function featureCollection(features) {
+  return { type: 'FeatureCollection', features };
 }
 
 /**
- * Normalize weather feed to standard format
+ * Load feeds for a request, or answer 503 when every configured feed's breaker is open
+ * @returns {Promise<Object|null>} loadHazardFeeds() result plus ms, null when answered
  */
-function normalizeWeather(fc) {
-  const out = { type: 'FeatureCollection', features: [] };
-  if (!fc?.features) return out;
-
-  for (const f of fc.features) {
-    const sevStr = String(
-      f.properties?.severity || f.properties?.SEVERITY || ''
-    ).toLowerCase();
-
-    let severity = 'minor';
-    if (sevStr.includes('severe')) severity = 'severe';
-    else if (sevStr.includes('moderate')) severity = 'moderate';
-
-    out.features.push({
-      type: 'Feature',
-      geometry: f.geometry,
-      properties: {
-        kind: 'weather',
-        severity,
-        title: f.properties?.headline || f.properties?.event || 'Weather Alert',
-      },
-    });
-  }
-  return out;
-}
-
-/**
- * Normalize traffic feed to standard format
- */
-function normalizeTraffic(fc) {
-  const out = { type: 'FeatureCollection', features: [] };
-  if (!fc?.features) return out;
-
-  for (const f of fc.features) {
-    out.features.push({
-      type: 'Feature',
-      geometry: f.geometry,
-      properties: {
-        kind: 'traffic',
-        severity: f.properties?.severity || 'moderate',
-        title: f.properties?.title || 'Traffic Incident',
-      },
+async function feedsOr503(req, res) {
+  const { val: feeds, ms } = await time('hazards_fetch', () => loadHazardFeeds(req.log));
+  if (feeds.allBreakersOpen) {
+    req.log.warn({ feeds: feeds.feeds }, 'Circuit breaker open');
+    res.status(503).json({
+      ok: false,
+      code: 'provider_unavailable',
+      message: 'Hazards provider temporarily unavailable',
     });
+    return null;
   }
-  return out;
+  return { ...feeds, ms };
 }
 
 /**
@@ -155,62 +108,30 @@ router.get('/api/hazards', async (req, res) => {
       return res.json(hit);
     }
 
-    // Circuit breaker check
-    const now = Date.now();
-    if (now < breakerUntil) {
-      req.log.warn('Circuit breaker open');
-      return res.status(503).json({
-        ok: false,
-        code: 'provider_unavailable',
-        message: 'Hazards provider temporarily unavailable',
-      });
-    }
-
     // Fetch from providers (or return empty if URLs not configured)
-    const { val: [weatherRaw, trafficRaw], ms } = await time('hazards_fetch', async () => {
-      return Promise.all([
-        fetchJson(WEATHER_URL, TIMEOUT_MS),
-        fetchJson(TRAFFIC_URL, TIMEOUT_MS),
-      ]);
-    });
+    const feeds = await feedsOr503(req, res);
+    if (!feeds) return;
+    const { weather, traffic, unavailable, ms } = feeds;
 
-    const weather = normalizeWeather(weatherRaw);
-    const traffic = normalizeTraffic(trafficRaw);
-
-    // Filter by radius
-    const weatherIn = weather.features.filter((f) =>
-      isWithinRadius(lat, lon, f, radius)
-    );
-    const trafficIn = traffic.features.filter((f) =>
-      isWithinRadius(lat, lon, f, radius)
-    );
-
-    // Check for severe hazards
-    const severe =
-      weatherIn.some((f) => f.properties?.severity === 'severe') ||
-      trafficIn.some((f) =>
-        String(f.properties?.severity).toLowerCase().includes('severe')
-      );
+    // Filter by radius (a one-point corridor: polygons containing the point count)
+    const area = corridor([[lon, lat]], radius);
+    const weatherIn = weather.features.filter(f => hitCorridor(area, f.geometry));
+    const trafficIn = traffic.features.filter(f => hitCorridor(area, f.geometry));
 
     const payload = {
       ok: true,
-      severe,
+      severe: hasSevere(weatherIn) || hasSevere(trafficIn),
       counts: {
         weather: weatherIn.length,
         traffic: trafficIn.length,
       },
-      weather: {
-        type: 'FeatureCollection',
-        features: weatherIn,
-      },
-      traffic: {
-        type: 'FeatureCollection',
-        features: trafficIn,
-      },
+      weather: featureCollection(weatherIn),
+      traffic: featureCollection(trafficIn),
+      ...(unavailable.length && { unavailable }),
     };
 
-    // Cache successful response
-    cache.set(key, payload);
+    // Cache only complete responses
+    if (!unavailable.length) cache.set(key, payload);
 
     // Log successful hazards event
     req.log.info({
@@ -218,16 +139,17 @@ router.get('/api/hazards', async (req, res) => {
       ms,
       weather_count: payload.counts.weather,
       traffic_count: payload.counts.traffic,
-      severe: payload.severe
+      severe: payload.severe,
+      unavailable
     }, 'Hazards fetched successfully');
 
     // Record metrics
-    observe('hazards', ms, true);
+    observe('hazards', ms, unavailable.length === 0);
 
     return res.json(payload);
   } catch (error) {
+    // Bugs here are not provider outages: no breaker involved
     req.log.error({ err: error }, 'Unexpected error');
-    breakerUntil = Date.now() + 30_000;
     observe('hazards', 0, false);
     return res.status(502).json({
       ok: false,
@@ -237,4 +159,158 @@ router.get('/api/hazards', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/hazards/along-route
+ * Hazards touching a corridor of buffer_m either side of a route.
+ * Body: { geometry } (LineString / Feature / FeatureCollection) or
+ *       { stops, mode?, providers?, constraints? } to route first; buffer_m (default 1000)
+ * Each feature gets properties.along_m (distance along the route where it is
+ * first hit) and offset_m (distance from the route there, 0 = on/inside it).
+ */
+router.post('/api/hazards/along-route', async (req, res) => {
+  try {
+    const result = alongRouteSchema.safeParse(req.body);
+    if (!result.success) {
+      return res.status(400).json({
+        ok: false,
+        code: 'invalid_request',
+        details: result.error.flatten(),
+      });
+    }
+
+    const { geometry, stops, mode, providers, constraints, buffer_m } = result.data;
+
+    let route = null;
+    let line;
+    if (geometry) {
+      const parsed = lineSchema.safeParse(lineOf(geometry));
+      if (!parsed.success) {
+        return res.status(400).json({
+          ok: false,
+          code: 'invalid_geometry',
+          message: 'geometry must contain a LineString of [lon, lat] positions',
+        });
+      }
+      line = parsed.data;
+    } else {
+      const out = await computeRoute(stops, {
+        mode,
+        avoid: constraints?.avoid || [],
+        providers,
+        log: req.log
+      });
+      if (!out.ok) {
+        return res.status(out.status).json(out.body);
+      }
+      route = out.payload;
+      line = lineOf(route.geometry);
+    }
+
+    const coords = line.coordinates.map(c => [c[0], c[1]]);
+    const key = 'haz:along:' + crypto.createHash('sha1')
+      .update(coords.map(c => `${c[0].toFixed(5)},${c[1].toFixed(5)}`).join(';'))
+      .digest('hex') + `:${buffer_m}`;
+
+    let hazards = cache.get(key);
+    let ms = 0;
+    let unavailable = [];
+    if (hazards) {
+      req.log.debug({ key }, 'Cache hit');
+    } else {
+      const feeds = await feedsOr503(req, res);
+      if (!feeds) return;
+      ({ unavailable, ms } = feeds);
+
+      const c = corridor(coords, buffer_m);
+      const weatherIn = featuresAlong(c, feeds.weather);
+      const trafficIn = featuresAlong(c, feeds.traffic);
+      hazards = {
+        severe: hasSevere(weatherIn) || hasSevere(trafficIn),
+        buffer_m,
+        route_distance_m: Math.round(c.length_m),
+        counts: {
+          weather: weatherIn.length,
+          traffic: trafficIn.length,
+        },
+        weather: featureCollection(weatherIn),
+        traffic: featureCollection(trafficIn),
+      };
+
+      // Cache only complete responses
+      if (!unavailable.length) cache.set(key, hazards);
+
+      req.log.info({
+        event: 'hazards_along_ok',
+        ms,
+        points: coords.length,
+        buffer_m,
+        weather_count: hazards.counts.weather,
+        traffic_count: hazards.counts.traffic,
+        severe: hazards.severe,
+        unavailable
+      }, 'Hazards along route fetched successfully');
+
+      observe('hazards', ms, unavailable.length === 0);
+    }
+
+    return res.json({
+      ok: true,
+      ...hazards,
+      ...(unavailable.length && { unavailable }),
+      ...(route && { route }),
+    });
+  } catch (error) {
+    req.log.error({ err: error }, 'Unexpected error');
+    observe('hazards', 0, false);
+    return res.status(502).json({
+      ok: false,
+      code: 'provider_failed',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/hazards/history
+ * Recorded hazards active at `at`, or at any time in [from, to], whose bounding
+ * box overlaps `bbox`. Each feature has its hazard_id, first/last seen and
+ * ended times and severity changes (src/ops/hazard-history.js).
+ */
+router.get('/api/hazards/history', (req, res) => {
+  const result = historySchema.safeParse(req.query);
+  if (!result.success) {
+    return res.status(400).json({
+      ok: false,
+      code: 'invalid_request',
+      details: result.error.flatten(),
+    });
+  }
+
+  const q = result.data;
+  const now = Math.floor(Date.now() / 1000);
+  const from = q.at ?? q.from ?? q.to ?? now;
+  const to = q.at ?? q.to ?? (q.from ? now : from);
+  const features = queryHazards({ bbox: q.bbox, from, to, kind: q.kind, minSeverity: q.min_severity, limit: q.limit });
+
+  return res.json({
+    ok: true,
+    from: new Date(from * 1000).toISOString(),
+    to: new Date(to * 1000).toISOString(),
+    count: features.length,
+    hazards: featureCollection(features),
+  });
+});
+
+/**
+ * GET /api/hazards/history/:id
+ * One recorded hazard by its hazard_id
+ */
+router.get('/api/hazards/history/:id', (req, res) => {
+  const hazard = getHazard(req.params.id);
+  if (!hazard) {
+    return res.status(404).json({ ok: false, code: 'hazard_not_found' });
+  }
+  return res.json({ ok: true, hazard });
+});
+
 export default router;
@@ -0,0 +1,140 @@
+// ---- Itinerary API ----
+// Timed day plans: opening hours (Google Places) + matrix travel times
+
+import express from 'express';
+import { z } from 'zod';
+import { placeDetails } from '../src/providers/places.js';
+import { cacheKeys, getDetailsCache, setDetailsCache } from '../src/ops/cache-places.js';
+import { buildSchedule, PACE_FACTOR } from '../src/planner/schedule.js';
+import { getTravelMatrix } from './route.js';
+import { resolvePrincipal } from '../src/ops/identity.js';
+import { getProfileByUserId } from '../db.js';
+import { observe } from '../ops/metrics.js';
+
+const router = express.Router();
+
+const MAX_STOPS = Number(process.env.SCHEDULE_MAX_STOPS || 12);
+
+// Validation schema
+const scheduleSchema = z.object({
+  placeIds: z.array(z.string().min(1).max(300)).min(1).max(MAX_STOPS),
+  startTime: z.string().datetime({ offset: true }),
+  start: z.object({
+    lat: z.number().gte(-90).lte(90),
+    lon: z.number().gte(-180).lte(180),
+  }).optional(),
+  pace: z.enum(Object.keys(PACE_FACTOR)).optional(),
+  dwell: z.record(z.number().int().min(0).max(12 * 60)).optional() // placeId -> minutes
+});
+
+/**
+ * Fetch place details through the shared details cache
+ */
+async function detailsFor(id, lang) {
+  const k = cacheKeys.keyDetails(id, lang);
+  const cached = getDetailsCache(k);
+  if (cached) return { ok: true, detail: cached };
+
+  const r = await placeDetails(id, lang);
+  if (r.ok) setDetailsCache(k, r.detail);
+  return r;
+}
+
+/**
+ * Resolve pace: explicit body value, else signed-in profile, else relaxed
+ */
+function resolvePace(req, res, explicit) {
+  if (explicit) return explicit;
+  const principal = resolvePrincipal(req, res);
+  if (!principal) return 'relaxed';
+  return getProfileByUserId(principal.userId)?.pace || 'relaxed';
+}
+
+/**
+ * POST /api/itinerary/schedule
+ * Build a timed day plan (arrival, dwell, departure) for a list of places
+ */
+router.post('/schedule', async (req, res) => {
+  const t0 = Date.now();
+  try {
+    const lang = req.headers['x-lang'] === 'en' ? 'en' : 'he';
+    const result = scheduleSchema.safeParse(req.body);
+    if (!result.success) {
+      return res.status(400).json({
+        ok: false,
+        code: 'invalid_request',
+        details: result.error.flatten()
+      });
+    }
+
+    const { placeIds, startTime, start, dwell } = result.data;
+    const pace = resolvePace(req, res, result.data.pace);
+
+    const details = await Promise.all(placeIds.map(id => detailsFor(id, lang)));
+    const failed = details.findIndex(d => !d.ok);
+    if (failed !== -1) {
+      const d = details[failed];
+      return res.status(502).json({
+        ok: false,
+        code: 'provider_error',
+        place_id: placeIds[failed],
+        detail: d.error || d.status || d.body
+      });
+    }
+
+    const places = details.map(({ detail }, i) => ({
+      id: placeIds[i],
+      name: detail.displayName?.text || null,
+      primaryType: detail.primaryType,
+      location: detail.location
+        ? { lat: detail.location.latitude, lon: detail.location.longitude }
+        : null,
+      hours: detail.currentOpeningHours,
+      utcOffsetMinutes: detail.utcOffsetMinutes,
+      dwellMin: dwell?.[placeIds[i]]
+    }));
+
+    const missing = places.find(p => !p.location);
+    if (missing) {
+      return res.status(422).json({ ok: false, code: 'place_without_location', place_id: missing.id });
+    }
+
+    const points = [...(start ? [start] : []), ...places.map(p => p.location)];
+    let durations = [[0]];
+    if (points.length > 1) {
+      // Google only accepts future departure times for traffic-aware routing
+      const departureTimeIso = Date.parse(startTime) > Date.now() ? startTime : undefined;
+      try {
+        const m = await getTravelMatrix(points, { mode: 'DRIVE', departureTimeIso });
+        durations = m.matrix.duration_s;
+      } catch (e) {
+        req.log.error({ event: 'schedule_matrix_err', err: String(e) });
+        return res.status(502).json({ ok: false, code: 'matrix_error' });
+      }
+    }
+
+    const plan = buildSchedule({ places, durations, hasStart: !!start, startTime, pace });
+
+    req.log.info({
+      event: 'schedule_ok',
+      n: places.length,
+      pace,
+      closed: plan.stops.filter(s => s.status === 'closed_on_arrival').length,
+      moved: plan.stops.filter(s => s.status === 'moved').length
+    });
+
+    observe('schedule', Date.now() - t0, true);
+
+    return res.json({ ok: true, pace, start_time: startTime, ...plan });
+  } catch (error) {
+    req.log.error({ err: error }, 'Unexpected error');
+    observe('schedule', Date.now() - t0, false);
+    return res.status(500).json({
+      ok: false,
+      code: 'internal_error',
+      message: error.message
+    });
+  }
+});
+
+export default router;
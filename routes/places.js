@@ -1,10 +1,21 @@
 import express from 'express';
 import { z } from 'zod';
-import { placesTextSearch, placeDetails } from '../src/providers/google-places.js';
+import { searchPlaces, nearbyPlaces, placeDetails } from '../src/providers/places.js';
 import { cacheKeys, getSearchCache, setSearchCache, getDetailsCache, setDetailsCache } from '../src/ops/cache-places.js';
+import { corridor, hitCorridor, lineOf, pointAlong, distanceMeters } from '../src/ops/geo.js';
+import { searchCircles, detourLegs, detourCost, rankByTravel, MAX_DETOUR_CANDIDATES } from '../src/planner/detour.js';
+import { personalize, preferencesOf, detourScaleFor } from '../src/planner/personalize.js';
+import { resolvePrincipal } from '../src/ops/identity.js';
+import { getProfileByUserId } from '../db.js';
+import { MODES } from '../src/providers/routing/index.js';
+import { computeRoute, getTravelMatrix } from './route.js';
 
 const router = express.Router();
 
+const ALONG_MAX_SEARCHES = Number(process.env.PLACES_ALONG_MAX_SEARCHES || 6);
+const ALONG_CANDIDATES = Math.min(Number(process.env.PLACES_ALONG_CANDIDATES || MAX_DETOUR_CANDIDATES), MAX_DETOUR_CANDIDATES);
+const ALONG_MAX_POINTS = 2500;
+
 const SearchBody = z.object({
   query: z.string().min(1).max(120),
   openNow: z.boolean().optional(),
@@ -14,20 +25,116 @@ const SearchBody = z.object({
   bias: z.object({
     center: z.object({ latitude: z.number(), longitude: z.number() }),
     radius: z.number().min(100).max(50000)
-  }).optional()
+  }).optional(),
+  personalize: z.boolean().optional() // rank by the signed-in user's profile
+});
+
+const Types = z.array(z.string().regex(/^[a-z_]+$/)).min(1).max(5); // e.g., ["restaurant", "gas_station"]
+const Mode = z.enum(Object.keys(MODES)).default('drive');
+
+const NearbyBody = z.object({
+  types: Types,
+  center: z.object({ latitude: z.number().gte(-90).lte(90), longitude: z.number().gte(-180).lte(180) }),
+  radius: z.number().min(100).max(50000),
+  openNow: z.boolean().optional(),
+  minRating: z.number().min(0).max(5).optional(),
+  mode: Mode,
+  maxResults: z.number().int().min(1).max(20).default(10),
+  personalize: z.boolean().optional()
+});
+
+// geometry: a LineString, Feature or FeatureCollection (e.g. an /api/route geometry);
+// otherwise stops are routed first with mode
+const AlongRouteBody = z.object({
+  types: Types,
+  geometry: z.object({ type: z.string() }).passthrough().optional(),
+  stops: z.array(z.object({ lat: z.number().gte(-90).lte(90), lon: z.number().gte(-180).lte(180) })).min(2).max(5).optional(),
+  mode: Mode,
+  buffer: z.number().min(100).max(5000).default(1000),
+  openNow: z.boolean().optional(),
+  minRating: z.number().min(0).max(5).optional(),
+  maxResults: z.number().int().min(1).max(20).default(10),
+  personalize: z.boolean().optional()
+}).refine(b => b.geometry || b.stops, { message: 'geometry or stops is required' });
+
+const Line = z.object({
+  type: z.literal('LineString'),
+  coordinates: z.array(z.tuple([z.number().gte(-180).lte(180), z.number().gte(-90).lte(90)]).rest(z.number()))
+    .min(2).max(ALONG_MAX_POINTS)
 });
 
+// Overpass needs a bias circle and a type it can map to OSM tags
+const REQUEST_ERRORS = ['bias_required', 'unsupported_type'];
+
+function searchFailed(res, r) {
+  if (REQUEST_ERRORS.includes(r.error)) return res.status(400).json({ ok:false, code:r.error });
+  if (r.error === 'breaker_open') return res.status(503).json({ ok:false, code:'provider_unavailable' });
+  return res.status(502).json({ ok:false, code:'provider_error', detail: r.error || r.status || r.body });
+}
+
+// Nearby search (max 20 per call) through the search cache
+async function cachedNearby(params, log) {
+  const k = cacheKeys.keyNearby(params);
+  const cached = getSearchCache(k);
+  if (cached) return { ok:true, cached:true, ...cached };
+
+  const r = await nearbyPlaces(params, { log });
+  if (r.ok) setSearchCache(k, { provider: r.provider, items: r.items });
+  return { ...r, cached:false };
+}
+
+const pointOf = p => ({ lat: p.location.latitude, lon: p.location.longitude });
+const seconds = v => (Number.isFinite(v) ? Math.round(v) : null);
+
+// Travel matrix, or null when no provider can answer (results are then ranked by _score alone)
+async function matrixOrNull(points, mode, log) {
+  try {
+    return (await getTravelMatrix(points, { mode, log })).matrix;
+  } catch (e) {
+    log.warn({ event: 'places_matrix_failed', code: e.code, err: String(e) });
+    return null;
+  }
+}
+
+/**
+ * Opt-in personal ranking: the signed-in user's preferences, or answer 401
+ * @returns {Object|null} preferencesOf() result, null when answered
+ */
+function preferencesOr401(req, res) {
+  const principal = resolvePrincipal(req, res);
+  const profile = principal && getProfileByUserId(principal.userId);
+  if (!profile) {
+    res.status(401).json({ ok:false, code:'auth_required' });
+    return null;
+  }
+  return preferencesOf(profile);
+}
+
+// Personalized items plus what the response reports about it
+function personalized(items, prefs, requested) {
+  const p = personalize(items, prefs, { requested });
+  return { items: p.items, personalization: { ...prefs, excluded: p.excluded } };
+}
+
 router.post('/api/places/search', async (req, res) => {
   const lang = req.headers['x-lang'] === 'en' ? 'en' : 'he';
   const v = SearchBody.safeParse(req.body || {});
   if (!v.success) return res.status(400).json({ ok:false, code:'invalid_request', details:v.error.issues });
 
   const { query, openNow, minRating, priceLevels, includedType, bias } = v.data;
+  const prefs = v.data.personalize ? preferencesOr401(req, res) : null;
+  if (v.data.personalize && !prefs) return;
+
+  const respond = (cached, provider, items) => {
+    if (!prefs) return res.json({ ok:true, cached, provider, items });
+    return res.json({ ok:true, cached, provider, ...personalized(items, prefs, includedType ? [includedType] : []) });
+  };
+
   const k = cacheKeys.keySearch({ query, openNow, minRating, priceLevels, includedType, biasCircle: bias, lang });
   const cached = getSearchCache(k);
-  if (cached) return res.json({ ok:true, cached:true, items: cached });
+  if (cached) return respond(true, cached.provider, cached.items);
 
-  const r = await placesTextSearch({
+  const r = await searchPlaces({
     query,
     openNow: !!openNow,
     minRating: minRating ?? 0,
@@ -35,11 +142,162 @@ router.post('/api/places/search', async (req, res) => {
     includedType,
     biasCircle: bias ? { center: bias.center, radius: bias.radius } : null,
     lang
-  });
+  }, { log: req.log });
+
+  if (!r.ok) return searchFailed(res, r);
+  setSearchCache(k, { provider: r.provider, items: r.items });
+  return respond(false, r.provider, r.items);
+});
+
+/**
+ * POST /api/places/nearby
+ * Places of some types within radius of center, ranked by _score discounted by
+ * travel time from center (_travel_s, from the travel matrix in mode).
+ * personalize: true re-scores for the signed-in user first (_why) and weighs
+ * travel by their pace.
+ */
+router.post('/api/places/nearby', async (req, res) => {
+  try {
+    const lang = req.headers['x-lang'] === 'en' ? 'en' : 'he';
+    const v = NearbyBody.safeParse(req.body || {});
+    if (!v.success) return res.status(400).json({ ok:false, code:'invalid_request', details:v.error.issues });
+
+    const { types, center, radius, openNow, minRating, mode, maxResults } = v.data;
+    const prefs = v.data.personalize ? preferencesOr401(req, res) : null;
+    if (v.data.personalize && !prefs) return;
+
+    const r = await cachedNearby({
+      includedTypes: types, center, radius, openNow: !!openNow, minRating: minRating ?? 0, maxResults: 20, lang
+    }, req.log);
+    if (!r.ok) return searchFailed(res, r);
+
+    const from = { lat: center.latitude, lon: center.longitude };
+    const mine = prefs && personalized(r.items, prefs, types);
+    const found = (mine ? mine.items : r.items).filter(p => p.location);
+    const scale = prefs ? detourScaleFor(prefs.pace) : undefined;
+    const m = found.length ? await matrixOrNull([from, ...found.map(pointOf)], mode, req.log) : null;
+
+    const items = rankByTravel(found.map((p, i) => ({
+      ...p,
+      _distance_m: Math.round(distanceMeters(from.lat, from.lon, p.location.latitude, p.location.longitude)),
+      ...(m && { _travel_s: seconds(m.duration_s[0][i + 1]) })
+    })), p => p._travel_s, scale).slice(0, maxResults);
+
+    return res.json({
+      ok:true, cached:r.cached, provider:r.provider, mode, items,
+      ...(found.length && !m && { travel_unavailable:true }),
+      ...(mine && { personalization: { ...mine.personalization, detour_scale_s: scale } })
+    });
+  } catch (error) {
+    req.log.error({ err: error }, 'Unexpected error');
+    return res.status(502).json({ ok:false, code:'provider_error', message:error.message });
+  }
+});
+
+/**
+ * POST /api/places/along-route
+ * Places of some types within buffer meters of a route, ranked by _score
+ * discounted by the detour they add (_detour_s, _detour_m: a -> place -> b
+ * minus a -> b between the route points around the place).
+ * Body: { types, geometry } or { types, stops, mode? } to route first; buffer (default 1000)
+ * Each item has _along_m (where along the route) and _offset_m (distance from it).
+ * personalize: true as for nearby.
+ */
+router.post('/api/places/along-route', async (req, res) => {
+  try {
+    const lang = req.headers['x-lang'] === 'en' ? 'en' : 'he';
+    const v = AlongRouteBody.safeParse(req.body || {});
+    if (!v.success) return res.status(400).json({ ok:false, code:'invalid_request', details:v.error.issues });
+
+    const { types, geometry, stops, mode, buffer, openNow, minRating, maxResults } = v.data;
+    const prefs = v.data.personalize ? preferencesOr401(req, res) : null;
+    if (v.data.personalize && !prefs) return;
+
+    let route = null;
+    let line;
+    if (geometry) {
+      const parsed = Line.safeParse(lineOf(geometry));
+      if (!parsed.success) return res.status(400).json({ ok:false, code:'invalid_geometry' });
+      line = parsed.data;
+    } else {
+      const out = await computeRoute(stops, { mode, log: req.log });
+      if (!out.ok) return res.status(out.status).json(out.body);
+      route = out.payload;
+      line = lineOf(route.geometry);
+    }
+
+    const coords = line.coordinates.map(c => [c[0], c[1]]);
+    const c = corridor(coords, buffer);
+    const circles = searchCircles(d => pointAlong(coords, d), c.length_m, buffer, ALONG_MAX_SEARCHES);
+
+    // One nearby search per circle, in turn (provider rate limits); keep places inside the corridor
+    const found = new Map();
+    const providers = new Set();
+    let failed = null;
+    let failures = 0;
+    for (const circle of circles) {
+      const r = await cachedNearby({
+        includedTypes: types, center: circle.center, radius: circle.radius,
+        openNow: !!openNow, minRating: minRating ?? 0, maxResults: 20, lang
+      }, req.log);
+      if (!r.ok) { failed = r; failures++; continue; }
+      providers.add(r.provider);
+      for (const p of r.items) {
+        if (!p.location || found.has(p.id)) continue;
+        const hit = hitCorridor(c, { type: 'Point', coordinates: [p.location.longitude, p.location.latitude] });
+        if (hit) found.set(p.id, { ...p, _along_m: hit.along_m, _offset_m: hit.offset_m });
+      }
+    }
+    if (failures === circles.length) return searchFailed(res, failed);
+
+    // Detours for the best-scored candidates, between the route anchors around each
+    const mine = prefs && personalized([...found.values()], prefs, types);
+    const scale = prefs ? detourScaleFor(prefs.pace) : undefined;
+    const candidates = (mine ? mine.items : [...found.values()])
+      .sort((a, b) => (b._score || 0) - (a._score || 0))
+      .slice(0, ALONG_CANDIDATES);
+    const { anchors, legs } = detourLegs(c.length_m, candidates.map(p => p._along_m));
+    const anchorPoints = anchors.map(d => {
+      const [lon, lat] = pointAlong(coords, d);
+      return { lat, lon };
+    });
+    const m = candidates.length
+      ? await matrixOrNull([...anchorPoints, ...candidates.map(pointOf)], mode, req.log)
+      : null;
+
+    const items = rankByTravel(candidates.map((p, i) => {
+      if (!m) return p;
+      const [a, b] = legs[i];
+      const at = anchors.length + i;
+      return { ...p, _detour_s: detourCost(m.duration_s, a, at, b), _detour_m: detourCost(m.distance_m, a, at, b) };
+    }), p => p._detour_s, scale).slice(0, maxResults);
+
+    req.log.info({
+      event: 'places_along_ok',
+      points: coords.length,
+      buffer,
+      searches: circles.length,
+      failures,
+      found: found.size,
+      matrix: !!m
+    });
 
-  if (!r.ok) return res.status(502).json({ ok:false, code:'provider_error', detail: r.error || r.status || r.body });
-  setSearchCache(k, r.items);
-  return res.json({ ok:true, cached:false, items: r.items });
+    return res.json({
+      ok:true,
+      providers: [...providers],
+      buffer,
+      route_distance_m: Math.round(c.length_m),
+      searches: circles.length,
+      items,
+      ...(failures && { incomplete:true }),
+      ...(candidates.length && !m && { travel_unavailable:true }),
+      ...(mine && { personalization: { ...mine.personalization, detour_scale_s: scale } }),
+      ...(route && { route })
+    });
+  } catch (error) {
+    req.log.error({ err: error }, 'Unexpected error');
+    return res.status(502).json({ ok:false, code:'provider_error', message:error.message });
+  }
 });
 
 router.get('/api/places/:id', async (req, res) => {
@@ -52,6 +310,7 @@ router.get('/api/places/:id', async (req, res) => {
   if (cached) return res.json({ ok:true, cached:true, place: cached });
 
   const r = await placeDetails(id, lang);
+  if (r.error === 'not_found' || r.error === 'invalid_id') return res.status(404).json({ ok:false, code:'place_not_found' });
   if (!r.ok) return res.status(502).json({ ok:false, code:'provider_error', detail:r.error || r.status || r.body });
 
   setDetailsCache(k, r.detail);
@@ -4,7 +4,7 @@
 import express from 'express';
 import { z } from 'zod';
 import { getProfileByUserId, updateProfile } from '../db.js';
-import { authRequired } from '../auth.js';
+import { principalRequired } from '../src/ops/identity.js';
 import { observe } from '../ops/metrics.js';
 
 const router = express.Router();
@@ -25,9 +25,9 @@ const updateProfileSchema = z.object({
 /**
  * GET /api/profile
  * Get current user's profile and preferences
- * Requires authentication
+ * Requires authentication (JWT or family session)
  */
-router.get('/', authRequired, (req, res) => {
+router.get('/', principalRequired, (req, res) => {
   try {
     const userId = req.user.userId;
 
@@ -72,9 +72,9 @@ router.get('/', authRequired, (req, res) => {
 /**
  * PUT /api/profile
  * Update current user's preferences
- * Requires authentication
+ * Requires authentication (JWT or family session)
  */
-router.put('/', authRequired, (req, res) => {
+router.put('/', principalRequired, (req, res) => {
   try {
     // Validate request body
     const result = updateProfileSchema.safeParse(req.body);
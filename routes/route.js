@@ -1,5 +1,6 @@
 // ---- Route API ----
-// Real routing via OSRM with cache, timeout, circuit breaker
+// Real routing through a provider chain (src/providers/routing) with cache
+// and per-provider circuit breakers (ops/breaker.js)
 
 import express from 'express';
 import { z } from 'zod';
@@ -7,38 +8,41 @@ import { LRUCache } from 'lru-cache';
 import { time } from '../util/timing.js';
 import { observe } from '../ops/metrics.js';
 import { incrRelaxed, incrProvider } from '../ops/counters.js';
-import { googleComputeRouteMatrix } from '../src/providers/google-matrix.js';
+import {
+  routeChain, routeWithChain, matrixWithChain, matchWithOsrm, providerNames, AVOID_TERMS, MODES, normalizeMode
+} from '../src/providers/routing/index.js';
+import { legsWithText } from '../src/providers/routing/maneuvers.js';
+import { buildLegs, waypointIndices } from '../src/providers/routing/common.js';
+import { EXPORT_FORMATS, sendExport } from '../src/ops/geo-export.js';
+import { parseGeoFile } from '../src/ops/geo-import.js';
+import { inBounds, simplifyTo, findPauses, lineLengthMeters, corridor, areaAround } from '../src/ops/geo.js';
+import { loadHazardFeeds, hasSevere, featuresAlong } from '../src/ops/hazards-feed.js';
 import { getMatrixCache, setMatrixCache } from '../src/ops/cache-matrix.js';
+import { solveVisitOrder } from '../src/planner/optimize.js';
 
 const router = express.Router();
 
-// Map user-friendly avoid terms to OSRM exclude classes
-const AVOID_MAP = {
-  tolls: 'toll',
-  ferries: 'ferry',
-  highways: 'motorway'
-};
-
-// Map user-friendly avoid terms to ORS avoid features
-const ORS_AVOID_MAP = {
-  tolls: 'tollways',
-  ferries: 'ferries',
-  highways: 'highways'
-};
-
 // Test hooks for retry logic
 const TEST_HOOKS = process.env.ROUTE_TEST_HOOKS === '1';
 
 // Configuration from environment variables
-const OSRM_URL = process.env.OSRM_URL || 'http://localhost:5000';
-const ORS_URL = process.env.ORS_URL || 'https://api.openrouteservice.org';
-const ORS_API_KEY = process.env.ORS_API_KEY || '';
-const TIMEOUT_MS = Number(process.env.ROUTE_TIMEOUT_MS || 12000);
 const CACHE_MAX = Number(process.env.ROUTE_CACHE_MAX || 1000);
 const CACHE_TTL_MS = Number(process.env.ROUTE_CACHE_TTL_MS || 5 * 60 * 1000); // 5 min
-
-// Circuit breaker state
-let breakerUntil = 0;
+const OPTIMIZE_MAX_PLACES = Number(process.env.OPTIMIZE_MAX_PLACES || 23); // 25 matrix points max
+const MAX_ALTERNATIVES = 3;
+export const MAX_STOPS = 5; // routeSchema
+
+// GPX/KML import
+const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || '5mb';
+const IMPORT_SIMPLIFY_M = Number(process.env.IMPORT_SIMPLIFY_M || 10);
+const IMPORT_MATCH_MAX_POINTS = Number(process.env.IMPORT_MATCH_MAX_POINTS || 100); // OSRM max-matching-size
+const IMPORT_PAUSE_MIN_S = Number(process.env.IMPORT_PAUSE_MIN_S || 300);
+const IMPORT_MAX_STOPS = 50; // trip day limit
+
+// avoid_hazards: how close counts as crossing, and the box kept around point/line hazards
+const HAZ_ROUTE_BUFFER_M = Number(process.env.HAZ_ROUTE_BUFFER_M || 50);
+const HAZ_AVOID_PAD_M = Number(process.env.HAZ_AVOID_PAD_M || 150);
+const modeSchema = z.enum(Object.keys(MODES)).default('drive');
 
 // LRU cache for route responses
 const cache = new LRUCache({
@@ -46,174 +50,520 @@ const cache = new LRUCache({
   ttl: CACHE_TTL_MS,
 });
 
-// Validation schema
+// Validation schemas
+const pointSchema = z.object({
+  lat: z.number().gte(-90).lte(90),
+  lon: z.number().gte(-180).lte(180),
+});
+
+// Per-request provider chain, e.g. ["google", "osrm:relaxed"]
+const providersSchema = z.array(z.string().regex(/^[a-z][a-z0-9_-]*(:relaxed)?$/)).min(1).max(5);
+
 const routeSchema = z.object({
-  stops: z.array(z.object({
-    lat: z.number().gte(-90).lte(90),
-    lon: z.number().gte(-180).lte(180),
-  })).min(2).max(5),
-  mode: z.enum(['drive']).default('drive'),
+  stops: z.array(pointSchema).min(2).max(MAX_STOPS),
+  mode: modeSchema,
+  providers: providersSchema.optional(),
+  alternatives: z.number().int().min(0).max(MAX_ALTERNATIVES).default(0),
+  instructions: z.boolean().default(false),
+  avoid_hazards: z.boolean().default(false),
+  constraints: z.record(z.any()).optional()
+});
+
+// Export: a route request plus stop names, a title and the file format
+const exportSchema = routeSchema.extend({
+  stops: z.array(pointSchema.extend({ name: z.string().max(200).optional() })).min(2).max(MAX_STOPS),
+  name: z.string().max(200).optional(),
+  format: z.enum(EXPORT_FORMATS).default('gpx')
+});
+
+const optimizeSchema = z.object({
+  start: pointSchema,
+  end: pointSchema.optional(),
+  places: z.array(pointSchema.extend({
+    id: z.string().max(200).optional(),
+    name: z.string().max(200).optional(),
+  })).min(1).max(OPTIMIZE_MAX_PLACES),
+  mode: modeSchema,
+  departureTime: z.string().datetime().optional(),
+  providers: providersSchema.optional(),
   constraints: z.record(z.any()).optional()
 });
 
 /**
- * Call OSRM with timeout and error handling
- * @param {string} url - OSRM URL to fetch
- * @param {number} timeoutMs - Timeout in milliseconds
- * @returns {Promise<{ok: boolean, json?: object, status?: number, error?: string, body?: string}>}
+ * Generate cache key from mode, stops, avoid preferences, explicit chain,
+ * alternatives count, instruction language and hazard avoidance (rounded to reduce churn)
  */
-async function callOsrm(url, timeoutMs) {
-  const ac = new AbortController();
-  const tid = setTimeout(() => ac.abort(), timeoutMs);
+function keyFor(mode, stops, avoid, providers, alternatives, instructionsLang, avoidHazards) {
+  const s = stops
+    .map(p => `${p.lat.toFixed(5)},${p.lon.toFixed(5)}`)
+    .join('->');
+  const m = mode !== 'drive' ? `:m=${mode}` : '';
+  const av = avoid.length ? `:avoid=${[...avoid].sort().join(',')}` : '';
+  const pv = providers?.length ? `:p=${providers.join(',')}` : '';
+  const alt = alternatives ? `:alt=${alternatives}` : '';
+  const ins = instructionsLang ? `:i=${instructionsLang}` : '';
+  const hz = avoidHazards ? ':hz' : '';
+  return `r:${s}${m}${av}${pv}${alt}${ins}${hz}`;
+}
 
-  try {
-    const r = await fetch(url, { signal: ac.signal });
-    clearTimeout(tid);
+/**
+ * Distance, duration and usage of a route, compared with a base route
+ */
+function compareRoute(route, base) {
+  return {
+    distance_m: route.distance_m,
+    duration_s: route.duration_s,
+    extra_distance_m: route.distance_m - base.distance_m,
+    extra_duration_s: route.duration_s - base.duration_s,
+    usage: route.usage
+  };
+}
+
+/**
+ * What not fully honoring avoid costs, or null when it was honored
+ * Not honored = the chain fell back to a relaxed attempt, or the route still
+ * uses an avoided feature (e.g. the only way across is a toll road). The
+ * returned route is compared with the same provider's route without avoid.
+ * @returns {Promise<Object|null>}
+ */
+async function avoidTradeoff(stops, avoid, out, log) {
+  const terms = avoid.filter(t => AVOID_TERMS.includes(t));
+  if (!terms.length) return null;
+
+  const usage = out.route.usage || {};
+  const uses = terms.filter(t => usage[t]?.used);
+  if (!out.relaxed && !uses.length) return null;
+
+  let relaxedRoute = out.route;
+  if (!out.relaxed) {
+    const r = await routeWithChain(stops, { chain: [{ name: out.provider, relaxed: true }], avoid, log });
+    relaxedRoute = r.ok ? r.route : null;
+  }
+
+  return {
+    avoid: terms,
+    // A relaxed route may still happen to avoid everything; null = provider can't tell
+    honored: uses.length ? false : (terms.every(t => usage[t]?.used === false) ? true : null),
+    relaxed: out.relaxed,
+    uses,
+    relaxed_route: relaxedRoute && {
+      distance_m: relaxedRoute.distance_m,
+      duration_s: relaxedRoute.duration_s,
+      usage: relaxedRoute.usage
+    },
+    extra_distance_m: relaxedRoute ? out.route.distance_m - relaxedRoute.distance_m : null,
+    extra_duration_s: relaxedRoute ? out.route.duration_s - relaxedRoute.duration_s : null
+  };
+}
+
+/**
+ * Severe hazards a route geometry crosses, ordered along it
+ */
+function severeOn(geometry, severe) {
+  return featuresAlong(corridor(geometry.coordinates, HAZ_ROUTE_BUFFER_M), { features: severe });
+}
+
+function hazardSummary(f) {
+  const { kind, severity, title, along_m } = f.properties;
+  return { kind, severity, title, along_m };
+}
+
+/**
+ * Steer a route around severe hazards (avoid_hazards)
+ * The route is checked against the current weather and traffic feeds. When a
+ * severe hazard crosses it, the candidates are an ORS detour with the crossed
+ * hazards as avoid_polygons and the provider's alternatives. The candidate
+ * crossing the fewest severe hazards (then the fastest) replaces the route if
+ * it crosses fewer than the route does; the original becomes an alternative.
+ * @returns {Promise<{out: Object, report: Object}>} out: the routeWithChain result to use
+ */
+async function hazardReroute(stops, out, { mode, avoid, alternatives, instructions, log }) {
+  const feeds = await loadHazardFeeds(log);
+  const unavailable = feeds.unavailable.length ? { unavailable: feeds.unavailable } : {};
+  if (!Object.values(feeds.feeds).includes('ok')) {
+    return { out, report: { checked: false, ...unavailable } };
+  }
 
-    if (!r.ok) {
-      const body = await r.text();
-      return { ok: false, status: r.status, body };
+  const severe = [...feeds.weather.features, ...feeds.traffic.features].filter(f => hasSevere([f]));
+  const hits = severeOn(out.route.geometry, severe);
+  const report = { checked: true, crossed: hits.map(hazardSummary), avoided: [], remaining: hits.map(hazardSummary), rerouted: null, detour: null, ...unavailable };
+  if (!hits.length) return { out, report };
+
+  const candidates = out.alternatives.map(route => ({ route, via: 'alternative', out }));
+
+  const detour = await routeWithChain(stops, {
+    chain: [{ name: 'ors', relaxed: false }],
+    mode,
+    avoid,
+    avoidAreas: hits.flatMap(f => areaAround(f.geometry, HAZ_AVOID_PAD_M)),
+    instructions,
+    log
+  });
+  if (detour.ok) candidates.push({ route: detour.route, via: 'avoid_polygons', out: detour });
+  else log?.warn({ event: 'hazard_detour_failed', error: detour.error, detail: detour.detail });
+
+  // Nothing yet: ask the original provider for alternatives
+  if (!candidates.length && !alternatives) {
+    const r = await routeWithChain(stops, {
+      chain: [{ name: out.provider, relaxed: out.relaxed }], mode, avoid, alternatives: MAX_ALTERNATIVES, instructions, log
+    });
+    if (r.ok) candidates.push(...r.alternatives.map(route => ({ route, via: 'alternative', out: r })));
+  }
+
+  const best = candidates
+    .map(c => ({ ...c, hits: severeOn(c.route.geometry, severe) }))
+    .sort((a, b) => a.hits.length - b.hits.length || a.route.duration_s - b.route.duration_s)[0];
+  if (!best || best.hits.length >= hits.length) return { out, report };
+
+  const still = new Set(best.hits.map(f => f.geometry));
+  const others = [out.route, ...out.alternatives].filter(r => r !== best.route);
+  return {
+    out: {
+      ...out,
+      route: best.route,
+      alternatives: others,
+      provider: best.out.provider,
+      label: best.out.label,
+      relaxed: best.out.relaxed
+    },
+    report: {
+      ...report,
+      avoided: hits.filter(f => !still.has(f.geometry)).map(hazardSummary),
+      remaining: best.hits.map(hazardSummary),
+      rerouted: best.via,
+      detour: {
+        extra_distance_m: best.route.distance_m - out.route.distance_m,
+        extra_duration_s: best.route.duration_s - out.route.duration_s
+      }
     }
+  };
+}
 
-    const json = await r.json();
-    return { ok: true, json };
-  } catch (e) {
-    clearTimeout(tid);
-    const error = e?.name === 'AbortError' ? 'timeout' : String(e);
-    return { ok: false, error };
+/**
+ * Get travel matrix through the matrix provider chain (MATRIX_PROVIDERS)
+ * Cache-first pattern with 60s TTL
+ * @param {Array} points - Array of {lat, lon} objects
+ * @param {Object} options - { mode, departureTimeIso, log }
+ * @returns {Promise<{ok, n, matrix, provider}>}
+ * @throws {Error} with .code = provider error (e.g. mode_unsupported)
+ */
+export async function getTravelMatrix(points, { mode='drive', departureTimeIso, log } = {}) {
+  const c = getMatrixCache(normalizeMode(mode) || mode, points, departureTimeIso);
+  if (c.hit) return c.value;
+
+  const res = await matrixWithChain(points, { mode, departureTimeIso, log });
+  if (!res.ok) {
+    const err = new Error(res.detail || res.error || res.status || 'matrix_failed');
+    err.code = res.error;
+    throw err;
   }
+
+  setMatrixCache(c.key, res);
+  return res;
 }
 
 /**
- * Call OpenRouteService with timeout and error handling
- * @param {Array} stops - Array of {lat, lon} objects
- * @param {Array} avoidArr - Array of user-friendly avoid terms
- * @param {number} timeoutMs - Timeout in milliseconds
- * @returns {Promise<{ok: boolean, payload?: object, status?: number, error?: string}>}
+ * Compute a route through stops (in order) along the provider chain
+ * Shared by POST /api/route and the endpoints that build on it (optimize, ...)
+ * @param {Array} stops - Array of {lat, lon} objects (2+)
+ * @param {Object} options - { mode, avoid, providers, alternatives, instructionsLang, avoidHazards, log, testForceRelax }
+ *   avoid only applies to mode drive
+ *   instructionsLang ('he'|'en'): add turn-by-turn steps with text in that language to each leg
+ *   avoidHazards: route around severe weather/traffic hazards (see hazardReroute)
+ * @returns {Promise<{ok: true, payload: object, provider: string, cached: boolean} | {ok: false, status: number, body: object}>}
  */
-async function callORS(stops, avoidArr, timeoutMs) {
-  const ac = new AbortController();
-  const tid = setTimeout(() => ac.abort(), timeoutMs);
+export async function computeRoute(stops, {
+  mode = 'drive', avoid: requestedAvoid = [], providers, alternatives = 0, instructionsLang, avoidHazards = false, log,
+  testForceRelax = false
+} = {}) {
+  const avoid = mode === 'drive' ? requestedAvoid : [];
+  const chain = routeChain({ requested: providers, avoid, mode });
+  if (!chain.ok) {
+    return {
+      ok: false,
+      status: 400,
+      body: { ok: false, code: 'unknown_provider', providers: chain.unknown, available: providerNames() }
+    };
+  }
 
-  // Build avoid_features array from user preferences
-  const avoidFeatures = avoidArr
-    .map(term => ORS_AVOID_MAP[term])
-    .filter(Boolean)
-    .filter((val, idx, arr) => arr.indexOf(val) === idx); // Dedupe
-
-  const body = {
-    coordinates: stops.map(p => [p.lon, p.lat]),
-    instructions: false,
-    geometry: true,
-    elevation: false,
-    ...(avoidFeatures.length > 0 && {
-      options: { avoid_features: avoidFeatures }
-    })
-  };
+  const k = keyFor(mode, stops, avoid, providers, alternatives, instructionsLang, avoidHazards);
 
-  try {
-    const r = await fetch(`${ORS_URL}/v2/directions/driving-car/geojson`, {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json',
-        'authorization': ORS_API_KEY
-      },
-      body: JSON.stringify(body),
-      signal: ac.signal
-    });
+  // Check cache first
+  const hit = cache.get(k);
+  if (hit) {
+    log?.debug({ route: k }, 'Cache hit');
+    return { ok: true, payload: hit, provider: 'cache', cached: true };
+  }
 
-    clearTimeout(tid);
+  const startTime = Date.now();
+  let out = await routeWithChain(stops, {
+    chain: chain.entries,
+    mode,
+    avoid,
+    alternatives,
+    instructions: !!instructionsLang,
+    log,
+    // Optional test hook: fail OSRM's constrained attempt to exercise the relaxed retry
+    forceFail: TEST_HOOKS && testForceRelax ? entry => entry.name === 'osrm' && !entry.relaxed : undefined
+  });
+  const ms = Date.now() - startTime;
+
+  if (!out.ok && out.error === 'not_configured') {
+    log?.warn({ event: 'route_no_provider', attempts: out.attempts });
+    return {
+      ok: false,
+      status: 503,
+      body: { ok: false, code: 'provider_not_configured', message: 'No configured provider in the chain' }
+    };
+  }
 
-    if (!r.ok) {
-      const text = await r.text();
-      return { ok: false, status: r.status, body: text };
-    }
+  // No provider in the chain can route this mode (or these stops in this mode)
+  if (!out.ok && out.error === 'mode_unsupported') {
+    log?.warn({ event: 'route_mode_unsupported', mode, attempts: out.attempts });
+    return {
+      ok: false,
+      status: 400,
+      body: {
+        ok: false,
+        code: 'mode_unsupported',
+        mode,
+        message: out.detail || `No provider in the chain supports mode ${mode}`,
+        supported_by: providerNames(mode)
+      }
+    };
+  }
 
-    const geo = await r.json();
+  // Every usable provider in the chain has an open circuit breaker
+  if (!out.ok && out.error === 'breaker_open') {
+    log?.warn({ event: 'route_breaker_open', attempts: out.attempts }, 'Circuit breaker open');
+    observe('route', ms, false);
+    return {
+      ok: false,
+      status: 503,
+      body: {
+        ok: false,
+        code: 'provider_unavailable',
+        message: 'Route provider temporarily unavailable'
+      }
+    };
+  }
 
-    // Normalize to our payload format
-    const feat = geo.features?.[0];
-    if (!feat || !feat.geometry) {
-      return { ok: false, error: 'no_route' };
-    }
+  if (!out.ok) {
+    log?.error({
+      event: 'route_err',
+      chain: chain.entries.map(e => e.name + (e.relaxed ? ':relaxed' : '')).join(','),
+      avoid,
+      attempts: out.attempts,
+      detail: out.detail || out.error || out.status,
+      ms
+    }, 'Route failed');
 
-    const distance_m = Math.round(feat.properties?.summary?.distance ?? 0);
-    const duration_s = Math.round(feat.properties?.summary?.duration ?? 0);
+    observe('route', ms, false);
 
     return {
-      ok: true,
-      payload: {
-        ok: true,
-        distance_m,
-        duration_s,
-        geometry: {
-          type: 'FeatureCollection',
-          features: [{
-            type: 'Feature',
-            properties: {},
-            geometry: feat.geometry
-          }]
-        },
-        route_retry_relaxed: false // ORS honors avoid preferences
+      ok: false,
+      status: 502,
+      body: {
+        ok: false,
+        code: out.error === 'timeout' ? 'provider_timeout' : 'provider_error',
+        message: out.detail || out.error || 'Route computation failed'
       }
     };
-  } catch (e) {
-    clearTimeout(tid);
-    const error = e?.name === 'AbortError' ? 'timeout' : String(e);
-    return { ok: false, error };
   }
-}
 
-/**
- * Generate cache key from stops and avoid preferences (rounded to reduce churn)
- */
-function keyFor(stops, exclude) {
-  const s = stops
-    .map(p => `${p.lat.toFixed(5)},${p.lon.toFixed(5)}`)
-    .join('->');
-  const suffix = exclude ? `:ex=${exclude}` : '';
-  return `r:${s}${suffix}`;
+  let hazards = null;
+  if (avoidHazards) {
+    ({ out, report: hazards } = await hazardReroute(stops, out, {
+      mode, avoid, alternatives, instructions: !!instructionsLang, log
+    }));
+  }
+
+  const { route } = out;
+  const tradeoff = await avoidTradeoff(stops, avoid, out, log);
+  const payload = {
+    ok: true,
+    provider: out.provider,
+    mode,
+    distance_m: route.distance_m,
+    duration_s: route.duration_s,
+    geometry: {
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        properties: {},
+        geometry: route.geometry
+      }]
+    },
+    legs: instructionsLang ? legsWithText(route.legs, instructionsLang) : route.legs,
+    usage: route.usage,
+    route_retry_relaxed: out.relaxed,
+    ...(alternatives > 0 && {
+      alternatives: out.alternatives.slice(0, alternatives).map(alt => ({ ...compareRoute(alt, route), geometry: alt.geometry }))
+    }),
+    ...(tradeoff && { tradeoff }),
+    ...(hazards && { hazards })
+  };
+
+  // Cache the successful response
+  cache.set(k, payload);
+
+  // Update counters
+  incrProvider(out.label);
+  if (payload.route_retry_relaxed) {
+    incrRelaxed();
+  }
+
+  // Log successful route event
+  log?.info({
+    event: 'route_ok',
+    provider: out.label,
+    mode,
+    avoid,
+    route_retry_relaxed: payload.route_retry_relaxed,
+    avoid_honored: tradeoff ? tradeoff.honored : true,
+    ...(hazards && { hazards_crossed: hazards.crossed?.length ?? null, hazards_rerouted: hazards.rerouted }),
+    alternatives: out.alternatives.length,
+    distance_m: payload.distance_m,
+    duration_s: payload.duration_s,
+    route: k,
+    ms
+  }, 'Route computed successfully');
+
+  // Record metrics
+  observe('route', ms, true);
+
+  return { ok: true, payload, provider: out.label, cached: false };
 }
 
 /**
- * Build OSRM exclude parameter from user avoid preferences
- * @param {string[]} avoid - Array of user-friendly terms (tolls, ferries, highways)
- * @returns {string} OSRM exclude classes (e.g. "toll,ferry")
+ * Candidate stops for an imported file: its waypoints, or else the track's
+ * start, longest pauses (timed tracks) and end
  */
-function buildExcludeParam(avoid) {
-  if (!Array.isArray(avoid) || avoid.length === 0) {
-    return '';
+function candidateStops(parsed, trace) {
+  if (parsed.waypoints.length) {
+    return parsed.waypoints.slice(0, IMPORT_MAX_STOPS).map(w => ({ lat: w.lat, lon: w.lon, name: w.name, reason: 'waypoint' }));
   }
 
-  const classes = avoid
-    .map(term => AVOID_MAP[term])
-    .filter(Boolean) // Remove undefined mappings
-    .filter((val, idx, arr) => arr.indexOf(val) === idx); // Dedupe
+  const pauses = findPauses(trace, { minPauseS: IMPORT_PAUSE_MIN_S })
+    .filter(p => p.index > 0)
+    .sort((a, b) => b.dwell_s - a.dwell_s)
+    .slice(0, MAX_STOPS - 2)
+    .sort((a, b) => a.index - b.index);
+  const first = trace[0];
+  const last = trace[trace.length - 1];
+  return [
+    { lat: first.lat, lon: first.lon, name: null, reason: 'start' },
+    ...pauses.map(p => ({ lat: p.lat, lon: p.lon, name: null, reason: 'pause', dwell_s: p.dwell_s })),
+    { lat: last.lat, lon: last.lon, name: null, reason: 'end' }
+  ];
+}
 
-  return classes.join(',');
+/**
+ * Legs between stops along a matched line; duration is shared by distance
+ */
+function legsAlong(route, stops) {
+  const coords = route.geometry.coordinates;
+  const idx = waypointIndices(coords, stops.map(s => ({ location: [s.lon, s.lat] })));
+  const lengths = idx.slice(1).map((b, i) => lineLengthMeters(coords.slice(idx[i], Math.max(b, idx[i]) + 1)));
+  const total = lengths.reduce((s, d) => s + d, 0) || 1;
+  return buildLegs(coords, idx, lengths.map(d => ({
+    distance: route.distance_m * (d / total),
+    duration: route.duration_s * (d / total)
+  })));
 }
 
 /**
- * Get travel matrix using Google Distance Matrix v2 API
- * Cache-first pattern with 60s TTL
- * @param {Array} points - Array of {lat, lon} objects
- * @param {Object} options - { mode, departureTimeIso }
- * @returns {Promise<{ok, n, matrix}>}
+ * Turn an uploaded GPX/KML file into stops and a route
+ * Tracks are simplified and map-matched with OSRM /match; without a track, or
+ * when matching fails, the candidate stops are routed like POST /api/route.
+ * Shared by POST /api/route/import and POST /api/trips/import.
+ * @param {string} xml - File contents
+ * @param {{mode?: string, log?: Object}} opts
+ * @returns {Promise<{ok: true, body: object} | {ok: false, status: number, body: object}>}
  */
-export async function getTravelMatrix(points, { mode='DRIVE', departureTimeIso } = {}) {
-  const c = getMatrixCache(mode, points, departureTimeIso);
-  if (c.hit) return c.value;
+export async function importTrack(xml, { mode = 'drive', log } = {}) {
+  const parsed = parseGeoFile(xml);
+  if (!parsed.ok) {
+    return { ok: false, status: 400, body: { ok: false, code: parsed.error } };
+  }
 
-  const res = await googleComputeRouteMatrix(points, { mode, departureTimeIso });
-  if (!res.ok) throw new Error(res.error || res.status || res.body || 'matrix_failed');
+  // Same coordinate bounds as routeSchema
+  const badWaypoint = parsed.waypoints.findIndex(p => !inBounds(p));
+  const trace = parsed.tracks.flat();
+  const badTrackPoint = trace.findIndex(p => !inBounds(p));
+  if (badWaypoint !== -1 || badTrackPoint !== -1) {
+    return {
+      ok: false,
+      status: 400,
+      body: badWaypoint !== -1
+        ? { ok: false, code: 'invalid_coordinates', waypoint: badWaypoint }
+        : { ok: false, code: 'invalid_coordinates', track_point: badTrackPoint }
+    };
+  }
 
-  setMatrixCache(c.key, res);
-  return res;
+  const stops = candidateStops(parsed, trace);
+  const source = {
+    format: parsed.format,
+    name: parsed.name,
+    waypoints: parsed.waypoints.length,
+    track_points: trace.length
+  };
+
+  if (trace.length >= 2) {
+    const simplified = simplifyTo(trace, IMPORT_MATCH_MAX_POINTS, IMPORT_SIMPLIFY_M);
+    source.simplified_points = simplified.length;
+
+    const startTime = Date.now();
+    const m = await matchWithOsrm(simplified, { mode });
+    observe('route', Date.now() - startTime, m.ok);
+
+    if (m.ok) {
+      const route = {
+        ok: true,
+        provider: 'osrm',
+        mode,
+        distance_m: m.route.distance_m,
+        duration_s: m.route.duration_s,
+        geometry: {
+          type: 'FeatureCollection',
+          features: [{ type: 'Feature', properties: {}, geometry: m.route.geometry }]
+        },
+        legs: legsAlong(m.route, stops),
+        usage: m.route.usage,
+        route_retry_relaxed: false
+      };
+      log?.info({ event: 'import_ok', ...source, matched: true, confidence: m.confidence, stops: stops.length });
+      return { ok: true, body: { ok: true, source, stops, matched: true, confidence: m.confidence, route } };
+    }
+    log?.warn({ event: 'import_match_failed', error: m.error, detail: m.detail });
+  }
+
+  if (stops.length < 2) {
+    return { ok: false, status: 422, body: { ok: false, code: 'not_enough_stops', source, stops } };
+  }
+  if (stops.length > MAX_STOPS) {
+    return { ok: false, status: 422, body: { ok: false, code: 'too_many_stops', max: MAX_STOPS, source, stops } };
+  }
+
+  const out = await computeRoute(stops.map(s => ({ lat: s.lat, lon: s.lon })), { mode, log });
+  if (!out.ok) return out;
+
+  log?.info({ event: 'import_ok', ...source, matched: false, stops: stops.length });
+  return { ok: true, body: { ok: true, source, stops, matched: false, confidence: null, route: out.payload } };
 }
 
+/**
+ * Raw GPX/KML upload body (application/json stays with express.json)
+ */
+export const geoFileBody = express.text({
+  type: ['application/gpx+xml', 'application/vnd.google-earth.kml+xml', 'application/xml', 'text/*', 'application/octet-stream'],
+  limit: IMPORT_MAX_BYTES
+});
+
 /**
  * POST /api/route
- * Compute route between stops using OSRM
+ * Compute route through all stops (in order) along the provider chain
+ * Response includes one entry in legs[] per consecutive pair of stops
  */
 router.post('/', async (req, res) => {
   try {
@@ -227,162 +577,216 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const { stops, constraints } = result.data;
-    const avoid = constraints?.avoid || [];
-    const exclude = buildExcludeParam(avoid);
-
-    const k = keyFor(stops, exclude);
+    const { stops, mode, providers, alternatives, instructions, avoid_hazards, constraints } = result.data;
+    const lang = req.headers['x-lang'] === 'en' ? 'en' : 'he';
+    const out = await computeRoute(stops, {
+      mode,
+      avoid: constraints?.avoid || [],
+      providers,
+      alternatives,
+      instructionsLang: instructions ? lang : undefined,
+      avoidHazards: avoid_hazards,
+      log: req.log,
+      testForceRelax: !!constraints?._testForceRelax
+    });
 
-    // Check cache first
-    const hit = cache.get(k);
-    if (hit) {
-      req.log.debug({ route: k }, 'Cache hit');
-      return res.json(hit);
+    if (!out.ok) {
+      return res.status(out.status).json(out.body);
     }
+    return res.json(out.payload);
 
-    // Circuit breaker: short-circuit if provider was failing recently
-    const now = Date.now();
-    if (now < breakerUntil) {
-      req.log.warn('Circuit breaker open');
-      return res.status(503).json({
+  } catch (error) {
+    req.log.error({ err: error }, 'Unexpected error');
+    return res.status(500).json({
+      ok: false,
+      code: 'internal_error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Export request from GET query parameters
+ * ?stops=lat,lon;lat,lon&mode=walk&avoid=tolls,ferries&avoid_hazards=1&name=...&format=kml
+ */
+function exportInputFromQuery(q) {
+  const stops = String(q.stops || '')
+    .split(';')
+    .filter(Boolean)
+    .map(pair => {
+      const [lat, lon] = pair.split(',').map(Number);
+      return { lat, lon };
+    });
+  return {
+    stops,
+    ...(q.mode && { mode: q.mode }),
+    ...(q.name && { name: q.name }),
+    ...(q.format && { format: q.format }),
+    ...(q.avoid_hazards && { avoid_hazards: ['1', 'true'].includes(String(q.avoid_hazards)) }),
+    ...(q.avoid && { constraints: { avoid: String(q.avoid).split(',') } })
+  };
+}
+
+/**
+ * Compute a route and send it as a GPX/KML/GeoJSON download
+ */
+async function sendRouteExport(req, res, input) {
+  try {
+    const result = exportSchema.safeParse(input);
+    if (!result.success) {
+      return res.status(400).json({
         ok: false,
-        code: 'provider_unavailable',
-        message: 'Route provider temporarily unavailable'
+        code: 'invalid_request',
+        details: result.error.flatten()
       });
     }
 
-    const startTime = Date.now();
-    const wantsAvoid = avoid.length > 0;
-    let provider = 'osrm';
-    let payload = null;
-
-    // Strategy: Use ORS if avoid is requested AND ORS is configured
-    if (wantsAvoid && ORS_API_KEY) {
-      provider = 'ors';
-      const orsResult = await callORS(stops, avoid, TIMEOUT_MS);
-
-      if (orsResult.ok && orsResult.payload) {
-        // ORS succeeded - use it directly
-        payload = orsResult.payload;
-      } else {
-        // ORS failed - fall back to OSRM
-        req.log.warn({
-          event: 'ors_fallback',
-          detail: orsResult.error || orsResult.status || orsResult.body
-        }, 'ORS failed, falling back to OSRM');
-        provider = 'osrm_fallback';
-      }
+    const { stops, mode, providers, avoid_hazards, constraints, name, format } = result.data;
+    const out = await computeRoute(stops.map(p => ({ lat: p.lat, lon: p.lon })), {
+      mode,
+      avoid: constraints?.avoid || [],
+      providers,
+      avoidHazards: avoid_hazards,
+      log: req.log
+    });
+    if (!out.ok) {
+      return res.status(out.status).json(out.body);
     }
 
-    // If ORS wasn't used or failed, use OSRM with Step 29 retry logic
-    if (!payload) {
-      const [a, b] = [stops[0], stops[stops.length - 1]];
-      const coords = `${a.lon},${a.lat};${b.lon},${b.lat}`;
-      const baseUrl = `${OSRM_URL}/route/v1/driving/${coords}?overview=full&geometries=geojson&alternatives=false`;
-      const excludeQS = exclude ? `&exclude=${exclude}` : '';
-      const urlWith = `${baseUrl}${excludeQS}`;
+    const route = out.payload;
+    const title = name || 'RoamWise route';
+    req.log.info({ event: 'route_export', format, stops: stops.length });
+
+    sendExport(res, format, {
+      name: title,
+      sections: [{
+        name: title,
+        track: route.geometry.features[0].geometry.coordinates,
+        stops: stops.map(p => ({ lat: p.lat, lon: p.lon, name: p.name })),
+        properties: {
+          mode: route.mode,
+          provider: route.provider,
+          distance_m: route.distance_m,
+          duration_s: route.duration_s
+        }
+      }]
+    });
+  } catch (error) {
+    req.log.error({ err: error }, 'Unexpected error');
+    return res.status(500).json({
+      ok: false,
+      code: 'internal_error',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/route/export?stops=lat,lon;lat,lon&format=gpx|kml|geojson
+ * Download link version of POST /api/route/export
+ */
+router.get('/export', (req, res) => sendRouteExport(req, res, exportInputFromQuery(req.query)));
 
-      // First attempt: with exclude parameter if present
-      let first = await callOsrm(urlWith, TIMEOUT_MS);
+/**
+ * POST /api/route/export?format=gpx|kml|geojson
+ * Body: POST /api/route body; stops may carry a name, plus an optional name (file title)
+ */
+router.post('/export', (req, res) => sendRouteExport(req, res, {
+  ...req.body,
+  ...(req.query.format && { format: req.query.format })
+}));
 
-      // Optional test hook to force retry code path
-      if (TEST_HOOKS && exclude && req.body?.constraints?._testForceRelax) {
-        first = { ok: false, error: 'test_forced' };
-      }
+/**
+ * POST /api/route/import?mode=drive|walk|bike
+ * Body: a GPX or KML file (Content-Type application/gpx+xml, application/vnd.google-earth.kml+xml, text/xml, ...)
+ * Response: { source, stops, matched, confidence, route } - route shaped like POST /api/route
+ */
+router.post('/import', geoFileBody, async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ ok: false, code: 'file_required' });
+    }
+    const mode = modeSchema.safeParse(req.query.mode);
+    if (!mode.success) {
+      return res.status(400).json({ ok: false, code: 'invalid_request', details: mode.error.flatten() });
+    }
 
-      // Retry logic: if first call fails OR OSRM returns non-Ok, try without exclude
-      let relaxed = false;
-      if (!first.ok || (first.ok && first.json?.code !== 'Ok')) {
-        // Try once WITHOUT exclude (regardless of OSRM exclude support)
-        const urlNo = baseUrl;
-        const second = await callOsrm(urlNo, TIMEOUT_MS);
-
-        if (second.ok && second.json?.code === 'Ok' && second.json?.routes?.length) {
-          first = second;
-          relaxed = !!exclude; // We tried to avoid, but had to relax
-          if (provider === 'osrm_fallback') {
-            provider = 'osrm_fallback_relaxed';
-          } else {
-            provider = 'osrm_relaxed';
-          }
-        }
-      }
+    const out = await importTrack(req.body, { mode: mode.data, log: req.log });
+    return res.status(out.ok ? 200 : out.status).json(out.body);
+  } catch (error) {
+    req.log.error({ err: error }, 'Unexpected error');
+    return res.status(500).json({
+      ok: false,
+      code: 'internal_error',
+      message: error.message
+    });
+  }
+});
 
-      const ms = Date.now() - startTime;
+/**
+ * POST /api/route/optimize
+ * Reorder places for the least total travel time, then route them
+ * Body: { start, end?, places[], departureTime?, constraints? }
+ */
+router.post('/optimize', async (req, res) => {
+  try {
+    const result = optimizeSchema.safeParse(req.body);
+    if (!result.success) {
+      return res.status(400).json({
+        ok: false,
+        code: 'invalid_request',
+        details: result.error.flatten()
+      });
+    }
 
-      // Check if we have a valid route
-      if (!first.ok || first.json?.code !== 'Ok' || !first.json?.routes?.length) {
-        // Set breaker based on error type
-        if (first.status && first.status >= 500) {
-          breakerUntil = Date.now() + 60_000; // 60s for 5xx errors
-        } else if (first.error) {
-          breakerUntil = Date.now() + 30_000; // 30s for network/timeout
-        }
+    const { start, end, places, mode, departureTime, providers, constraints } = result.data;
+    const points = [start, ...places, ...(end ? [end] : [])];
 
-        req.log.error({
-          event: 'route_err',
-          provider,
-          exclude,
-          relaxed_attempt: !!exclude,
-          detail: first.error || first.status || first.body || first.json?.message,
-          ms
-        }, 'Route failed');
-
-        observe('route', ms, false);
-
-        return res.status(502).json({
-          ok: false,
-          code: first.error === 'timeout' ? 'provider_timeout' : 'provider_error',
-          message: first.error || first.json?.message || 'Route computation failed'
-        });
+    let matrix;
+    try {
+      matrix = await getTravelMatrix(points, { mode, departureTimeIso: departureTime, log: req.log });
+    } catch (e) {
+      if (e.code === 'mode_unsupported') {
+        return res.status(400).json({ ok: false, code: 'mode_unsupported', mode });
       }
-
-      // Success - build response from OSRM
-      const route = first.json.routes[0];
-      payload = {
-        ok: true,
-        distance_m: Math.round(route.distance ?? 0),
-        duration_s: Math.round(route.duration ?? 0),
-        geometry: {
-          type: 'FeatureCollection',
-          features: [{
-            type: 'Feature',
-            properties: {},
-            geometry: route.geometry // GeoJSON LineString from OSRM
-          }]
-        },
-        route_retry_relaxed: relaxed
-      };
+      req.log.error({ event: 'optimize_matrix_err', err: String(e) });
+      return res.status(502).json({ ok: false, code: 'matrix_error' });
     }
 
-    const ms = Date.now() - startTime;
+    const { path, duration_s, method } = solveVisitOrder(matrix.matrix.duration_s, { hasEnd: !!end });
 
-    // Cache the successful response
-    cache.set(k, payload);
+    // path indexes into points; places are points[1..places.length]
+    const order = path
+      .filter(i => i >= 1 && i <= places.length)
+      .map(i => i - 1);
+    const stops = path.map(i => points[i]);
 
-    // Update counters
-    incrProvider(provider);
-    if (payload.route_retry_relaxed) {
-      incrRelaxed();
-    }
-
-    // Log successful route event
     req.log.info({
-      event: 'route_ok',
-      provider,
-      exclude,
-      route_retry_relaxed: payload.route_retry_relaxed,
-      distance_m: payload.distance_m,
-      duration_s: payload.duration_s,
-      route: k,
-      ms
-    }, 'Route computed successfully');
+      event: 'optimize_ok',
+      n: places.length,
+      method,
+      matrix_duration_s: duration_s
+    });
 
-    // Record metrics
-    observe('route', ms, true);
+    const routed = await computeRoute(stops.map(p => ({ lat: p.lat, lon: p.lon })), {
+      mode,
+      avoid: constraints?.avoid || [],
+      providers,
+      log: req.log
+    });
 
-    return res.json(payload);
+    if (!routed.ok) {
+      return res.status(routed.status).json({ ...routed.body, order, method });
+    }
 
+    return res.json({
+      ok: true,
+      method,
+      order,
+      places: order.map(i => places[i]),
+      matrix_duration_s: duration_s,
+      route: routed.payload
+    });
   } catch (error) {
     req.log.error({ err: error }, 'Unexpected error');
     return res.status(500).json({
@@ -395,7 +799,7 @@ router.post('/', async (req, res) => {
 
 /**
  * POST /api/matrix (dev endpoint)
- * Test Google Distance Matrix v2 integration
+ * Test the matrix provider chain (Google Distance Matrix v2, OSRM table, ...)
  */
 router.post('/matrix', async (req, res) => {
   try {
@@ -409,15 +813,19 @@ router.post('/matrix', async (req, res) => {
     req.log.info({
       event: 'matrix_ok',
       n: out.n,
-      mode: mode || 'DRIVE'
+      mode: mode || 'drive'
     });
 
     return res.json({
       ok: true,
+      provider: out.provider,
       n: out.n,
       sample: out.matrix.duration_s.slice(0, 3).map(r => r.slice(0, 3))
     });
   } catch (e) {
+    if (e.code === 'mode_unsupported') {
+      return res.status(400).json({ ok: false, code: 'mode_unsupported', mode: req.body?.mode });
+    }
     req.log.error({ event: 'matrix_err', err: String(e) });
     return res.status(502).json({ ok: false, code: 'matrix_error' });
   }
@@ -0,0 +1,91 @@
+// ---- Weather API ----
+// Hourly forecast for a point, with rain and heat warnings for trip planning
+
+import express from 'express';
+import { z } from 'zod';
+import { LRUCache } from 'lru-cache';
+import { time } from '../util/timing.js';
+import { observe } from '../ops/metrics.js';
+import { forecastHourly, forecastWarnings } from '../src/providers/weather/index.js';
+
+const router = express.Router();
+
+// Configuration
+const TTL_MS = Number(process.env.FORECAST_CACHE_TTL_MS || 30 * 60 * 1000); // 30 min
+const MAX_HOURS = 48;
+const THRESHOLDS = {
+  rainProb: Number(process.env.FORECAST_RAIN_PROB || 60), // %
+  rainMm: Number(process.env.FORECAST_RAIN_MM || 1), // per hour
+  heatC: Number(process.env.FORECAST_HEAT_C || 33)
+};
+
+// Cache
+const cache = new LRUCache({ max: 500, ttl: TTL_MS });
+
+const forecastQuery = z.object({
+  lat: z.coerce.number().gte(-90).lte(90),
+  lon: z.coerce.number().gte(-180).lte(180),
+  hours: z.coerce.number().int().min(1).max(MAX_HOURS).default(24)
+});
+
+/**
+ * GET /api/weather/forecast?lat=&lon=&hours=24
+ * Hourly temperature, precipitation and wind, plus rain/heat warning windows
+ */
+router.get('/api/weather/forecast', async (req, res) => {
+  try {
+    const result = forecastQuery.safeParse(req.query);
+    if (!result.success) {
+      return res.status(400).json({
+        ok: false,
+        code: 'invalid_request',
+        details: result.error.flatten(),
+      });
+    }
+
+    const { lat, lon, hours } = result.data;
+    const key = `fc:${lat.toFixed(2)}:${lon.toFixed(2)}:${hours}`;
+    const hit = cache.get(key);
+    if (hit) {
+      req.log.debug({ key }, 'Cache hit');
+      return res.json(hit);
+    }
+
+    const { val: r, ms } = await time('forecast_fetch', () => forecastHourly({ lat, lon }, { hours, log: req.log }));
+    if (!r.ok) {
+      observe('forecast', ms, false);
+      const unavailable = r.error === 'breaker_open';
+      req.log.warn({ event: 'forecast_err', error: r.error, attempts: r.attempts, ms });
+      return res.status(unavailable ? 503 : 502).json({
+        ok: false,
+        code: unavailable ? 'provider_unavailable' : 'provider_error',
+        message: unavailable ? 'Forecast provider temporarily unavailable' : (r.detail || r.error),
+      });
+    }
+
+    const payload = {
+      ok: true,
+      provider: r.provider,
+      lat,
+      lon,
+      hours: r.hours,
+      warnings: forecastWarnings(r.hours, THRESHOLDS),
+    };
+    cache.set(key, payload);
+
+    req.log.info({ event: 'forecast_ok', provider: r.provider, hours: r.hours.length, warnings: payload.warnings.length, ms });
+    observe('forecast', ms, true);
+
+    return res.json(payload);
+  } catch (error) {
+    req.log.error({ err: error }, 'Unexpected error');
+    observe('forecast', 0, false);
+    return res.status(502).json({
+      ok: false,
+      code: 'provider_failed',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
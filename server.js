@@ -7,16 +7,27 @@ import cors from 'cors';
 import pino from 'pino';
 import pinoHttp from 'pino-http';
 import { nanoid } from 'nanoid';
-import { migrate } from './db.js';
+import { migrate, bootstrapAdminPasswords } from './db.js';
+import { AUTH_MODE, assertAuthConfig } from './auth.js';
 import { migrate as familyMigrate } from './src/ops/db-migrate.js';
 import authRoutes from './routes/auth.js';
 import profileRoutes from './routes/profile.js';
 import routeRoutes from './routes/route.js';
 import hazardsRoutes from './routes/hazards.js';
+import weatherRoutes from './routes/weather.js';
+import hazardSubscriptionRoutes from './src/routes/hazard-subscriptions.js';
 import adminRoutes from './routes/admin.js';
 import feedbackRoutes from './routes/feedback.js';
 import familyAuth from './src/routes/family-auth.js';
+import { principalRequired } from './src/ops/identity.js';
 import placesRoutes from './routes/places.js';
+import itineraryRoutes from './routes/itinerary.js';
+import tripsRoutes from './src/routes/trips.js';
+import tenantsRoutes from './src/routes/tenants.js';
+import sessionsRoutes from './src/routes/sessions.js';
+import passwordAuthRoutes from './src/routes/password-auth.js';
+import { hashPassword, passwordProblem } from './src/ops/passwords.js';
+import { startHazardPoller } from './src/ops/hazard-subscriptions.js';
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -64,8 +75,14 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Auth routes (dev login/logout)
-app.use('/api/dev', authRoutes);
+// Auth routes: passwordless dev login only in dev mode, password login always
+if (AUTH_MODE === 'dev') {
+  app.use('/api/dev', authRoutes);
+}
+app.use('/api/auth', passwordAuthRoutes);
+
+// JWT session management (requires auth)
+app.use('/api/sessions', sessionsRoutes);
 
 // Profile routes (requires auth)
 app.use('/api/profile', profileRoutes);
@@ -73,9 +90,24 @@ app.use('/api/profile', profileRoutes);
 // Route routes (OSRM integration)
 app.use('/api/route', routeRoutes);
 
+// Itinerary routes (opening-hours aware day plans)
+app.use('/api/itinerary', itineraryRoutes);
+
+// Saved trips (requires auth)
+app.use('/api/trips', tripsRoutes);
+
+// Tenant administration (users, roles, invites, audit log)
+app.use('/api/tenants', tenantsRoutes);
+
 // Hazards routes (weather + traffic)
 app.use(hazardsRoutes);
 
+// Hazard alert subscriptions (Web Push / webhook)
+app.use('/api/hazards/subscriptions', hazardSubscriptionRoutes);
+
+// Weather forecast
+app.use(weatherRoutes);
+
 // Admin routes (health dashboard)
 app.use(adminRoutes);
 
@@ -85,23 +117,20 @@ app.use(feedbackRoutes);
 // Family auth routes (phone-only signin)
 app.use('/api/family', familyAuth);
 
-// Places routes (Google Places API)
+// Places routes (Google Places, Overpass)
 app.use(placesRoutes);
 
-// /api/me endpoint (uses family session cookie)
-app.get('/api/me', (req, res) => {
-  const cookie = req.cookies?.family_session;
-  if (!cookie) {
-    return res.status(401).json({ ok: false, code: 'not_signed_in' });
-  }
-
-  try {
-    const json = Buffer.from(cookie, 'base64url').toString('utf-8');
-    const session = JSON.parse(json);
-    res.json({ ok: true, session });
-  } catch (error) {
-    res.status(401).json({ ok: false, code: 'invalid_session' });
-  }
+// /api/me endpoint (JWT or family session cookie)
+app.get('/api/me', principalRequired, (req, res) => {
+  const p = req.principal;
+  res.json({
+    ok: true,
+    principal: p,
+    // Family clients read the phone session shape
+    session: p.via === 'family'
+      ? { userId: p.familyUserId, name: p.displayName, sessionId: p.sessionId }
+      : null
+  });
 });
 
 // 404 handler
@@ -118,6 +147,14 @@ app.use((err, req, res, next) => {
 
 // ---- Startup ----
 
+// Refuse to start with unsafe auth settings
+try {
+  assertAuthConfig();
+} catch (error) {
+  logger.fatal({ err: error }, 'Invalid auth configuration');
+  process.exit(1);
+}
+
 // Run database migrations
 try {
   migrate();
@@ -127,7 +164,19 @@ try {
   process.exit(1);
 }
 
+// First start without dev login: seed admins' password from ADMIN_INITIAL_PASSWORD
+if (process.env.ADMIN_INITIAL_PASSWORD) {
+  const problem = passwordProblem(process.env.ADMIN_INITIAL_PASSWORD);
+  if (problem) {
+    logger.fatal({ code: problem }, 'ADMIN_INITIAL_PASSWORD rejected');
+    process.exit(1);
+  }
+  const updated = bootstrapAdminPasswords(await hashPassword(process.env.ADMIN_INITIAL_PASSWORD));
+  if (updated) logger.warn({ users: updated }, 'Admin password set from ADMIN_INITIAL_PASSWORD; change it and unset the variable');
+}
+
 // Start server
 app.listen(PORT, () => {
-  logger.info({ port: PORT }, 'RoamWise Backend started');
+  logger.info({ port: PORT, auth_mode: AUTH_MODE }, 'RoamWise Backend started');
+  startHazardPoller(logger);
 });
@@ -1,4 +1,4 @@
-// 10-min TTL cache for search; 6-hour TTL for details (respect TOS; no long-term storage)
+// 10-min TTL cache for search (text and nearby); 6-hour TTL for details (respect TOS; no long-term storage)
 const cache = new Map();
 
 function keySearch({query, openNow, minRating, priceLevels, includedType, biasCircle, lang}) {
@@ -6,6 +6,10 @@ function keySearch({query, openNow, minRating, priceLevels, includedType, biasCi
   const pl = Array.isArray(priceLevels) ? priceLevels.join('-') : 'any';
   return `S|${lang}|${query}|${openNow}|${minRating}|${pl}|${includedType||'any'}|${bias}`;
 }
+function keyNearby({includedTypes, center, radius, openNow, minRating, maxResults, lang}) {
+  const at = `${center.latitude.toFixed(4)},${center.longitude.toFixed(4)}:${radius}`;
+  return `N|${lang}|${[...includedTypes].sort().join('-')}|${at}|${openNow}|${minRating}|${maxResults}`;
+}
 function keyDetails(id, lang){ return `D|${lang}|${id}`; }
 
 export function getSearchCache(k) {
@@ -22,4 +26,4 @@ export function getDetailsCache(k) {
 }
 export function setDetailsCache(k, v){ cache.set(k, { t: Date.now(), v }); }
 
-export const cacheKeys = { keySearch, keyDetails };
+export const cacheKeys = { keySearch, keyNearby, keyDetails };
@@ -1,8 +1,8 @@
 // backend/src/ops/db-migrate.js
-import db from '../../db.js';
+import db, { ensureColumn } from '../../db.js';
 
 export function migrate() {
-  console.log('[DB-MIGRATE] Running family_users table migrations...');
+  console.log('[DB-MIGRATE] Running family_users, sessions and trips table migrations...');
 
   db.exec(`
     CREATE TABLE IF NOT EXISTS family_users (
@@ -19,5 +19,300 @@ export function migrate() {
     ON family_users(name)
   `);
 
+  // Tenant user a phone acts as (profile, trips); see src/ops/identity.js
+  ensureColumn('family_users', 'linked_user_id', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+
   console.log('[DB-MIGRATE] family_users table ready.');
+
+  // One pending sign-in code per phone (hashed), plus failure/lockout tracking
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS family_otps (
+      phone_e164 TEXT PRIMARY KEY,
+      code_hash TEXT,
+      expires_at INTEGER,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      sent_at INTEGER,
+      failures INTEGER NOT NULL DEFAULT 0,
+      locked_until INTEGER
+    )
+  `);
+
+  // Server-side family sessions; the cookie holds an opaque token, only its hash is stored
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS family_sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      prev_token_hash TEXT,
+      prev_valid_until INTEGER,
+      user_agent TEXT,
+      ip TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      rotated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      last_seen_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      expires_at INTEGER NOT NULL,
+      revoked_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES family_users(user_id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_family_sessions_user
+    ON family_sessions(user_id)
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_family_sessions_prev
+    ON family_sessions(prev_token_hash)
+  `);
+
+  // One row per issued JWT (jti) so dev/tenant logins can be listed and revoked
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS jwt_sessions (
+      jti TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      user_agent TEXT,
+      ip TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      last_seen_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      expires_at INTEGER NOT NULL,
+      revoked_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_jwt_sessions_user
+    ON jwt_sessions(user_id)
+  `);
+
+  console.log('[DB-MIGRATE] session tables ready.');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trips (
+      id TEXT PRIMARY KEY,
+      tenant_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      notes TEXT,
+      start_date TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_trips_owner
+    ON trips(tenant_id, user_id)
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trip_days (
+      id TEXT PRIMARY KEY,
+      trip_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      date TEXT,
+      title TEXT,
+      FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trip_stops (
+      id TEXT PRIMARY KEY,
+      trip_id TEXT NOT NULL,
+      day_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      place_id TEXT,
+      name TEXT,
+      lat REAL,
+      lon REAL,
+      dwell_min INTEGER,
+      notes TEXT,
+      leg_json TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+      FOREIGN KEY (day_id) REFERENCES trip_days(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_trip_stops_day
+    ON trip_stops(day_id, position)
+  `);
+
+  // Optimistic concurrency: bumped on every change to a trip or its stops
+  ensureColumn('trips', 'version', 'INTEGER NOT NULL DEFAULT 1');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trip_members (
+      trip_id TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('editor', 'viewer')),
+      added_by INTEGER,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      PRIMARY KEY (trip_id, user_id),
+      FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  console.log('[DB-MIGRATE] trips tables ready.');
+
+  // Join codes for a tenant, redeemed by a family sign-in
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tenant_invites (
+      code TEXT PRIMARY KEY,
+      tenant_id INTEGER NOT NULL,
+      role TEXT NOT NULL CHECK(role IN ('admin', 'member')),
+      created_by INTEGER,
+      max_uses INTEGER NOT NULL DEFAULT 1,
+      uses INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      expires_at INTEGER NOT NULL,
+      revoked_at INTEGER,
+      FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_tenant_invites_tenant
+    ON tenant_invites(tenant_id)
+  `);
+
+  // Append-only record of tenant administration; actor/target are kept as
+  // plain values so entries survive user removal
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tenant_id INTEGER,
+      actor_user_id INTEGER,
+      actor_family_user_id TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      detail_json TEXT,
+      ip TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch())
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_audit_log_tenant
+    ON audit_log(tenant_id, created_at)
+  `);
+
+  console.log('[DB-MIGRATE] tenant admin tables ready.');
+
+  // Hazard alerts for a saved area, a route or a trip; see src/ops/hazard-subscriptions.js
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS hazard_subscriptions (
+      id TEXT PRIMARY KEY,
+      tenant_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      name TEXT,
+      target_json TEXT NOT NULL,
+      min_severity TEXT NOT NULL CHECK(min_severity IN ('minor', 'moderate', 'severe')),
+      channel_json TEXT NOT NULL,
+      lang TEXT NOT NULL DEFAULT 'he',
+      expires_at INTEGER,
+      active INTEGER NOT NULL DEFAULT 1,
+      last_checked_at INTEGER,
+      last_notified_at INTEGER,
+      last_error TEXT,
+      created_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_hazard_subscriptions_owner
+    ON hazard_subscriptions(tenant_id, user_id)
+  `);
+
+  // What each subscriber was last told, per hazard
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS hazard_notified (
+      subscription_id TEXT NOT NULL,
+      hazard_key TEXT NOT NULL,
+      severity TEXT NOT NULL,
+      notified_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      last_seen_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      PRIMARY KEY (subscription_id, hazard_key),
+      FOREIGN KEY (subscription_id) REFERENCES hazard_subscriptions(id) ON DELETE CASCADE
+    )
+  `);
+
+  console.log('[DB-MIGRATE] hazard subscription tables ready.');
+
+  // Hazard history; see src/ops/hazard-history.js
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS hazards (
+      id TEXT PRIMARY KEY,
+      kind TEXT NOT NULL CHECK(kind IN ('weather', 'traffic')),
+      title TEXT,
+      event TEXT,
+      severity TEXT NOT NULL CHECK(severity IN ('minor', 'moderate', 'severe')),
+      peak_severity TEXT NOT NULL CHECK(peak_severity IN ('minor', 'moderate', 'severe')),
+      geometry_json TEXT,
+      properties_json TEXT,
+      min_lon REAL,
+      min_lat REAL,
+      max_lon REAL,
+      max_lat REAL,
+      onset_at INTEGER,
+      expires_at INTEGER,
+      first_seen_at INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL,
+      ended_at INTEGER
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_hazards_open
+    ON hazards(kind, ended_at)
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_hazards_last_seen
+    ON hazards(last_seen_at)
+  `);
+
+  // Feed reports merged into each hazard
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS hazard_reports (
+      report_key TEXT PRIMARY KEY,
+      hazard_id TEXT NOT NULL,
+      first_seen_at INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL,
+      FOREIGN KEY (hazard_id) REFERENCES hazards(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_hazard_reports_hazard
+    ON hazard_reports(hazard_id)
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS hazard_severity_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      hazard_id TEXT NOT NULL,
+      severity TEXT NOT NULL,
+      changed_at INTEGER NOT NULL,
+      FOREIGN KEY (hazard_id) REFERENCES hazards(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_hazard_severity_log_hazard
+    ON hazard_severity_log(hazard_id)
+  `);
+
+  console.log('[DB-MIGRATE] hazard history tables ready.');
 }
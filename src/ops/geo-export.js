@@ -0,0 +1,123 @@
+// backend/src/ops/geo-export.js
+// Route and trip downloads as GPX 1.1, KML 2.2 or GeoJSON.
+//
+// Every format is rendered from one document:
+//   { name, sections: [{ name, track: [[lon, lat], ...] | null, stops: [stop], properties? }] }
+//   stop: { lat, lon, name?, notes?, properties? }
+// A route export has one section; a trip has one per day.
+
+export const EXPORT_FORMATS = ['gpx', 'kml', 'geojson'];
+
+const CONTENT_TYPES = {
+  gpx: 'application/gpx+xml',
+  kml: 'application/vnd.google-earth.kml+xml',
+  geojson: 'application/geo+json'
+};
+
+const CREATOR = 'RoamWise';
+
+function xml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function tag(name, value) {
+  return value ? `<${name}>${xml(value)}</${name}>` : '';
+}
+
+function stopLabel(stop, i) {
+  return stop.name || `Stop ${i + 1}`;
+}
+
+function toGpx(doc) {
+  const wpts = doc.sections.flatMap(sec => sec.stops.map((s, i) =>
+    `  <wpt lat="${s.lat}" lon="${s.lon}">${tag('name', stopLabel(s, i))}${tag('desc', s.notes)}</wpt>`));
+  const trks = doc.sections.filter(sec => sec.track?.length).map(sec => [
+    `  <trk>${tag('name', sec.name)}<trkseg>`,
+    ...sec.track.map(([lon, lat]) => `    <trkpt lat="${lat}" lon="${lon}"/>`),
+    '  </trkseg></trk>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata>${tag('name', doc.name)}<time>${new Date().toISOString()}</time></metadata>`,
+    ...wpts,
+    ...trks,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+function toKml(doc) {
+  const folder = sec => {
+    const points = sec.stops.map((s, i) => [
+      '    <Placemark>',
+      `      ${tag('name', stopLabel(s, i))}${tag('description', s.notes)}`,
+      `      <Point><coordinates>${s.lon},${s.lat}</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n'));
+    const line = sec.track?.length ? [
+      '    <Placemark>',
+      `      ${tag('name', sec.name)}<styleUrl>#route</styleUrl>`,
+      `      <LineString><tessellate>1</tessellate><coordinates>${sec.track.map(c => `${c[0]},${c[1]}`).join(' ')}</coordinates></LineString>`,
+      '    </Placemark>'
+    ].join('\n') : null;
+    return ['  <Folder>', `    ${tag('name', sec.name)}`, ...points, ...(line ? [line] : []), '  </Folder>'].join('\n');
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `  ${tag('name', doc.name)}`,
+    '  <Style id="route"><LineStyle><color>ffd18b1e</color><width>4</width></LineStyle></Style>',
+    ...doc.sections.map(folder),
+    '</Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+function toGeoJson(doc) {
+  const features = doc.sections.flatMap((sec, section) => [
+    ...(sec.track?.length ? [{
+      type: 'Feature',
+      properties: { kind: 'route', section, name: sec.name || null, ...sec.properties },
+      geometry: { type: 'LineString', coordinates: sec.track }
+    }] : []),
+    ...sec.stops.map((s, i) => ({
+      type: 'Feature',
+      properties: { kind: 'stop', section, index: i, name: s.name || null, notes: s.notes || null, ...s.properties },
+      geometry: { type: 'Point', coordinates: [s.lon, s.lat] }
+    }))
+  ]);
+  return JSON.stringify({ type: 'FeatureCollection', name: doc.name, features });
+}
+
+const RENDERERS = { gpx: toGpx, kml: toKml, geojson: toGeoJson };
+
+/**
+ * Download file name for a document ("Day in Haifa" -> "Day-in-Haifa.gpx")
+ */
+function fileNameFor(name, format) {
+  const base = String(name || '').trim().replace(/[\\/:*?"<>|\s]+/g, '-').slice(0, 80) || 'route';
+  return `${base}.${format}`;
+}
+
+/**
+ * Render a document and send it as an attachment
+ * @param {import('express').Response} res
+ * @param {'gpx'|'kml'|'geojson'} format
+ * @param {Object} doc - See header
+ */
+export function sendExport(res, format, doc) {
+  const body = RENDERERS[format](doc);
+  res.attachment(fileNameFor(doc.name, format));
+  res.type(CONTENT_TYPES[format]);
+  res.send(body);
+}
@@ -0,0 +1,123 @@
+// backend/src/ops/geo-import.js
+// Parse uploaded GPX (waypoints, routes, tracks) and KML (placemarks with
+// Point, LineString, MultiGeometry or gx:Track) into one shape:
+//   { ok: true, format, name, waypoints: [{ lat, lon, name }], tracks: [[{ lat, lon, time }]] }
+//   { ok: false, error: 'invalid_xml' | 'unsupported_format' | 'empty' }
+// time is epoch ms or null. Coordinates are not range-checked here.
+// KMZ (zipped KML) is not supported.
+import { XMLParser } from 'fast-xml-parser';
+
+const ARRAYS = new Set([
+  'wpt', 'rte', 'rtept', 'trk', 'trkseg', 'trkpt',
+  'Document', 'Folder', 'Placemark', 'LineString', 'Point', 'Track', 'when', 'coord'
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseAttributeValue: false,
+  parseTagValue: false,
+  removeNSPrefix: true, // gx:Track -> Track
+  isArray: name => ARRAYS.has(name)
+});
+
+function text(v) {
+  if (v == null) return null;
+  if (typeof v === 'object') return v['#text'] != null ? String(v['#text']).trim() : null;
+  return String(v).trim() || null;
+}
+
+function timeOf(v) {
+  const t = Date.parse(text(v) || '');
+  return Number.isFinite(t) ? t : null;
+}
+
+// ---- GPX ----
+
+function gpxPoint(p) {
+  return { lat: Number(p.lat), lon: Number(p.lon), name: text(p.name), time: timeOf(p.time) };
+}
+
+function parseGpx(gpx) {
+  const waypoints = (gpx.wpt || []).map(gpxPoint).map(({ lat, lon, name }) => ({ lat, lon, name }));
+  const tracks = [
+    ...(gpx.rte || []).map(r => (r.rtept || []).map(gpxPoint)),
+    ...(gpx.trk || []).flatMap(t => (t.trkseg || []).map(seg => (seg.trkpt || []).map(gpxPoint)))
+  ].map(pts => pts.map(({ lat, lon, time }) => ({ lat, lon, time })));
+
+  return {
+    name: text(gpx.metadata?.name) || text(gpx.trk?.[0]?.name) || text(gpx.rte?.[0]?.name),
+    waypoints,
+    tracks
+  };
+}
+
+// ---- KML ----
+
+// "lon,lat[,alt] lon,lat[,alt] ..."
+function kmlCoords(s) {
+  return String(text(s) || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => {
+      const [lon, lat] = tuple.split(',').map(Number);
+      return { lat, lon, time: null };
+    });
+}
+
+// Placemarks at any depth (Document / Folder nesting)
+function collectPlacemarks(node, out = []) {
+  if (!node || typeof node !== 'object') return out;
+  for (const pm of node.Placemark || []) out.push(pm);
+  for (const child of [...(node.Document || []), ...(node.Folder || [])]) collectPlacemarks(child, out);
+  return out;
+}
+
+function parseKml(kml) {
+  const waypoints = [];
+  const tracks = [];
+
+  for (const pm of collectPlacemarks(kml)) {
+    const name = text(pm.name);
+    const geoms = [pm, ...(pm.MultiGeometry ? [pm.MultiGeometry] : [])];
+    for (const g of geoms) {
+      for (const pt of g.Point || []) {
+        const [p] = kmlCoords(pt.coordinates);
+        if (p) waypoints.push({ lat: p.lat, lon: p.lon, name });
+      }
+      for (const ls of g.LineString || []) tracks.push(kmlCoords(ls.coordinates));
+      // gx:Track: parallel <when> and <gx:coord>"lon lat alt"</gx:coord>
+      for (const tr of g.Track || []) {
+        const when = tr.when || [];
+        tracks.push((tr.coord || []).map((c, i) => {
+          const [lon, lat] = String(text(c)).split(/\s+/).map(Number);
+          return { lat, lon, time: timeOf(when[i]) };
+        }));
+      }
+    }
+  }
+
+  return { name: text(kml.Document?.[0]?.name), waypoints, tracks };
+}
+
+/**
+ * Parse a GPX or KML document (format detected from the root element)
+ * @param {string} xml
+ */
+export function parseGeoFile(xml) {
+  let doc;
+  try {
+    doc = parser.parse(String(xml || ''), true);
+  } catch {
+    return { ok: false, error: 'invalid_xml' };
+  }
+
+  let out;
+  if (doc.gpx) out = { format: 'gpx', ...parseGpx(doc.gpx) };
+  else if (doc.kml) out = { format: 'kml', ...parseKml(doc.kml) };
+  else return { ok: false, error: 'unsupported_format' };
+
+  out.tracks = out.tracks.filter(t => t.length >= 2);
+  if (!out.waypoints.length && !out.tracks.length) return { ok: false, error: 'empty' };
+  return { ok: true, ...out };
+}
@@ -0,0 +1,363 @@
+// backend/src/ops/geo.js
+// Small geometry helpers on WGS84 points: distances, track simplification,
+// stop detection, route corridors. Good enough for city/region scale; not survey grade.
+
+const R = 6371000; // Earth radius in meters
+const toRad = deg => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance (Haversine formula)
+ */
+export function distanceMeters(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Length of a LineString
+ * @param {Array} coords - [[lon, lat], ...]
+ */
+export function lineLengthMeters(coords) {
+  let d = 0;
+  for (let i = 1; i < coords.length; i++) {
+    d += distanceMeters(coords[i - 1][1], coords[i - 1][0], coords[i][1], coords[i][0]);
+  }
+  return d;
+}
+
+/**
+ * Same bounds as the route request schema
+ */
+export function inBounds(p) {
+  return Number.isFinite(p?.lat) && Number.isFinite(p?.lon)
+    && p.lat >= -90 && p.lat <= 90 && p.lon >= -180 && p.lon <= 180;
+}
+
+// Distance from p to segment a-b in metres, on a local flat projection around a
+function offsetMeters(p, a, b) {
+  const kx = Math.cos(toRad(a.lat)) * R;
+  const x = toRad(p.lon - a.lon) * kx;
+  const y = toRad(p.lat - a.lat) * R;
+  const bx = toRad(b.lon - a.lon) * kx;
+  const by = toRad(b.lat - a.lat) * R;
+  const len2 = bx * bx + by * by;
+  const t = len2 ? Math.max(0, Math.min(1, (x * bx + y * by) / len2)) : 0;
+  return Math.hypot(x - t * bx, y - t * by);
+}
+
+/**
+ * Douglas-Peucker simplification
+ * @param {Array<{lat: number, lon: number}>} points
+ * @param {number} toleranceM - Max distance a dropped point may be from the simplified line
+ * @returns {Array} Kept points (same objects, original order)
+ */
+export function simplify(points, toleranceM) {
+  if (points.length <= 2) return points.slice();
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxD = 0;
+    let idx = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = offsetMeters(points[i], points[first], points[last]);
+      if (d > maxD) { maxD = d; idx = i; }
+    }
+    if (idx !== -1 && maxD > toleranceM) {
+      keep[idx] = 1;
+      stack.push([first, idx], [idx, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Simplify until at most maxPoints remain, doubling the tolerance each round
+ */
+export function simplifyTo(points, maxPoints, toleranceM) {
+  let out = simplify(points, toleranceM);
+  let tol = toleranceM;
+  while (out.length > maxPoints) {
+    tol *= 2;
+    out = simplify(points, tol);
+  }
+  return out;
+}
+
+/**
+ * Places a timed track paused at: consecutive points staying within radiusM
+ * for at least minPauseS
+ * @param {Array<{lat: number, lon: number, time?: number}>} points - time in ms
+ * @returns {Array<{lat: number, lon: number, index: number, dwell_s: number}>} index = first point of the pause
+ */
+export function findPauses(points, { radiusM = 50, minPauseS = 300 } = {}) {
+  const out = [];
+  let i = 0;
+  while (i < points.length) {
+    const a = points[i];
+    let j = i + 1;
+    while (j < points.length && distanceMeters(a.lat, a.lon, points[j].lat, points[j].lon) <= radiusM) j++;
+
+    const last = points[j - 1];
+    const dwell = a.time != null && last.time != null ? (last.time - a.time) / 1000 : 0;
+    if (dwell >= minPauseS) {
+      const group = points.slice(i, j);
+      out.push({
+        lat: group.reduce((s, p) => s + p.lat, 0) / group.length,
+        lon: group.reduce((s, p) => s + p.lon, 0) / group.length,
+        index: i,
+        dwell_s: Math.round(dwell)
+      });
+    }
+    i = j;
+  }
+  return out;
+}
+
+// ---- Corridors ----
+// A corridor is a line (route) plus a buffer. Geometry is projected to a
+// local flat plane (metres) around the line's mean latitude.
+
+function projector(lat0) {
+  const kx = Math.cos(toRad(lat0)) * toRad(1) * R;
+  const ky = toRad(1) * R;
+  return c => [c[0] * kx, c[1] * ky];
+}
+
+// Closest point on segment a-b to p: { t (0..1 along a-b), d (metres) }
+function pointToSegment(p, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len2)) : 0;
+  return { t, d: Math.hypot(p[0] - a[0] - t * dx, p[1] - a[1] - t * dy) };
+}
+
+// Closest approach of segment p-q to segment a-b, t along a-b (crossing = distance 0)
+function segmentToSegment(a, b, p, q) {
+  const r = [b[0] - a[0], b[1] - a[1]];
+  const s = [q[0] - p[0], q[1] - p[1]];
+  const den = r[0] * s[1] - r[1] * s[0];
+  if (den !== 0) {
+    const t = ((p[0] - a[0]) * s[1] - (p[1] - a[1]) * s[0]) / den;
+    const u = ((p[0] - a[0]) * r[1] - (p[1] - a[1]) * r[0]) / den;
+    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) return { t, d: 0 };
+  }
+  const fromA = pointToSegment(a, p, q);
+  const fromB = pointToSegment(b, p, q);
+  return [
+    pointToSegment(p, a, b),
+    pointToSegment(q, a, b),
+    { t: 0, d: fromA.d },
+    { t: 1, d: fromB.d }
+  ].reduce((best, c) => (c.d < best.d ? c : best));
+}
+
+// Ray casting over a polygon's rings (holes included)
+function insidePolygon(p, rings) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > p[1]) !== (yj > p[1]) && p[0] < ((xj - xi) * (p[1] - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Split a GeoJSON geometry into projected points, lines and polygons
+function partsOf(geometry, proj, out = { points: [], lines: [], polygons: [] }) {
+  if (!geometry) return out;
+  const c = geometry.coordinates;
+  switch (geometry.type) {
+    case 'Point': out.points.push(proj(c)); break;
+    case 'MultiPoint': c.forEach(p => out.points.push(proj(p))); break;
+    case 'LineString': out.lines.push(c.map(proj)); break;
+    case 'MultiLineString': c.forEach(l => out.lines.push(l.map(proj))); break;
+    case 'Polygon': out.polygons.push(c.map(ring => ring.map(proj))); break;
+    case 'MultiPolygon': c.forEach(poly => out.polygons.push(poly.map(ring => ring.map(proj)))); break;
+    case 'GeometryCollection': (geometry.geometries || []).forEach(g => partsOf(g, proj, out)); break;
+    default: break;
+  }
+  return out;
+}
+
+function bboxOf(xys, pad = 0) {
+  let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [x, y] of xys) {
+    if (x < minX) minX = x;
+    if (y < minY) minY = y;
+    if (x > maxX) maxX = x;
+    if (y > maxY) maxY = y;
+  }
+  return [minX - pad, minY - pad, maxX + pad, maxY + pad];
+}
+
+function bboxesTouch(a, b) {
+  return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+
+/**
+ * First LineString in a geometry, Feature or FeatureCollection
+ * (e.g. the geometry FeatureCollection of a /api/route response)
+ */
+export function lineOf(g) {
+  if (!g) return null;
+  if (g.type === 'LineString') return g;
+  if (g.type === 'Feature') return lineOf(g.geometry);
+  if (g.type === 'FeatureCollection') {
+    for (const f of g.features || []) {
+      const line = lineOf(f);
+      if (line) return line;
+    }
+  }
+  return null;
+}
+
+/**
+ * Point at a distance along a line (clamped to its ends)
+ * @param {Array} coords - [[lon, lat], ...]
+ * @returns {Array} [lon, lat]
+ */
+export function pointAlong(coords, distM) {
+  let left = Math.max(distM, 0);
+  for (let i = 1; i < coords.length; i++) {
+    const [a, b] = [coords[i - 1], coords[i]];
+    const d = distanceMeters(a[1], a[0], b[1], b[0]);
+    if (left <= d) {
+      const t = d ? left / d : 0;
+      return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+    }
+    left -= d;
+  }
+  return coords[coords.length - 1];
+}
+
+/**
+ * Build a corridor around a line
+ * A single coordinate makes a circle (point + radius).
+ * @param {Array} coords - [[lon, lat], ...]
+ * @param {number} bufferM - Half-width in metres
+ */
+export function corridor(coords, bufferM) {
+  const proj = projector(coords.reduce((s, c) => s + c[1], 0) / coords.length);
+  const pts = coords.map(proj);
+  const cum = [0];
+  for (let i = 1; i < coords.length; i++) {
+    cum.push(cum[i - 1] + distanceMeters(coords[i - 1][1], coords[i - 1][0], coords[i][1], coords[i][0]));
+  }
+
+  const pairs = pts.length > 1 ? pts.slice(1).map((b, i) => [pts[i], b]) : [[pts[0], pts[0]]];
+  const segs = pairs.map(([a, b], i) => ({ a, b, i, bbox: bboxOf([a, b]) }));
+  return { proj, cum, segs, bufferM, length_m: cum[cum.length - 1] };
+}
+
+/**
+ * Where a geometry touches a corridor
+ * Points and lines count within the buffer; polygons count when the line
+ * enters them or passes within the buffer of their edge. The hit is where the
+ * line first crosses into the geometry, else where it passes closest.
+ * @param {Object} c - From corridor()
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {{along_m: number, offset_m: number}|null} along_m: distance along the line to the hit
+ */
+export function hitCorridor(c, geometry) {
+  const parts = partsOf(geometry, c.proj);
+  const all = [...parts.points, ...parts.lines.flat(), ...parts.polygons.flat(2)];
+  if (!all.length) return null;
+  const box = bboxOf(all, c.bufferM);
+
+  const edges = [
+    ...parts.lines.flatMap(l => l.slice(1).map((q, i) => [l[i], q])),
+    ...parts.polygons.flatMap(rings => rings.flatMap(r => r.slice(1).map((q, i) => [r[i], q])))
+  ];
+
+  let best = null;
+  for (const seg of c.segs) {
+    if (!bboxesTouch(seg.bbox, box)) continue;
+
+    let here = null;
+    const consider = hit => {
+      if (!here || hit.d < here.d || (hit.d === here.d && hit.t < here.t)) here = hit;
+    };
+
+    if (parts.polygons.some(rings => insidePolygon(seg.a, rings))) consider({ t: 0, d: 0 });
+    parts.points.forEach(p => consider(pointToSegment(p, seg.a, seg.b)));
+    edges.forEach(([p, q]) => consider(segmentToSegment(seg.a, seg.b, p, q)));
+
+    if (here && here.d <= c.bufferM && (!best || here.d < best.d)) {
+      const next = c.cum[seg.i + 1] ?? c.cum[seg.i];
+      best = { d: here.d, along: c.cum[seg.i] + here.t * (next - c.cum[seg.i]) };
+      if (best.d === 0) break;
+    }
+  }
+  return best && { along_m: Math.round(best.along), offset_m: Math.round(best.d) };
+}
+
+/**
+ * An area to keep a route out of: polygons as they are, points and lines as
+ * their bounding box padded by padM
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} Polygon coordinate arrays ([[ring], ...] each), empty for unknown geometry
+ */
+export function areaAround(geometry, padM) {
+  if (!geometry) return [];
+  switch (geometry.type) {
+    case 'Polygon': return [geometry.coordinates];
+    case 'MultiPolygon': return geometry.coordinates;
+    case 'GeometryCollection': return (geometry.geometries || []).flatMap(g => areaAround(g, padM));
+    default: break;
+  }
+
+  const flat = { Point: [geometry.coordinates], MultiPoint: geometry.coordinates,
+    LineString: geometry.coordinates, MultiLineString: geometry.coordinates?.flat() }[geometry.type];
+  if (!flat?.length) return [];
+
+  const [minLon, minLat, maxLon, maxLat] = bboxOf(flat);
+  const dLat = padM / R / toRad(1);
+  const dLon = dLat / Math.max(Math.cos(toRad((minLat + maxLat) / 2)), 0.01);
+  const [w, s, e, n] = [minLon - dLon, minLat - dLat, maxLon + dLon, maxLat + dLat];
+  return [[[[w, s], [e, s], [e, n], [w, n], [w, s]]]];
+}
+
+// Every line of a geometry in [lon, lat]: points as one-coordinate lines, polygon rings as lines
+function linesOf(geometry, out = []) {
+  const c = geometry?.coordinates;
+  switch (geometry?.type) {
+    case 'Point': out.push([c]); break;
+    case 'MultiPoint': c.forEach(p => out.push([p])); break;
+    case 'LineString': out.push(c); break;
+    case 'MultiLineString':
+    case 'Polygon': c.forEach(l => out.push(l)); break;
+    case 'MultiPolygon': c.forEach(poly => poly.forEach(ring => out.push(ring))); break;
+    case 'GeometryCollection': (geometry.geometries || []).forEach(g => linesOf(g, out)); break;
+    default: break;
+  }
+  return out.filter(l => l?.length);
+}
+
+/**
+ * Bounding box of a geometry
+ * @returns {Array|null} [minLon, minLat, maxLon, maxLat], null for an empty geometry
+ */
+export function geometryBbox(geometry) {
+  const all = linesOf(geometry).flat();
+  return all.length ? bboxOf(all) : null;
+}
+
+/**
+ * Do two geometries touch or come within bufferM of each other?
+ * (One inside the other's polygon counts.)
+ */
+export function geometriesNear(a, b, bufferM) {
+  const near = (x, y) => linesOf(x).some(line => hitCorridor(corridor(line, bufferM), y));
+  return near(a, b) || near(b, a);
+}
@@ -0,0 +1,258 @@
+// backend/src/ops/hazard-history.js
+// Hazard history: every successful feed read is recorded in SQLite, so a
+// hazard keeps a stable id (hz_...), first/last seen times, its severity
+// changes and when it left the feed (ended_at) or expired.
+//
+// A feed report is identified by its feed id (else its title and geometry).
+// A new report that overlaps an open hazard of the same kind and event/title
+// (geometries within HAZ_MERGE_M) is merged into it: the hazard's severity is
+// the highest of its reports, its bbox covers all of them.
+// Hazards last seen more than HAZ_HISTORY_DAYS ago are deleted.
+import { createHash } from 'crypto';
+import { nanoid } from 'nanoid';
+import db from '../../db.js';
+import { geometryBbox, geometriesNear } from './geo.js';
+
+const MERGE_M = Number(process.env.HAZ_MERGE_M || 250);
+const KEEP_S = Number(process.env.HAZ_HISTORY_DAYS || 90) * 86400;
+
+export const SEVERITY_RANK = { minor: 1, moderate: 2, severe: 3 };
+
+/**
+ * Normalize a feed severity ("Severe", "moderate", "SEVERE_DELAY", ...)
+ * @returns {'minor'|'moderate'|'severe'}
+ */
+export function severityLevel(severity) {
+  const s = String(severity || '').toLowerCase();
+  if (s.includes('severe') || s.includes('extreme')) return 'severe';
+  if (s.includes('moderate')) return 'moderate';
+  return 'minor';
+}
+
+function reportKey(f) {
+  const p = f.properties;
+  const id = p.id ?? f.id;
+  if (id != null) return `${p.kind}:${p.source || 'feed'}:${id}`;
+  const h = createHash('sha1').update(`${p.title}|${JSON.stringify(f.geometry)}`).digest('hex').slice(0, 16);
+  return `${p.kind}:${h}`;
+}
+
+// Feature properties kept in their own columns (or not kept: per-request hit data)
+const OWN_COLUMNS = ['kind', 'id', 'hazard_id', 'title', 'event', 'severity', 'onset', 'expires', 'along_m', 'offset_m'];
+
+const labelOf = p => String(p.event || p.title || '').trim().toLowerCase();
+
+const unixOrNull = iso => {
+  const t = Date.parse(iso ?? '');
+  return Number.isFinite(t) ? Math.floor(t / 1000) : null;
+};
+
+function unionBbox(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3])];
+}
+
+const bboxesOverlap = (a, b, pad) =>
+  a[0] - pad <= b[2] && b[0] - pad <= a[2] && a[1] - pad <= b[3] && b[1] - pad <= a[3];
+
+/**
+ * Open hazard of the same kind and label that a report overlaps
+ * @param {Array} open - Candidate hazards ({id, label, bbox, geometry})
+ */
+function mergeTarget(open, f, bbox) {
+  if (!bbox) return null;
+  const label = labelOf(f.properties);
+  const padDeg = MERGE_M / 111320 / Math.max(Math.cos(((bbox[1] + bbox[3]) / 2) * Math.PI / 180), 0.01);
+  return open.find(h => h.bbox && h.label === label && bboxesOverlap(h.bbox, bbox, padDeg)
+    && geometriesNear(h.geometry, f.geometry, MERGE_M)) || null;
+}
+
+/**
+ * Record one feed read
+ * Open hazards of this kind that are not in the read are ended, so only call
+ * this with a complete, successfully parsed feed.
+ * @param {'weather'|'traffic'} kind
+ * @param {Array} features - Normalized hazard features
+ * @returns {Array<string>} Hazard id of each feature, in order
+ */
+export const recordHazards = db.transaction((kind, features, now = Math.floor(Date.now() / 1000)) => {
+  const open = db.prepare('SELECT * FROM hazards WHERE kind = ? AND ended_at IS NULL').all(kind).map(row => ({
+    id: row.id,
+    label: labelOf(row),
+    bbox: row.min_lon == null ? null : [row.min_lon, row.min_lat, row.max_lon, row.max_lat],
+    geometry: JSON.parse(row.geometry_json || 'null'),
+    severity: row.severity,
+    peak: row.peak_severity
+  }));
+  const byId = new Map(open.map(h => [h.id, h]));
+  const findReport = db.prepare('SELECT hazard_id FROM hazard_reports WHERE report_key = ?');
+  const ended = db.prepare('SELECT * FROM hazards WHERE id = ?');
+
+  // Group this read's reports by hazard
+  const seen = new Map(); // hazard id -> { reports: [{ key, f, bbox }], isNew }
+  const ids = features.map(f => {
+    const key = reportKey(f);
+    const bbox = geometryBbox(f.geometry);
+
+    let id = findReport.get(key)?.hazard_id;
+    if (id && !byId.has(id)) {
+      // Ended, and now back in the feed
+      const row = ended.get(id);
+      byId.set(id, { id, label: labelOf(row), severity: row.severity, peak: row.peak_severity });
+    }
+    if (!id) id = mergeTarget(open, f, bbox)?.id;
+    const isNew = !id;
+    if (isNew) {
+      id = `hz_${nanoid(12)}`;
+      const h = { id, label: labelOf(f.properties), bbox, geometry: f.geometry, severity: null, peak: null };
+      open.push(h);
+      byId.set(id, h);
+    }
+
+    if (!seen.has(id)) seen.set(id, { reports: [], isNew });
+    seen.get(id).reports.push({ key, f, bbox });
+    return id;
+  });
+
+  const insertHazard = db.prepare(`
+    INSERT INTO hazards (id, kind, title, event, severity, peak_severity, geometry_json, properties_json,
+      min_lon, min_lat, max_lon, max_lat, onset_at, expires_at, first_seen_at, last_seen_at)
+    VALUES (@id, @kind, @title, @event, @severity, @severity, @geometry, @properties,
+      @minLon, @minLat, @maxLon, @maxLat, @onset, @expires, @now, @now)
+  `);
+  const updateHazard = db.prepare(`
+    UPDATE hazards SET title = @title, event = @event, severity = @severity, peak_severity = @peak,
+      geometry_json = @geometry, properties_json = @properties,
+      min_lon = MIN(COALESCE(min_lon, @minLon), COALESCE(@minLon, min_lon)),
+      min_lat = MIN(COALESCE(min_lat, @minLat), COALESCE(@minLat, min_lat)),
+      max_lon = MAX(COALESCE(max_lon, @maxLon), COALESCE(@maxLon, max_lon)),
+      max_lat = MAX(COALESCE(max_lat, @maxLat), COALESCE(@maxLat, max_lat)),
+      onset_at = COALESCE(@onset, onset_at), expires_at = @expires, last_seen_at = @now, ended_at = NULL
+    WHERE id = @id
+  `);
+  const upsertReport = db.prepare(`
+    INSERT INTO hazard_reports (report_key, hazard_id, first_seen_at, last_seen_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (report_key) DO UPDATE SET last_seen_at = excluded.last_seen_at
+  `);
+  const logSeverity = db.prepare('INSERT INTO hazard_severity_log (hazard_id, severity, changed_at) VALUES (?, ?, ?)');
+
+  for (const [id, { reports, isNew }] of seen) {
+    const h = byId.get(id);
+    const rank = r => SEVERITY_RANK[severityLevel(r.f.properties.severity)];
+    // The most severe report stands for the hazard (first on ties)
+    const lead = reports.reduce((a, b) => (rank(b) > rank(a) ? b : a));
+    const severity = severityLevel(lead.f.properties.severity);
+    const bbox = reports.reduce((box, r) => unionBbox(box, r.bbox), null);
+    const onsets = reports.map(r => unixOrNull(r.f.properties.onset)).filter(t => t != null);
+    const expiries = reports.map(r => unixOrNull(r.f.properties.expires));
+    const { title, event } = lead.f.properties;
+    const rest = Object.fromEntries(Object.entries(lead.f.properties).filter(([k]) => !OWN_COLUMNS.includes(k)));
+
+    const values = {
+      id, kind, now, severity,
+      title: title || null,
+      event: event || null,
+      peak: h.peak && SEVERITY_RANK[h.peak] >= SEVERITY_RANK[severity] ? h.peak : severity,
+      geometry: lead.f.geometry ? JSON.stringify(lead.f.geometry) : null,
+      properties: JSON.stringify(rest),
+      minLon: bbox?.[0] ?? null,
+      minLat: bbox?.[1] ?? null,
+      maxLon: bbox?.[2] ?? null,
+      maxLat: bbox?.[3] ?? null,
+      onset: onsets.length ? Math.min(...onsets) : null,
+      // Open-ended while any report is
+      expires: expiries.includes(null) ? null : Math.max(...expiries)
+    };
+    if (isNew) insertHazard.run(values);
+    else updateHazard.run(values);
+
+    reports.forEach(r => upsertReport.run(r.key, id, now, now));
+    if (severity !== h.severity) logSeverity.run(id, severity, now);
+  }
+
+  // Open hazards missing from this read have ended
+  const endHazard = db.prepare('UPDATE hazards SET ended_at = ? WHERE id = ?');
+  open.filter(h => !seen.has(h.id)).forEach(h => endHazard.run(now, h.id));
+
+  db.prepare('DELETE FROM hazards WHERE last_seen_at < ?').run(now - KEEP_S);
+  return ids;
+});
+
+/**
+ * Map a hazards row to a GeoJSON feature
+ */
+function hazardOut(row, changes) {
+  const iso = t => (t == null ? null : new Date(t * 1000).toISOString());
+  return {
+    type: 'Feature',
+    geometry: row.geometry_json ? JSON.parse(row.geometry_json) : null,
+    properties: {
+      ...JSON.parse(row.properties_json || '{}'),
+      hazard_id: row.id,
+      kind: row.kind,
+      severity: row.severity,
+      peak_severity: row.peak_severity,
+      title: row.title,
+      event: row.event,
+      onset: iso(row.onset_at),
+      expires: iso(row.expires_at),
+      first_seen: iso(row.first_seen_at),
+      last_seen: iso(row.last_seen_at),
+      ended: iso(row.ended_at),
+      reports: row.reports,
+      severity_changes: changes.map(c => ({ severity: c.severity, at: iso(c.changed_at) }))
+    }
+  };
+}
+
+function severityChanges(ids) {
+  const out = new Map(ids.map(id => [id, []]));
+  const get = db.prepare('SELECT hazard_id, severity, changed_at FROM hazard_severity_log WHERE hazard_id = ? ORDER BY changed_at, id');
+  ids.forEach(id => out.get(id).push(...get.all(id)));
+  return out;
+}
+
+const SELECT = `
+  SELECT h.*, (SELECT COUNT(*) FROM hazard_reports r WHERE r.hazard_id = h.id) AS reports
+  FROM hazards h
+`;
+
+/**
+ * Hazards active at some point in [from, to] whose bbox overlaps a box
+ * Active: from onset (else first seen) until it left the feed or expired,
+ * whichever is first; hazards still in the feed are active until now.
+ * Zone-only alerts (no geometry) have no bbox and are never matched.
+ * @param {{bbox: Array, from: number, to: number, kind?: string, minSeverity?: string, limit: number}} q
+ *   bbox: [minLon, minLat, maxLon, maxLat]; from/to: unix seconds; minSeverity: on peak severity
+ * @returns {Array} GeoJSON features, most recently seen first
+ */
+export function queryHazards({ bbox, from, to, kind, minSeverity, limit }) {
+  const levels = Object.keys(SEVERITY_RANK).filter(s => SEVERITY_RANK[s] >= SEVERITY_RANK[minSeverity || 'minor']);
+  const rows = db.prepare(`${SELECT}
+    WHERE COALESCE(h.onset_at, h.first_seen_at) <= @to
+      AND (h.ended_at IS NULL OR h.ended_at >= @from)
+      AND (h.expires_at IS NULL OR h.expires_at >= @from)
+      AND h.min_lon <= @maxLon AND h.max_lon >= @minLon AND h.min_lat <= @maxLat AND h.max_lat >= @minLat
+      AND (@kind IS NULL OR h.kind = @kind)
+      AND h.peak_severity IN (SELECT value FROM json_each(@levels))
+    ORDER BY h.last_seen_at DESC, h.id
+    LIMIT @limit
+  `).all({
+    from, to, limit,
+    minLon: bbox[0], minLat: bbox[1], maxLon: bbox[2], maxLat: bbox[3],
+    kind: kind ?? null,
+    levels: JSON.stringify(levels)
+  });
+  const changes = severityChanges(rows.map(r => r.id));
+  return rows.map(r => hazardOut(r, changes.get(r.id)));
+}
+
+/**
+ * One hazard by id, with its severity changes
+ * @returns {Object|null} GeoJSON feature
+ */
+export function getHazard(id) {
+  const row = db.prepare(`${SELECT} WHERE h.id = ?`).get(id);
+  return row ? hazardOut(row, severityChanges([id]).get(id)) : null;
+}
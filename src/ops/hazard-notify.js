@@ -0,0 +1,251 @@
+// backend/src/ops/hazard-notify.js
+// Delivery of hazard notifications to a subscription's channel:
+//   { type: 'webpush', subscription: { endpoint, keys: { p256dh, auth } } }  Web Push (VAPID_*),
+//                              endpoint on a known push service (HAZ_PUSH_HOSTS)
+//   { type: 'webhook', url }   POST JSON, signed with HAZ_WEBHOOK_SECRET when set; the host
+//                              must resolve to public addresses only (checked again on every send,
+//                              and the request connects to the addresses that were checked)
+//   { type: 'local' }          appends JSON lines to HAZ_NOTIFY_FILE (not in production),
+//                              or goes to the sink installed with setLocalSink() (tests)
+import { createHmac } from 'crypto';
+import { appendFile } from 'fs/promises';
+import { lookup } from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import webpush from 'web-push';
+
+const TIMEOUT_MS = Number(process.env.HAZ_NOTIFY_TIMEOUT_MS || 8000);
+const PUSH_TTL_S = Number(process.env.HAZ_PUSH_TTL_S || 6 * 3600);
+const WEBHOOK_SECRET = process.env.HAZ_WEBHOOK_SECRET || '';
+const ALLOW_HTTP_WEBHOOKS = process.env.HAZ_WEBHOOK_ALLOW_HTTP === '1';
+const LOCAL_ENABLED = process.env.NODE_ENV !== 'production';
+// Webhooks to loopback/private hosts: development only
+const ALLOW_PRIVATE_WEBHOOKS = process.env.HAZ_WEBHOOK_ALLOW_PRIVATE === '1' && LOCAL_ENABLED;
+
+// Host suffixes, comma-separated: HAZ_WEBHOOK_HOSTS empty = any public host
+const hostList = v => String(v || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+const WEBHOOK_HOSTS = hostList(process.env.HAZ_WEBHOOK_HOSTS);
+const PUSH_HOSTS = hostList(process.env.HAZ_PUSH_HOSTS
+  || 'fcm.googleapis.com,updates.push.services.mozilla.com,push.apple.com,notify.windows.com');
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const BLOCKED = new BlockList();
+for (const [net, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED.addSubnet(net, prefix, 'ipv4');
+for (const [net, prefix] of [
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['2002::', 16]
+]) BLOCKED.addSubnet(net, prefix, 'ipv6');
+
+const VAPID = {
+  subject: process.env.VAPID_SUBJECT || '',
+  publicKey: process.env.VAPID_PUBLIC_KEY || '',
+  privateKey: process.env.VAPID_PRIVATE_KEY || ''
+};
+
+export const CHANNEL_TYPES = ['webpush', 'webhook', 'local'];
+
+/**
+ * Public VAPID key for PushManager.subscribe(), or null when Web Push is off
+ */
+export function vapidPublicKey() {
+  return VAPID.publicKey && VAPID.privateKey && VAPID.subject ? VAPID.publicKey : null;
+}
+
+function urlOrNull(s) {
+  try {
+    return new URL(s);
+  } catch {
+    return null;
+  }
+}
+
+const onHost = (hostname, suffixes) => suffixes.some(h => hostname === h || hostname.endsWith(`.${h}`));
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const v4 = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (v4) return BLOCKED.check(v4, 'ipv4');
+  return BLOCKED.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check a webhook URL and resolve its host: every address must be public (SSRF guard)
+ * @returns {Promise<{problem: string} | {problem: null, url: URL, addresses: Array<{address, family}>|null}>}
+ *   problem: webhook_url_invalid | webhook_url_blocked; addresses: null when private
+ *   hosts are allowed (no check, normal resolution)
+ */
+async function resolveWebhook(s) {
+  const url = urlOrNull(s);
+  if (!url || url.username || url.password) return { problem: 'webhook_url_invalid' };
+  if (url.protocol !== 'https:' && !(ALLOW_HTTP_WEBHOOKS && url.protocol === 'http:')) {
+    return { problem: 'webhook_url_invalid' };
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (WEBHOOK_HOSTS.length && !onHost(host, WEBHOOK_HOSTS)) return { problem: 'webhook_url_blocked' };
+  if (ALLOW_PRIVATE_WEBHOOKS) return { problem: null, url, addresses: null };
+
+  let addresses;
+  try {
+    addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true, verbatim: true });
+  } catch {
+    return { problem: 'webhook_url_invalid' };
+  }
+  if (!addresses.length || addresses.some(a => isBlockedAddress(a.address))) return { problem: 'webhook_url_blocked' };
+  return { problem: null, url, addresses };
+}
+
+/**
+ * dns.lookup replacement that answers with already checked addresses, so a
+ * host re-pointed after the check (DNS rebinding) can't change where we connect
+ */
+function pinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') [callback, options] = [options, {}];
+    const family = typeof options === 'number' ? options : options?.family;
+    const usable = family ? addresses.filter(a => a.family === family) : addresses;
+    if (!usable.length) return callback(Object.assign(new Error(`no checked address for ${hostname}`), { code: 'ENOTFOUND' }));
+    if (options?.all) return callback(null, usable);
+    return callback(null, usable[0].address, usable[0].family);
+  };
+}
+
+/**
+ * POST a body without following redirects (a redirect could lead to a host
+ * that was never checked)
+ * @returns {Promise<number>} HTTP status
+ */
+function postTo(url, addresses, headers, body, signal) {
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'content-length': Buffer.byteLength(body) },
+      ...(addresses && { lookup: pinnedLookup(addresses) }),
+      signal
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Why a Web Push endpoint is not acceptable, or null: https on a known push service
+ */
+function pushEndpointProblem(s) {
+  const url = urlOrNull(s);
+  if (!url || url.protocol !== 'https:' || url.port || !onHost(url.hostname.toLowerCase(), PUSH_HOSTS)) {
+    return 'webpush_endpoint_invalid';
+  }
+  return null;
+}
+
+/**
+ * Why a channel can't be used, or null
+ * @returns {Promise<string|null>} webpush_not_configured | webpush_endpoint_invalid |
+ *   webhook_url_invalid | webhook_url_blocked | local_disabled
+ */
+export async function channelProblem(channel) {
+  if (channel.type === 'webpush') {
+    if (!vapidPublicKey()) return 'webpush_not_configured';
+    return pushEndpointProblem(channel.subscription.endpoint);
+  }
+  if (channel.type === 'webhook') return (await resolveWebhook(channel.url)).problem;
+  if (channel.type === 'local' && !LOCAL_ENABLED) return 'local_disabled';
+  return null;
+}
+
+/**
+ * Channel as shown to its owner (no push keys)
+ */
+export function channelOut(channel) {
+  if (channel.type === 'webpush') return { type: 'webpush', endpoint: channel.subscription.endpoint };
+  return channel;
+}
+
+async function sendWebPush(channel, message) {
+  const problem = pushEndpointProblem(channel.subscription.endpoint);
+  if (problem) return { ok: false, error: problem };
+  try {
+    await webpush.sendNotification(channel.subscription, JSON.stringify(message), {
+      vapidDetails: VAPID,
+      TTL: PUSH_TTL_S,
+      timeout: TIMEOUT_MS
+    });
+    return { ok: true };
+  } catch (e) {
+    // 404/410: the browser dropped the subscription
+    const gone = e.statusCode === 404 || e.statusCode === 410;
+    return { ok: false, gone, error: e.statusCode ? `webpush_${e.statusCode}` : String(e.message || e) };
+  }
+}
+
+async function sendWebhook(channel, message) {
+  // The host may have been re-pointed since the subscription was created
+  const target = await resolveWebhook(channel.url);
+  if (target.problem) return { ok: false, error: target.problem };
+
+  const body = JSON.stringify(message);
+  const ac = new AbortController();
+  const tid = setTimeout(() => ac.abort(), TIMEOUT_MS);
+  try {
+    const status = await postTo(target.url, target.addresses, {
+      'content-type': 'application/json',
+      ...(WEBHOOK_SECRET && {
+        'x-roamwise-signature': `sha256=${createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex')}`
+      })
+    }, body, ac.signal);
+    if (status >= 200 && status < 300) return { ok: true };
+    return { ok: false, gone: status === 410, error: `webhook_${status}` };
+  } catch (e) {
+    return { ok: false, error: e?.name === 'AbortError' ? 'webhook_timeout' : 'webhook_network' };
+  } finally {
+    clearTimeout(tid);
+  }
+}
+
+function fileSink(path = process.env.HAZ_NOTIFY_FILE || 'hazard-outbox.jsonl') {
+  return async (channel, message) => {
+    await appendFile(path, JSON.stringify({ ts: Date.now(), ...message }) + '\n');
+  };
+}
+
+let localSink = null;
+
+/**
+ * Replace the local sink (e.g. an in-memory array in tests)
+ * @param {Function|null} fn - (channel, message) => Promise<void>; null restores the file sink
+ */
+export function setLocalSink(fn) {
+  localSink = fn;
+}
+
+async function sendLocal(channel, message) {
+  if (!LOCAL_ENABLED) return { ok: false, error: 'local_disabled' };
+  if (!localSink) localSink = fileSink();
+  await localSink(channel, message);
+  return { ok: true };
+}
+
+const SENDERS = {
+  webpush: sendWebPush,
+  webhook: sendWebhook,
+  local: sendLocal
+};
+
+/**
+ * Send a message to a channel
+ * @returns {Promise<{ok: true} | {ok: false, error: string, gone?: boolean}>}
+ *   gone: the endpoint no longer exists; stop sending to it
+ */
+export async function deliver(channel, message) {
+  const send = SENDERS[channel.type];
+  if (!send) return { ok: false, error: 'unknown_channel' };
+  return send(channel, message);
+}
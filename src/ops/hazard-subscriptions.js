@@ -0,0 +1,305 @@
+// backend/src/ops/hazard-subscriptions.js
+// Hazard subscriptions: a user watches a saved area, a route or a trip and is
+// notified (src/ops/hazard-notify.js) when a hazard at or above min_severity
+// appears on it, or an already reported one gets worse.
+//
+// Targets:
+//   { type: 'area', lat, lon, radius_m }
+//   { type: 'route', geometry: LineString, buffer_m }
+//   { type: 'trip', trip_id, buffer_m }  cached legs of every day (straight lines where missing)
+//
+// The poller re-reads the feeds every HAZ_POLL_MS (which also records them in
+// the hazard history) and compares what matches with hazard_notified (what
+// the subscriber was last told). A hazard not seen
+// for HAZ_FORGET_MS is forgotten, so it is reported again if it comes back.
+// Single-instance: every instance running the poller would notify.
+import { createHash } from 'crypto';
+import { nanoid } from 'nanoid';
+import db from '../../db.js';
+import { corridor } from './geo.js';
+import { loadHazardFeeds, featuresAlong } from './hazards-feed.js';
+import { SEVERITY_RANK, severityLevel } from './hazard-history.js';
+import { getTripAccess, getTrip } from './trips-db.js';
+import { deliver, channelOut } from './hazard-notify.js';
+
+const POLL_MS = Number(process.env.HAZ_POLL_MS ?? 5 * 60 * 1000);
+const FORGET_S = Number(process.env.HAZ_FORGET_MS || 24 * 3600 * 1000) / 1000;
+
+const rankOf = severity => SEVERITY_RANK[severityLevel(severity)];
+
+function severityName(rank) {
+  return Object.keys(SEVERITY_RANK).find(k => SEVERITY_RANK[k] === rank);
+}
+
+/**
+ * Stable key for a hazard: its history id, else its feed id, else its title and geometry
+ */
+function hazardKey(f) {
+  const p = f.properties;
+  if (p.hazard_id) return p.hazard_id;
+  if (p.id) return `${p.kind}:${p.id}`;
+  const h = createHash('sha1').update(`${p.title}|${JSON.stringify(f.geometry)}`).digest('hex').slice(0, 16);
+  return `${p.kind}:${h}`;
+}
+
+/**
+ * Map a hazard_subscriptions row to the API shape
+ */
+function subscriptionOut(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    target: JSON.parse(row.target_json),
+    min_severity: row.min_severity,
+    channel: channelOut(JSON.parse(row.channel_json)),
+    lang: row.lang,
+    expires_at: row.expires_at,
+    active: !!row.active,
+    last_checked_at: row.last_checked_at,
+    last_notified_at: row.last_notified_at,
+    last_error: row.last_error,
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Create a subscription owned by the caller
+ * @param {{tenantId: number, userId: number}} user
+ * @param {{name?, target, min_severity, channel, lang, expires_at?}} data - expires_at: unix seconds
+ * @returns {Object} The new subscription
+ */
+export function createSubscription(user, data) {
+  const id = nanoid(12);
+  db.prepare(`
+    INSERT INTO hazard_subscriptions (id, tenant_id, user_id, name, target_json, min_severity, channel_json, lang, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, user.tenantId, user.userId,
+    data.name ?? null,
+    JSON.stringify(data.target),
+    data.min_severity,
+    JSON.stringify(data.channel),
+    data.lang,
+    data.expires_at ?? null
+  );
+  return getSubscription(user, id);
+}
+
+/**
+ * A subscription the caller owns
+ * @returns {Object|null}
+ */
+export function getSubscription(user, id) {
+  const row = db.prepare('SELECT * FROM hazard_subscriptions WHERE id = ? AND tenant_id = ? AND user_id = ?')
+    .get(id, user.tenantId, user.userId);
+  return row ? subscriptionOut(row) : null;
+}
+
+/**
+ * The caller's subscriptions, newest first
+ */
+export function listSubscriptions(user) {
+  return db.prepare('SELECT * FROM hazard_subscriptions WHERE tenant_id = ? AND user_id = ? ORDER BY created_at DESC, id')
+    .all(user.tenantId, user.userId)
+    .map(subscriptionOut);
+}
+
+/**
+ * Delete a subscription the caller owns
+ * @returns {boolean} Whether it existed
+ */
+export function deleteSubscription(user, id) {
+  return db.prepare('DELETE FROM hazard_subscriptions WHERE id = ? AND tenant_id = ? AND user_id = ?')
+    .run(id, user.tenantId, user.userId).changes > 0;
+}
+
+/**
+ * The line a subscription watches, and the name to show for it
+ * @returns {{coords: Array, bufferM: number, label: string|null}|null} null when the target is gone
+ */
+function watchedLine(row) {
+  const t = JSON.parse(row.target_json);
+  if (t.type === 'area') return { coords: [[t.lon, t.lat]], bufferM: t.radius_m, label: null };
+  if (t.type === 'route') return { coords: t.geometry.coordinates, bufferM: t.buffer_m, label: null };
+
+  // Trip: still visible to the subscriber?
+  if (!getTripAccess({ tenantId: row.tenant_id, userId: row.user_id }, t.trip_id)) return null;
+  const trip = getTrip(t.trip_id);
+  const coords = trip.days.flatMap(d => d.stops.flatMap(s => {
+    if (s.leg?.geometry?.coordinates?.length) return s.leg.geometry.coordinates;
+    return s.lat != null ? [[s.lon, s.lat]] : [];
+  }));
+  return coords.length ? { coords, bufferM: t.buffer_m, label: trip.title } : null;
+}
+
+const TEXT = {
+  en: {
+    title: name => `Hazard alert: ${name || 'your route'}`,
+    more: n => ` (+${n} more)`,
+    test: 'Test notification'
+  },
+  he: {
+    title: name => `התראת מפגע: ${name || 'המסלול שלך'}`,
+    more: n => ` (ועוד ${n})`,
+    test: 'התראת בדיקה'
+  }
+};
+
+/**
+ * Notification for a subscription
+ * @param {Array} hazards - Hazard summaries, most important first
+ */
+function messageFor(row, label, hazards, { test = false } = {}) {
+  const t = TEXT[row.lang] || TEXT.he;
+  const name = row.name || label;
+  return {
+    type: test ? 'hazard_test' : 'hazard_alert',
+    subscription_id: row.id,
+    title: t.title(name),
+    body: test ? t.test : hazards[0].title + (hazards.length > 1 ? t.more(hazards.length - 1) : ''),
+    hazards,
+    sent_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Send a test notification on a subscription's channel
+ * @returns {Promise<{ok: boolean, error?: string}>}
+ */
+export async function sendTestNotification(user, id) {
+  const row = db.prepare('SELECT * FROM hazard_subscriptions WHERE id = ? AND tenant_id = ? AND user_id = ?')
+    .get(id, user.tenantId, user.userId);
+  if (!row) return { ok: false, error: 'not_found' };
+  return deliver(JSON.parse(row.channel_json), messageFor(row, null, [], { test: true }));
+}
+
+/**
+ * Check one subscription against the current hazards and notify what is new or worse
+ * @returns {Promise<'notified'|'quiet'|'failed'|'gone'>}
+ */
+async function checkSubscription(row, features, log) {
+  const line = watchedLine(row);
+  if (!line) {
+    db.prepare("UPDATE hazard_subscriptions SET active = 0, last_error = 'target_gone' WHERE id = ?").run(row.id);
+    return 'gone';
+  }
+
+  const min = SEVERITY_RANK[row.min_severity];
+  // Most severe first, so merged reports of one hazard count at their worst
+  const hits = featuresAlong(corridor(line.coords, line.bufferM), { features })
+    .filter(f => rankOf(f.properties.severity) >= min)
+    .sort((a, b) => rankOf(b.properties.severity) - rankOf(a.properties.severity));
+
+  const told = new Map(db.prepare('SELECT hazard_key, severity FROM hazard_notified WHERE subscription_id = ?')
+    .all(row.id).map(r => [r.hazard_key, SEVERITY_RANK[r.severity]]));
+
+  const fresh = [];
+  const seen = [];
+  for (const f of hits) {
+    const key = hazardKey(f);
+    if (fresh.some(h => h.key === key) || seen.includes(key)) continue;
+    const rank = rankOf(f.properties.severity);
+    const before = told.get(key);
+    if (before === undefined || rank > before) {
+      const { kind, title, event, onset, expires, along_m } = f.properties;
+      fresh.push({
+        key,
+        rank,
+        summary: {
+          kind, severity: severityName(rank), title, event: event ?? null, onset: onset ?? null,
+          expires: expires ?? null, along_m, change: before === undefined ? 'new' : 'worsened'
+        }
+      });
+    } else {
+      seen.push(key);
+    }
+  }
+
+  const touch = db.prepare('UPDATE hazard_notified SET last_seen_at = unixepoch() WHERE subscription_id = ? AND hazard_key = ?');
+  seen.forEach(key => touch.run(row.id, key));
+  db.prepare('DELETE FROM hazard_notified WHERE subscription_id = ? AND last_seen_at < unixepoch() - ?').run(row.id, FORGET_S);
+
+  if (!fresh.length) {
+    db.prepare('UPDATE hazard_subscriptions SET last_checked_at = unixepoch() WHERE id = ?').run(row.id);
+    return 'quiet';
+  }
+
+  fresh.sort((a, b) => b.rank - a.rank || a.summary.along_m - b.summary.along_m);
+  const r = await deliver(JSON.parse(row.channel_json), messageFor(row, line.label, fresh.map(h => h.summary)));
+
+  if (!r.ok) {
+    // Not marked as told: retried on the next poll (unless the endpoint is gone)
+    db.prepare('UPDATE hazard_subscriptions SET last_checked_at = unixepoch(), last_error = ?, active = ? WHERE id = ?')
+      .run(r.error, r.gone ? 0 : 1, row.id);
+    log?.warn({ event: 'hazard_notify_failed', subscription_id: row.id, error: r.error, gone: !!r.gone });
+    return r.gone ? 'gone' : 'failed';
+  }
+
+  const markTold = db.prepare(`
+    INSERT INTO hazard_notified (subscription_id, hazard_key, severity, notified_at, last_seen_at)
+    VALUES (@id, @key, @severity, unixepoch(), unixepoch())
+    ON CONFLICT (subscription_id, hazard_key)
+    DO UPDATE SET severity = excluded.severity, notified_at = excluded.notified_at, last_seen_at = excluded.last_seen_at
+  `);
+  db.transaction(() => {
+    fresh.forEach(h => markTold.run({ id: row.id, key: h.key, severity: severityName(h.rank) }));
+    db.prepare('UPDATE hazard_subscriptions SET last_checked_at = unixepoch(), last_notified_at = unixepoch(), last_error = NULL WHERE id = ?')
+      .run(row.id);
+  })();
+  log?.info({ event: 'hazard_notified', subscription_id: row.id, hazards: fresh.length });
+  return 'notified';
+}
+
+/**
+ * Re-read the feeds and check every active, unexpired subscription once
+ * @returns {Promise<{skipped?: string, checked: number, notified: number, failed: number, gone: number}>}
+ */
+export async function pollHazardSubscriptions(log) {
+  const rows = db.prepare(`
+    SELECT * FROM hazard_subscriptions
+    WHERE active = 1 AND (expires_at IS NULL OR expires_at > unixepoch())
+  `).all();
+  const stats = { checked: 0, notified: 0, failed: 0, gone: 0 };
+
+  // Read even without subscribers: this also keeps the hazard history current.
+  // Without any readable feed every hazard would look resolved
+  const feeds = await loadHazardFeeds(log);
+  if (!Object.values(feeds.feeds).includes('ok')) return { ...stats, skipped: 'feeds_unavailable' };
+  const features = [...feeds.weather.features, ...feeds.traffic.features];
+
+  for (const row of rows) {
+    stats.checked++;
+    try {
+      const outcome = await checkSubscription(row, features, log);
+      if (outcome !== 'quiet') stats[outcome]++;
+    } catch (error) {
+      stats.failed++;
+      log?.error({ err: error, subscription_id: row.id }, 'Hazard subscription check failed');
+    }
+  }
+  return stats;
+}
+
+/**
+ * Run the poller every HAZ_POLL_MS (0 disables it)
+ * @returns {Function|null} Stop function
+ */
+export function startHazardPoller(log) {
+  if (!POLL_MS) return null;
+  let running = false;
+  const tick = async () => {
+    if (running) return; // a slow poll is still going
+    running = true;
+    try {
+      const stats = await pollHazardSubscriptions(log);
+      if (stats.checked) log?.info({ event: 'hazard_poll', ...stats });
+    } catch (error) {
+      log?.error({ err: error }, 'Hazard poll failed');
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, POLL_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
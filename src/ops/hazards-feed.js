@@ -0,0 +1,127 @@
+// backend/src/ops/hazards-feed.js
+// Hazard feeds (weather alerts, traffic incidents): fetch through per-feed
+// circuit breakers and normalize to GeoJSON features with
+// properties { kind, severity, title, ... }. Shared by every hazards endpoint.
+// Weather alerts are parsed by HAZ_WEATHER_FORMAT (src/providers/weather).
+// Every successful read is recorded in the hazard history, which gives each
+// feature a stable properties.hazard_id (src/ops/hazard-history.js).
+import { canRequest, record, isProviderFailure } from '../../ops/breaker.js';
+import { hitCorridor } from './geo.js';
+import { fetchText, jsonOrNull, isExpired } from '../providers/weather/common.js';
+import { alertParser } from '../providers/weather/index.js';
+import { recordHazards } from './hazard-history.js';
+
+const WEATHER_URL = process.env.HAZ_WEATHER_URL || '';
+const WEATHER_FORMAT = process.env.HAZ_WEATHER_FORMAT || 'geojson';
+const TRAFFIC_URL = process.env.HAZ_TRAFFIC_URL || '';
+
+const weatherParser = alertParser(WEATHER_FORMAT);
+if (WEATHER_URL && !weatherParser) {
+  throw new Error(`Unknown HAZ_WEATHER_FORMAT "${WEATHER_FORMAT}"`);
+}
+
+/**
+ * Load one feed through its circuit breaker (hazards_weather, hazards_traffic)
+ * @param {Function} parse - (body: string) => { ok, features } | { ok: false, error, detail }
+ * @returns {Promise<{features: Array, state: 'ok'|'off'|'failed'|'breaker_open'}>}
+ */
+async function loadFeed(name, url, parse, log) {
+  if (!url) return { features: [], state: 'off' };
+  if (!canRequest(name)) return { features: [], state: 'breaker_open' };
+
+  const r = await fetchText(url);
+  // 4xx or an unreadable body means a bad feed URL/format, not an outage
+  record(name, !isProviderFailure(r));
+  if (!r.ok) return { features: [], state: 'failed' };
+
+  const parsed = parse(r.text);
+  if (!parsed.ok) {
+    log?.warn({ event: 'hazards_feed_invalid', feed: name, error: parsed.error, detail: parsed.detail });
+    return { features: [], state: 'failed' };
+  }
+  return { features: parsed.features, state: 'ok' };
+}
+
+/**
+ * Normalize traffic feed to standard format
+ */
+function parseTraffic(body) {
+  const fc = jsonOrNull(body);
+  if (!Array.isArray(fc?.features)) return { ok: false, error: 'invalid_feed', detail: 'not a FeatureCollection' };
+
+  const out = { ok: true, features: [] };
+  for (const f of fc.features) {
+    const id = f.properties?.id ?? f.id;
+    out.features.push({
+      type: 'Feature',
+      geometry: f.geometry,
+      properties: {
+        kind: 'traffic',
+        severity: f.properties?.severity || 'moderate',
+        title: f.properties?.title || 'Traffic Incident',
+        ...(id != null && { id }),
+      },
+    });
+  }
+  return out;
+}
+
+/**
+ * Load and normalize every configured feed (expired weather alerts dropped)
+ * @param {Object} [log]
+ * @returns {Promise<{weather: Object, traffic: Object, feeds: Object, unavailable: string[], allBreakersOpen: boolean}>}
+ *   weather/traffic: FeatureCollections (empty when a feed is off or failed)
+ *   unavailable: feeds that could not be read (the rest is still usable)
+ *   allBreakersOpen: every configured feed is behind an open breaker
+ */
+export async function loadHazardFeeds(log) {
+  const [weatherFeed, trafficFeed] = await Promise.all([
+    loadFeed('hazards_weather', WEATHER_URL, body => weatherParser.parse(body), log),
+    loadFeed('hazards_traffic', TRAFFIC_URL, parseTraffic, log),
+  ]);
+  const now = Date.now();
+
+  const feeds = { weather: weatherFeed.state, traffic: trafficFeed.state };
+  const configured = Object.values(feeds).filter(st => st !== 'off');
+  const weather = weatherFeed.features.filter(f => !isExpired(f, now));
+  const traffic = trafficFeed.features;
+
+  for (const [kind, features] of [['weather', weather], ['traffic', traffic]]) {
+    if (feeds[kind] !== 'ok') continue;
+    try {
+      const ids = recordHazards(kind, features);
+      features.forEach((f, i) => { f.properties.hazard_id = ids[i]; });
+    } catch (error) {
+      // History is best effort; the live feed is still served
+      log?.error({ err: error, feed: kind }, 'Hazard history update failed');
+    }
+  }
+
+  return {
+    weather: { type: 'FeatureCollection', features: weather },
+    traffic: { type: 'FeatureCollection', features: traffic },
+    feeds,
+    unavailable: Object.keys(feeds).filter(k => feeds[k] === 'failed' || feeds[k] === 'breaker_open'),
+    allBreakersOpen: configured.length > 0 && configured.every(st => st === 'breaker_open')
+  };
+}
+
+/**
+ * Any severe hazard among these features?
+ */
+export function hasSevere(features) {
+  return features.some(f => String(f.properties?.severity).toLowerCase().includes('severe'));
+}
+
+/**
+ * Features of a collection that touch a corridor (geo.js), with where they
+ * are hit (properties.along_m, properties.offset_m), ordered along the line
+ */
+export function featuresAlong(c, fc) {
+  const out = [];
+  for (const f of fc.features) {
+    const hit = hitCorridor(c, f.geometry);
+    if (hit) out.push({ ...f, properties: { ...f.properties, ...hit } });
+  }
+  return out.sort((a, b) => a.properties.along_m - b.properties.along_m);
+}
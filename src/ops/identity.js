@@ -0,0 +1,122 @@
+// backend/src/ops/identity.js
+// One identity layer over both credentials:
+//   - roamwise_auth JWT (tenant users, integer users.id)
+//   - family_session cookie (phone users, family_users.user_id)
+// Either resolves to req.principal, always backed by a tenant user so
+// profiles, trips and sharing work the same for both.
+//
+// A phone acts as family_users.linked_user_id. Until it is linked to an
+// existing tenant user (POST /api/family/link) it gets a personal tenant
+// with its own user and default profile.
+import db, { getUserById, createUserWithProfile } from '../../db.js';
+import { resolveAuthToken } from '../../auth.js';
+import { FAMILY_SESSION_COOKIE, setFamilySessionCookie, resolveFamilySession } from './sessions.js';
+
+/**
+ * Create a personal tenant + user for a phone and link it
+ * @param {{user_id: string, name: string}} familyUser
+ * @returns {number} Tenant user ID
+ */
+export const provisionPersonalUser = db.transaction((familyUser) => {
+  const tenantName = `personal-${familyUser.user_id}`;
+  let tenant = db.prepare('SELECT id FROM tenants WHERE name = ?').get(tenantName);
+  if (!tenant) {
+    const r = db.prepare("INSERT INTO tenants (name, kind) VALUES (?, 'personal')").run(tenantName);
+    tenant = { id: Number(r.lastInsertRowid) };
+  }
+
+  const existing = db.prepare('SELECT id FROM users WHERE tenant_id = ? AND username = ?').get(tenant.id, 'me');
+  const userId = existing?.id ?? createUserWithProfile(tenant.id, 'me', familyUser.name, 'admin');
+
+  linkFamilyUser(familyUser.user_id, userId);
+  console.log(`[IDENTITY] personal tenant provisioned family_user=${familyUser.user_id} user_id=${userId}`);
+  return userId;
+});
+
+/**
+ * Point a phone at a tenant user
+ */
+export function linkFamilyUser(familyUserId, userId) {
+  db.prepare('UPDATE family_users SET linked_user_id = ?, updated_at = unixepoch() WHERE user_id = ?')
+    .run(userId, familyUserId);
+}
+
+function principalOf(user, via, extra = {}) {
+  return {
+    userId: user.id,
+    tenantId: user.tenant_id,
+    tenantName: user.tenant_name,
+    tenantKind: user.tenant_kind,
+    username: user.username,
+    displayName: user.display_name,
+    role: user.role,
+    via,
+    ...extra
+  };
+}
+
+/**
+ * Resolve the request's credential (JWT first, then family session)
+ * @param {Object} req
+ * @param {Object} res - Receives rotated cookies
+ * @returns {Object|null} Principal
+ */
+export function resolvePrincipal(req, res) {
+  const token = req.cookies?.roamwise_auth;
+  if (token) {
+    const payload = resolveAuthToken(token, res);
+    const user = payload && getUserById(payload.userId);
+    if (user && !user.disabled_at) return principalOf(user, 'jwt', { sessionId: payload.jti });
+  }
+
+  const familyToken = req.cookies?.[FAMILY_SESSION_COOKIE];
+  if (familyToken) {
+    const resolved = resolveFamilySession(familyToken);
+    if (!resolved) return null;
+    if (resolved.rotatedToken) setFamilySessionCookie(res, resolved.rotatedToken);
+
+    const s = resolved.session;
+    let user = s.linked_user_id && getUserById(s.linked_user_id);
+    if (!user) user = getUserById(provisionPersonalUser({ user_id: s.user_id, name: s.name }));
+    if (user.disabled_at) return null;
+
+    return principalOf(user, 'family', { sessionId: s.id, familyUserId: s.user_id });
+  }
+
+  return null;
+}
+
+function attach(req, principal) {
+  req.principal = principal;
+  // Routes written against authRequired read req.user
+  req.user = {
+    userId: principal.userId,
+    tenantId: principal.tenantId,
+    tenantName: principal.tenantName,
+    username: principal.username,
+    displayName: principal.displayName,
+    role: principal.role,
+    ...(principal.via === 'jwt' && { jti: principal.sessionId })
+  };
+}
+
+/**
+ * Middleware: require a signed-in principal (either credential)
+ */
+export function principalRequired(req, res, next) {
+  const principal = resolvePrincipal(req, res);
+  if (!principal) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  attach(req, principal);
+  next();
+}
+
+/**
+ * Middleware: attach req.principal when signed in, continue either way
+ */
+export function principalOptional(req, res, next) {
+  const principal = resolvePrincipal(req, res);
+  if (principal) attach(req, principal);
+  next();
+}
@@ -0,0 +1,99 @@
+// backend/src/ops/otp.js
+// One-time sign-in codes for family phones: hashed at rest, short TTL,
+// per-code attempt limit, resend cooldown and lockout after repeated failures.
+import crypto from 'crypto';
+import db from '../../db.js';
+
+const CODE_LENGTH = 6;
+const TTL_S = Number(process.env.OTP_TTL_S || 5 * 60);
+const RESEND_COOLDOWN_S = Number(process.env.OTP_RESEND_COOLDOWN_S || 60);
+const MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS || 5); // per code
+const LOCK_AFTER_FAILURES = Number(process.env.OTP_LOCK_AFTER || 10); // across codes
+const LOCK_S = Number(process.env.OTP_LOCK_MINUTES || 15) * 60;
+
+// Without OTP_SECRET a per-process key is used: pending codes die with a restart
+const SECRET = process.env.OTP_SECRET || crypto.randomBytes(32).toString('hex');
+
+function nowS() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function hashCode(e164, code) {
+  return crypto.createHmac('sha256', SECRET).update(`${e164}:${code}`).digest('hex');
+}
+
+function rowOf(e164) {
+  return db.prepare('SELECT * FROM family_otps WHERE phone_e164 = ?').get(e164);
+}
+
+/**
+ * Issue a new code for a phone
+ * @param {string} e164 - Normalized phone (see toE164)
+ * @returns {{ok: true, code: string, expiresInS: number, resendAfterS: number} | {ok: false, code: 'otp_cooldown'|'otp_locked', retryAfterS: number}}
+ */
+export function issueOtp(e164) {
+  const t = nowS();
+  const row = rowOf(e164);
+
+  if (row?.locked_until && row.locked_until > t) {
+    return { ok: false, code: 'otp_locked', retryAfterS: row.locked_until - t };
+  }
+  if (row?.sent_at && t - row.sent_at < RESEND_COOLDOWN_S) {
+    return { ok: false, code: 'otp_cooldown', retryAfterS: RESEND_COOLDOWN_S - (t - row.sent_at) };
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+
+  db.prepare(`
+    INSERT INTO family_otps (phone_e164, code_hash, expires_at, attempts, sent_at, failures, locked_until)
+    VALUES (@e164, @hash, @exp, 0, @t, 0, NULL)
+    ON CONFLICT(phone_e164) DO UPDATE SET
+      code_hash = @hash, expires_at = @exp, attempts = 0, sent_at = @t,
+      failures = CASE WHEN family_otps.locked_until IS NOT NULL THEN 0 ELSE family_otps.failures END,
+      locked_until = NULL
+  `).run({ e164, hash: hashCode(e164, code), exp: t + TTL_S, t });
+
+  return { ok: true, code, expiresInS: TTL_S, resendAfterS: RESEND_COOLDOWN_S };
+}
+
+/**
+ * Verify a code. A correct code stays valid until consumeOtp() so a caller
+ * can ask for more input (e.g. a name for a new user) without a resend.
+ * @returns {{ok: true} | {ok: false, code: string, attemptsLeft?: number, retryAfterS?: number}}
+ */
+export function verifyOtp(e164, code) {
+  const t = nowS();
+  const row = rowOf(e164);
+
+  if (row?.locked_until && row.locked_until > t) {
+    return { ok: false, code: 'otp_locked', retryAfterS: row.locked_until - t };
+  }
+  if (!row?.code_hash) return { ok: false, code: 'otp_not_requested' };
+  if (row.expires_at <= t) return { ok: false, code: 'otp_expired' };
+
+  const expected = Buffer.from(row.code_hash, 'hex');
+  const given = Buffer.from(hashCode(e164, String(code ?? '')), 'hex');
+  if (crypto.timingSafeEqual(expected, given)) return { ok: true };
+
+  const attempts = row.attempts + 1;
+  const failures = row.failures + 1;
+  const lock = failures >= LOCK_AFTER_FAILURES;
+
+  db.prepare(`
+    UPDATE family_otps
+    SET attempts = ?, failures = ?, locked_until = ?,
+      code_hash = CASE WHEN ? THEN NULL ELSE code_hash END
+    WHERE phone_e164 = ?
+  `).run(attempts, failures, lock ? t + LOCK_S : null, lock || attempts >= MAX_ATTEMPTS ? 1 : 0, e164);
+
+  if (lock) return { ok: false, code: 'otp_locked', retryAfterS: LOCK_S };
+  if (attempts >= MAX_ATTEMPTS) return { ok: false, code: 'otp_attempts_exceeded' };
+  return { ok: false, code: 'otp_invalid', attemptsLeft: MAX_ATTEMPTS - attempts };
+}
+
+/**
+ * Invalidate the code after a successful sign-in and reset failure counters
+ */
+export function consumeOtp(e164) {
+  db.prepare('UPDATE family_otps SET code_hash = NULL, attempts = 0, failures = 0 WHERE phone_e164 = ?').run(e164);
+}
@@ -0,0 +1,58 @@
+// backend/src/ops/passwords.js
+// Password hashing for tenant users (crypto.scrypt, no native deps).
+// Stored as "scrypt$N$r$p$<salt b64>$<hash b64>" so parameters can be raised
+// later without invalidating existing hashes.
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const N = 2 ** 15;
+const R = 8;
+const P = 1;
+const KEY_LEN = 64;
+const MAX_MEM = 64 * 1024 * 1024; // N=2^15, r=8 needs 32 MiB, right at node's default cap
+
+export const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH || 10);
+
+/**
+ * Hash a password
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password.normalize('NFKC'), salt, KEY_LEN, { N, r: R, p: P, maxmem: MAX_MEM });
+  return ['scrypt', N, R, P, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash (constant time)
+ * @param {string} password
+ * @param {string|null} stored - null hashes a throwaway so unknown users take as long
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    await hashPassword(String(password));
+    return false;
+  }
+
+  const [, n, r, p, saltB64, keyB64] = parts;
+  const expected = Buffer.from(keyB64, 'base64');
+  const key = await scrypt(String(password).normalize('NFKC'), Buffer.from(saltB64, 'base64'), expected.length, {
+    N: Number(n), r: Number(r), p: Number(p), maxmem: MAX_MEM
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Minimal password policy
+ * @returns {string|null} Error code, or null when acceptable
+ */
+export function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) return 'password_too_short';
+  if (password.length > 256) return 'password_too_long';
+  return null;
+}
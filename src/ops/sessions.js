@@ -0,0 +1,215 @@
+// backend/src/ops/sessions.js
+// Server-side sessions for family sign-in (opaque cookie token, hashed at rest)
+// and the jti registry that makes dev/tenant JWTs revocable.
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import db from '../../db.js';
+
+const DAY_S = 24 * 60 * 60;
+
+export const FAMILY_SESSION_TTL_S = Number(process.env.FAMILY_SESSION_TTL_DAYS || 30) * DAY_S;
+const FAMILY_ROTATE_AFTER_S = Number(process.env.FAMILY_SESSION_ROTATE_HOURS || 24) * 60 * 60;
+const ROTATE_GRACE_S = 60; // previous token keeps working briefly (parallel requests)
+const TOUCH_EVERY_S = 60; // throttle last_seen_at writes
+
+function nowS() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function clientOf(req) {
+  return {
+    userAgent: String(req?.headers?.['user-agent'] || '').slice(0, 300) || null,
+    ip: req?.ip || null
+  };
+}
+
+/**
+ * Public view of a session row (never includes token hashes)
+ */
+function sessionOut(row, currentId) {
+  return {
+    id: row.id ?? row.jti,
+    user_agent: row.user_agent,
+    ip: row.ip,
+    created_at: row.created_at,
+    last_seen_at: row.last_seen_at,
+    expires_at: row.expires_at,
+    current: (row.id ?? row.jti) === currentId
+  };
+}
+
+// ---- Family sessions ----
+
+export const FAMILY_SESSION_COOKIE = 'family_session';
+
+/**
+ * Set the family session cookie
+ */
+export function setFamilySessionCookie(res, token) {
+  res.cookie(FAMILY_SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'Lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: FAMILY_SESSION_TTL_S * 1000,
+  });
+}
+
+/**
+ * Start a family session
+ * @param {string} userId - family_users.user_id
+ * @param {Object} req - Express request (user agent / IP are recorded)
+ * @returns {{id: string, token: string, expiresAt: number}}
+ */
+export function createFamilySession(userId, req) {
+  const id = nanoid(16);
+  const token = newToken();
+  const { userAgent, ip } = clientOf(req);
+  const expiresAt = nowS() + FAMILY_SESSION_TTL_S;
+
+  db.prepare(`
+    INSERT INTO family_sessions (id, user_id, token_hash, user_agent, ip, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, userId, hashToken(token), userAgent, ip, expiresAt);
+
+  return { id, token, expiresAt };
+}
+
+/**
+ * Resolve a cookie token to an active session (with the family user)
+ * Rotates the token when it is older than FAMILY_SESSION_ROTATE_HOURS.
+ * @param {string} token
+ * @returns {{session: Object, rotatedToken: string|null}|null}
+ */
+export function resolveFamilySession(token) {
+  if (!token) return null;
+  const h = hashToken(token);
+  const t = nowS();
+
+  const row = db.prepare(`
+    SELECT s.*, u.name, u.phone_e164, u.linked_user_id
+    FROM family_sessions s
+    JOIN family_users u ON u.user_id = s.user_id
+    WHERE (s.token_hash = @h OR (s.prev_token_hash = @h AND s.prev_valid_until >= @t))
+      AND s.revoked_at IS NULL AND s.expires_at > @t
+  `).get({ h, t });
+  if (!row) return null;
+
+  let rotatedToken = null;
+  if (row.token_hash === h && t - row.rotated_at >= FAMILY_ROTATE_AFTER_S) {
+    rotatedToken = newToken();
+    db.prepare(`
+      UPDATE family_sessions
+      SET token_hash = ?, prev_token_hash = ?, prev_valid_until = ?, rotated_at = ?, last_seen_at = ?, expires_at = ?
+      WHERE id = ?
+    `).run(hashToken(rotatedToken), h, t + ROTATE_GRACE_S, t, t, t + FAMILY_SESSION_TTL_S, row.id);
+  } else if (t - row.last_seen_at >= TOUCH_EVERY_S) {
+    db.prepare('UPDATE family_sessions SET last_seen_at = ? WHERE id = ?').run(t, row.id);
+  }
+
+  return { session: row, rotatedToken };
+}
+
+/**
+ * List a family user's active sessions
+ */
+export function listFamilySessions(userId, currentId) {
+  return db.prepare(`
+    SELECT * FROM family_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_seen_at DESC
+  `).all(userId, nowS()).map(r => sessionOut(r, currentId));
+}
+
+/**
+ * Revoke one family session (must belong to userId)
+ * @returns {boolean}
+ */
+export function revokeFamilySession(userId, sessionId) {
+  return db.prepare('UPDATE family_sessions SET revoked_at = unixepoch() WHERE id = ? AND user_id = ? AND revoked_at IS NULL')
+    .run(sessionId, userId).changes > 0;
+}
+
+/**
+ * Revoke every family session of a user, optionally keeping one
+ * @returns {number} Sessions revoked
+ */
+export function revokeOtherFamilySessions(userId, keepId = null) {
+  return db.prepare('UPDATE family_sessions SET revoked_at = unixepoch() WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?')
+    .run(userId, keepId).changes;
+}
+
+// ---- JWT sessions ----
+
+/**
+ * Register a JWT so it can be revoked later
+ * @param {number} userId - users.id
+ * @param {number} expiresAt - Token exp (unix seconds)
+ * @param {Object} req - Express request
+ * @returns {string} jti
+ */
+export function registerJwtSession(userId, expiresAt, req) {
+  const jti = nanoid(16);
+  const { userAgent, ip } = clientOf(req);
+  db.prepare('INSERT INTO jwt_sessions (jti, user_id, user_agent, ip, expires_at) VALUES (?, ?, ?, ?, ?)')
+    .run(jti, userId, userAgent, ip, expiresAt);
+  return jti;
+}
+
+/**
+ * Check that a JWT's jti is still active and record activity
+ * @returns {boolean}
+ */
+export function isJwtSessionActive(jti) {
+  if (!jti) return false;
+  const t = nowS();
+  const row = db.prepare('SELECT last_seen_at FROM jwt_sessions WHERE jti = ? AND revoked_at IS NULL AND expires_at > ?').get(jti, t);
+  if (!row) return false;
+  if (t - row.last_seen_at >= TOUCH_EVERY_S) {
+    db.prepare('UPDATE jwt_sessions SET last_seen_at = ? WHERE jti = ?').run(t, jti);
+  }
+  return true;
+}
+
+/**
+ * Extend a JWT session after the token was re-signed
+ */
+export function extendJwtSession(jti, expiresAt) {
+  db.prepare('UPDATE jwt_sessions SET expires_at = ? WHERE jti = ?').run(expiresAt, jti);
+}
+
+/**
+ * List a user's active JWT sessions
+ */
+export function listJwtSessions(userId, currentJti) {
+  return db.prepare(`
+    SELECT * FROM jwt_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_seen_at DESC
+  `).all(userId, nowS()).map(r => sessionOut(r, currentJti));
+}
+
+/**
+ * Revoke one JWT session (must belong to userId)
+ * @returns {boolean}
+ */
+export function revokeJwtSession(userId, jti) {
+  return db.prepare('UPDATE jwt_sessions SET revoked_at = unixepoch() WHERE jti = ? AND user_id = ? AND revoked_at IS NULL')
+    .run(jti, userId).changes > 0;
+}
+
+/**
+ * Revoke every JWT session of a user, optionally keeping one
+ * @returns {number} Sessions revoked
+ */
+export function revokeOtherJwtSessions(userId, keepJti = null) {
+  return db.prepare('UPDATE jwt_sessions SET revoked_at = unixepoch() WHERE user_id = ? AND revoked_at IS NULL AND jti IS NOT ?')
+    .run(userId, keepJti).changes;
+}
@@ -0,0 +1,103 @@
+// backend/src/ops/sms.js
+// Pluggable SMS transport. A transport is { name, send({ to, body }) => Promise<void> }.
+// Pick one with SMS_TRANSPORT=console|file|webhook, or install your own with
+// setSmsTransport() (tests, other providers). Outside production the default is
+// file; in production (AUTH_MODE or NODE_ENV) SMS_TRANSPORT must name a real
+// gateway: console and file are refused, so codes are never sent nowhere.
+import { appendFile } from 'fs/promises';
+import { maskPhone } from './phone.js';
+import { AUTH_MODE } from '../../auth.js';
+
+const TIMEOUT_MS = Number(process.env.SMS_TIMEOUT_MS || 8000);
+const PRODUCTION = AUTH_MODE === 'production' || process.env.NODE_ENV === 'production';
+const DEV_TRANSPORTS = ['console', 'file'];
+
+// One-time codes (digit runs) are never written to the log
+const redact = body => String(body).replace(/\d{4,}/g, m => '*'.repeat(m.length));
+
+/**
+ * Dev transport: prints the message to the server log, codes masked
+ */
+export function consoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, body }) {
+      console.log(`[SMS] to=${maskPhone(to)} body="${redact(body)}"`);
+    }
+  };
+}
+
+/**
+ * Dev/test transport: appends one JSON line per message to a file
+ * @param {string} path - Outbox file (SMS_FILE, default ./sms-outbox.jsonl)
+ */
+export function fileTransport(path = process.env.SMS_FILE || 'sms-outbox.jsonl') {
+  return {
+    name: 'file',
+    async send({ to, body }) {
+      await appendFile(path, JSON.stringify({ ts: Date.now(), to, body }) + '\n');
+    }
+  };
+}
+
+/**
+ * Gateway transport: POSTs { to, body } as JSON to SMS_WEBHOOK_URL
+ * (bearer SMS_WEBHOOK_TOKEN if set); adapt your SMS provider behind it
+ */
+export function webhookTransport(url = process.env.SMS_WEBHOOK_URL, token = process.env.SMS_WEBHOOK_TOKEN) {
+  if (!url) throw new Error('SMS_WEBHOOK_URL is required for the webhook SMS transport');
+  return {
+    name: 'webhook',
+    async send({ to, body }) {
+      const ac = new AbortController();
+      const tid = setTimeout(() => ac.abort(), TIMEOUT_MS);
+      try {
+        const r = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'content-type': 'application/json',
+            ...(token && { authorization: `Bearer ${token}` })
+          },
+          body: JSON.stringify({ to, body }),
+          signal: ac.signal
+        });
+        if (!r.ok) throw new Error(`sms_webhook_${r.status}`);
+      } finally {
+        clearTimeout(tid);
+      }
+    }
+  };
+}
+
+const FACTORIES = {
+  console: consoleTransport,
+  file: fileTransport,
+  webhook: webhookTransport
+};
+
+let transport = null;
+
+/**
+ * Current transport (created lazily from SMS_TRANSPORT)
+ * @throws {Error} For an unknown transport, or no real gateway in production
+ */
+export function getSmsTransport() {
+  if (!transport) {
+    const name = process.env.SMS_TRANSPORT || (PRODUCTION ? '' : 'file');
+    if (!name) throw new Error('SMS_TRANSPORT must be set in production');
+    if (PRODUCTION && DEV_TRANSPORTS.includes(name)) {
+      throw new Error(`SMS_TRANSPORT "${name}" is for development only`);
+    }
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`Unknown SMS_TRANSPORT "${name}"`);
+    transport = factory();
+  }
+  return transport;
+}
+
+/**
+ * Replace the transport (e.g. an in-memory sink in tests)
+ */
+export function setSmsTransport(t) {
+  transport = t;
+}
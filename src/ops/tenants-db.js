@@ -0,0 +1,257 @@
+// backend/src/ops/tenants-db.js
+// Tenant administration: tenants, their users (admin/member), join invites
+// and the audit log. Callers check the actor's role and isLastAdmin() before
+// demoting, disabling or removing anyone.
+import { customAlphabet } from 'nanoid';
+import db, { createUserWithProfile } from '../../db.js';
+import { linkFamilyUser } from './identity.js';
+
+// No 0/O/1/I: codes are read out loud and typed on phones
+const inviteCode = customAlphabet('23456789ABCDEFGHJKLMNPQRSTUVWXYZ', 10);
+
+function nowS() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function userOut(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    display_name: row.display_name,
+    role: row.role,
+    disabled: !!row.disabled_at,
+    disabled_at: row.disabled_at,
+    created_at: row.created_at
+  };
+}
+
+function inviteOut(row) {
+  return {
+    code: row.code,
+    role: row.role,
+    max_uses: row.max_uses,
+    uses: row.uses,
+    created_by: row.created_by,
+    created_at: row.created_at,
+    expires_at: row.expires_at
+  };
+}
+
+// ---- Audit ----
+
+/**
+ * Record an administrative change
+ * @param {Object} entry
+ * @param {number|null} entry.tenantId
+ * @param {{userId?: number, familyUserId?: string}} entry.actor
+ * @param {string} entry.action - e.g. 'user.disable'
+ * @param {string} [entry.targetType]
+ * @param {string|number} [entry.targetId]
+ * @param {Object} [entry.detail]
+ * @param {string} [entry.ip]
+ */
+export function audit({ tenantId, actor, action, targetType, targetId, detail, ip }) {
+  db.prepare(`
+    INSERT INTO audit_log (tenant_id, actor_user_id, actor_family_user_id, action, target_type, target_id, detail_json, ip)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    tenantId ?? null,
+    actor?.userId ?? null,
+    actor?.familyUserId ?? null,
+    action,
+    targetType ?? null,
+    targetId == null ? null : String(targetId),
+    detail ? JSON.stringify(detail) : null,
+    ip ?? null
+  );
+}
+
+/**
+ * Newest-first audit entries of a tenant
+ * @param {number} tenantId
+ * @param {{limit?: number, before?: number}} opts - before: entry id (paging)
+ */
+export function listAudit(tenantId, { limit = 50, before } = {}) {
+  return db.prepare(`
+    SELECT * FROM audit_log
+    WHERE tenant_id = ? AND id < ?
+    ORDER BY id DESC
+    LIMIT ?
+  `).all(tenantId, before ?? Number.MAX_SAFE_INTEGER, limit).map(r => ({
+    id: r.id,
+    action: r.action,
+    actor_user_id: r.actor_user_id,
+    actor_family_user_id: r.actor_family_user_id,
+    target_type: r.target_type,
+    target_id: r.target_id,
+    detail: r.detail_json ? JSON.parse(r.detail_json) : null,
+    ip: r.ip,
+    created_at: r.created_at
+  }));
+}
+
+// ---- Tenants ----
+
+export function getTenant(tenantId) {
+  return db.prepare('SELECT id, name, kind, created_at FROM tenants WHERE id = ?').get(tenantId) || null;
+}
+
+/**
+ * Create a shared tenant
+ * @returns {Object|null} Tenant, or null when the name is taken
+ */
+export function createTenant(name) {
+  if (db.prepare('SELECT 1 FROM tenants WHERE name = ?').get(name)) return null;
+  const r = db.prepare("INSERT INTO tenants (name, kind) VALUES (?, 'shared')").run(name);
+  return getTenant(Number(r.lastInsertRowid));
+}
+
+/**
+ * @returns {boolean} false when the name is taken by another tenant
+ */
+export function renameTenant(tenantId, name) {
+  if (db.prepare('SELECT 1 FROM tenants WHERE name = ? AND id != ?').get(name, tenantId)) return false;
+  db.prepare('UPDATE tenants SET name = ? WHERE id = ?').run(name, tenantId);
+  return true;
+}
+
+// ---- Users ----
+
+export function listTenantUsers(tenantId) {
+  return db.prepare('SELECT * FROM users WHERE tenant_id = ? ORDER BY id').all(tenantId).map(userOut);
+}
+
+export function getTenantUser(tenantId, userId) {
+  const row = db.prepare('SELECT * FROM users WHERE id = ? AND tenant_id = ?').get(userId, tenantId);
+  return row ? userOut(row) : null;
+}
+
+function usernameTaken(tenantId, username) {
+  return !!db.prepare('SELECT 1 FROM users WHERE tenant_id = ? AND username = ?').get(tenantId, username);
+}
+
+/**
+ * Add a user (with default profile) to a tenant
+ * @returns {Object|null} User, or null when the username is taken
+ */
+export function addTenantUser(tenantId, { username, display_name, role = 'member' }) {
+  if (usernameTaken(tenantId, username)) return null;
+  const id = createUserWithProfile(tenantId, username, display_name ?? username, role);
+  return getTenantUser(tenantId, id);
+}
+
+/**
+ * Would this change leave the tenant without an active admin?
+ * @param {number} tenantId
+ * @param {number} userId - User being demoted, disabled or removed
+ */
+export function isLastAdmin(tenantId, userId) {
+  const others = db.prepare(`
+    SELECT COUNT(*) AS n FROM users
+    WHERE tenant_id = ? AND role = 'admin' AND disabled_at IS NULL AND id != ?
+  `).get(tenantId, userId).n;
+  const self = db.prepare("SELECT 1 FROM users WHERE id = ? AND role = 'admin' AND disabled_at IS NULL").get(userId);
+  return !!self && others === 0;
+}
+
+/**
+ * Patch display name, role and/or disabled state
+ * @param {{display_name?: string, role?: string, disabled?: boolean}} patch
+ */
+export function updateTenantUser(tenantId, userId, patch) {
+  const sets = [];
+  const params = [];
+  if (patch.display_name !== undefined) {
+    sets.push('display_name = ?');
+    params.push(patch.display_name);
+  }
+  if (patch.role !== undefined) {
+    sets.push('role = ?');
+    params.push(patch.role);
+  }
+  if (patch.disabled !== undefined) {
+    sets.push(patch.disabled ? 'disabled_at = COALESCE(disabled_at, CURRENT_TIMESTAMP)' : 'disabled_at = NULL');
+  }
+  if (sets.length) {
+    db.prepare(`UPDATE users SET ${sets.join(', ')} WHERE id = ? AND tenant_id = ?`).run(...params, userId, tenantId);
+  }
+  return getTenantUser(tenantId, userId);
+}
+
+/**
+ * Delete a user; profile, trips and sessions cascade, linked phones fall back
+ * to a personal tenant on their next request
+ */
+export function removeTenantUser(tenantId, userId) {
+  return db.prepare('DELETE FROM users WHERE id = ? AND tenant_id = ?').run(userId, tenantId).changes > 0;
+}
+
+// ---- Invites ----
+
+/**
+ * Issue a join code
+ * @param {number} tenantId
+ * @param {{role: string, maxUses: number, ttlS: number, createdBy: number|null}} opts
+ */
+export function createInvite(tenantId, { role, maxUses, ttlS, createdBy }) {
+  const code = inviteCode();
+  db.prepare(`
+    INSERT INTO tenant_invites (code, tenant_id, role, created_by, max_uses, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(code, tenantId, role, createdBy ?? null, maxUses, nowS() + ttlS);
+  return inviteOut(db.prepare('SELECT * FROM tenant_invites WHERE code = ?').get(code));
+}
+
+/**
+ * Invites that can still be redeemed
+ */
+export function listInvites(tenantId) {
+  return db.prepare(`
+    SELECT * FROM tenant_invites
+    WHERE tenant_id = ? AND revoked_at IS NULL AND expires_at > ? AND uses < max_uses
+    ORDER BY created_at DESC
+  `).all(tenantId, nowS()).map(inviteOut);
+}
+
+export function revokeInvite(tenantId, code) {
+  return db.prepare('UPDATE tenant_invites SET revoked_at = unixepoch() WHERE code = ? AND tenant_id = ? AND revoked_at IS NULL')
+    .run(code, tenantId).changes > 0;
+}
+
+/**
+ * Pick a free username in a tenant from a display name
+ */
+function usernameFor(tenantId, name, fallback) {
+  const base = String(name || '').trim().toLowerCase().replace(/\s+/g, '-').slice(0, 32) || fallback;
+  let candidate = base;
+  for (let i = 2; usernameTaken(tenantId, candidate); i++) candidate = `${base}-${i}`;
+  return candidate;
+}
+
+/**
+ * Redeem a join code for a family sign-in: creates a tenant user with the
+ * invite's role and links the phone to it
+ * @param {string} code
+ * @param {{user_id: string, name: string, linked_user_id: number|null}} familyUser
+ * @param {string} [username] - Requested username (must be free)
+ * @returns {{ok: true, tenantId: number, user: Object}|{ok: false, code: string}}
+ */
+export const redeemInvite = db.transaction((code, familyUser, username) => {
+  const invite = db.prepare('SELECT * FROM tenant_invites WHERE code = ?').get(String(code).toUpperCase());
+  if (!invite || invite.revoked_at || invite.expires_at <= nowS() || invite.uses >= invite.max_uses) {
+    return { ok: false, code: 'invite_invalid' };
+  }
+
+  const linked = familyUser.linked_user_id
+    && db.prepare('SELECT tenant_id FROM users WHERE id = ?').get(familyUser.linked_user_id);
+  if (linked?.tenant_id === invite.tenant_id) return { ok: false, code: 'already_member' };
+
+  if (username && usernameTaken(invite.tenant_id, username)) return { ok: false, code: 'username_taken' };
+  const name = username || usernameFor(invite.tenant_id, familyUser.name, familyUser.user_id);
+
+  const userId = createUserWithProfile(invite.tenant_id, name, familyUser.name, invite.role);
+  db.prepare('UPDATE tenant_invites SET uses = uses + 1 WHERE code = ?').run(invite.code);
+  linkFamilyUser(familyUser.user_id, userId);
+
+  return { ok: true, tenantId: invite.tenant_id, invite: invite.code, user: getTenantUser(invite.tenant_id, userId) };
+});
@@ -0,0 +1,28 @@
+// backend/src/ops/trip-events.js
+// In-process pub/sub for live trip collaboration (fanned out over SSE)
+// Single-instance only: clients connected to another instance won't see the event.
+import { EventEmitter } from 'events';
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open client
+
+/**
+ * Publish a change to everyone watching a trip
+ * @param {string} tripId
+ * @param {{type: string, version?: number, actor?: number, [k: string]: any}} event
+ */
+export function publishTripEvent(tripId, event) {
+  bus.emit(`trip:${tripId}`, { ...event, trip_id: tripId, ts: Date.now() });
+}
+
+/**
+ * Watch a trip for changes
+ * @param {string} tripId
+ * @param {Function} fn - Called with each event
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeTrip(tripId, fn) {
+  const ch = `trip:${tripId}`;
+  bus.on(ch, fn);
+  return () => bus.off(ch, fn);
+}
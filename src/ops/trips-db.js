@@ -0,0 +1,379 @@
+// backend/src/ops/trips-db.js
+// Trips / days / stops persistence with per-trip roles (owner/editor/viewer)
+// Access is resolved once with getTripAccess(); mutators assume it was checked.
+// Every mutation bumps trips.version, which clients use to detect concurrent edits.
+import { nanoid } from 'nanoid';
+import db from '../../db.js';
+
+export const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+/**
+ * Map a trip_stops row to the API shape
+ */
+function stopOut(row) {
+  return {
+    id: row.id,
+    day_id: row.day_id,
+    position: row.position,
+    place_id: row.place_id,
+    name: row.name,
+    lat: row.lat,
+    lon: row.lon,
+    dwell_min: row.dwell_min,
+    notes: row.notes,
+    leg: row.leg_json ? JSON.parse(row.leg_json) : null,
+    updated_at: row.updated_at
+  };
+}
+
+function insertStop(tripId, dayId, position, stop) {
+  const id = nanoid(12);
+  db.prepare(`
+    INSERT INTO trip_stops (id, trip_id, day_id, position, place_id, name, lat, lon, dwell_min, notes, leg_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, tripId, dayId, position,
+    stop.place_id ?? null,
+    stop.name ?? null,
+    stop.lat ?? null,
+    stop.lon ?? null,
+    stop.dwell_min ?? null,
+    stop.notes ?? null,
+    stop.leg ? JSON.stringify(stop.leg) : null
+  );
+  return id;
+}
+
+function insertDay(tripId, position, day) {
+  const id = nanoid(12);
+  db.prepare('INSERT INTO trip_days (id, trip_id, position, date, title) VALUES (?, ?, ?, ?, ?)')
+    .run(id, tripId, position, day.date ?? null, day.title ?? null);
+  (day.stops || []).forEach((stop, i) => insertStop(tripId, id, i, stop));
+  return id;
+}
+
+/**
+ * Mark a trip as changed
+ * @returns {number} New trip version
+ */
+function touchTrip(tripId) {
+  return db.prepare('UPDATE trips SET updated_at = unixepoch(), version = version + 1 WHERE id = ? RETURNING version')
+    .get(tripId).version;
+}
+
+function stopIdsOf(dayId) {
+  return db.prepare('SELECT id FROM trip_stops WHERE day_id = ? ORDER BY position').all(dayId).map(r => r.id);
+}
+
+/**
+ * Renumber stop positions in a day to 0..n-1 and drop cached legs,
+ * which no longer match once the sequence has changed
+ */
+function resequenceDay(dayId, orderedIds) {
+  const ids = orderedIds || stopIdsOf(dayId);
+  const upd = db.prepare('UPDATE trip_stops SET position = ?, leg_json = NULL, updated_at = unixepoch() WHERE id = ?');
+  ids.forEach((id, i) => upd.run(i, id));
+}
+
+function dayOf(tripId, dayId) {
+  return db.prepare('SELECT * FROM trip_days WHERE id = ? AND trip_id = ?').get(dayId, tripId);
+}
+
+/**
+ * Resolve the caller's role on a trip
+ * Trips are only ever visible inside their own tenant.
+ * @param {{tenantId: number, userId: number}} user
+ * @param {string} tripId
+ * @returns {{trip: Object, role: 'owner'|'editor'|'viewer'}|null}
+ */
+export function getTripAccess(user, tripId) {
+  const trip = db.prepare('SELECT * FROM trips WHERE id = ? AND tenant_id = ?').get(tripId, user.tenantId);
+  if (!trip) return null;
+  if (trip.user_id === user.userId) return { trip, role: 'owner' };
+
+  const member = db.prepare('SELECT role FROM trip_members WHERE trip_id = ? AND user_id = ?').get(tripId, user.userId);
+  return member ? { trip, role: member.role } : null;
+}
+
+/**
+ * Load a full trip (days + stops)
+ * @param {string} tripId
+ * @returns {Object|null}
+ */
+export function getTrip(tripId) {
+  const trip = db.prepare('SELECT * FROM trips WHERE id = ?').get(tripId);
+  if (!trip) return null;
+
+  const days = db.prepare('SELECT * FROM trip_days WHERE trip_id = ? ORDER BY position').all(tripId);
+  const stops = db.prepare('SELECT * FROM trip_stops WHERE trip_id = ? ORDER BY position').all(tripId);
+
+  return {
+    id: trip.id,
+    owner_user_id: trip.user_id,
+    title: trip.title,
+    notes: trip.notes,
+    start_date: trip.start_date,
+    version: trip.version,
+    created_at: trip.created_at,
+    updated_at: trip.updated_at,
+    days: days.map(d => ({
+      id: d.id,
+      position: d.position,
+      date: d.date,
+      title: d.title,
+      stops: stops.filter(s => s.day_id === d.id).map(stopOut)
+    }))
+  };
+}
+
+/**
+ * List trips the caller owns or is a member of, with day/stop counts
+ */
+export function listTrips(user) {
+  return db.prepare(`
+    SELECT t.id, t.title, t.start_date, t.version, t.created_at, t.updated_at,
+      CASE WHEN t.user_id = @userId THEN 'owner' ELSE m.role END AS role,
+      (SELECT COUNT(*) FROM trip_days d WHERE d.trip_id = t.id) AS day_count,
+      (SELECT COUNT(*) FROM trip_stops s WHERE s.trip_id = t.id) AS stop_count
+    FROM trips t
+    LEFT JOIN trip_members m ON m.trip_id = t.id AND m.user_id = @userId
+    WHERE t.tenant_id = @tenantId AND (t.user_id = @userId OR m.user_id IS NOT NULL)
+    ORDER BY t.updated_at DESC
+  `).all({ tenantId: user.tenantId, userId: user.userId });
+}
+
+/**
+ * Create a trip owned by the caller, with optional days and stops
+ * @returns {string} New trip ID
+ */
+export const createTrip = db.transaction((user, data) => {
+  const id = nanoid(12);
+  db.prepare('INSERT INTO trips (id, tenant_id, user_id, title, notes, start_date) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(id, user.tenantId, user.userId, data.title, data.notes ?? null, data.start_date ?? null);
+
+  const days = data.days?.length ? data.days : [{}];
+  days.forEach((day, i) => insertDay(id, i, day));
+  return id;
+});
+
+/**
+ * Update trip metadata (title, notes, start_date)
+ * @returns {number} New trip version
+ */
+export function updateTrip(tripId, fields) {
+  const updates = [];
+  const params = [];
+  for (const col of ['title', 'notes', 'start_date']) {
+    if (fields[col] !== undefined) {
+      updates.push(`${col} = ?`);
+      params.push(fields[col]);
+    }
+  }
+  if (updates.length) {
+    params.push(tripId);
+    db.prepare(`UPDATE trips SET ${updates.join(', ')} WHERE id = ?`).run(...params);
+  }
+  return touchTrip(tripId);
+}
+
+/**
+ * Delete a trip (days, stops and members cascade)
+ */
+export function deleteTrip(tripId) {
+  return db.prepare('DELETE FROM trips WHERE id = ?').run(tripId).changes > 0;
+}
+
+/**
+ * Copy a trip into a new trip owned by the caller (cached legs included)
+ * @returns {string|null} New trip ID
+ */
+export const duplicateTrip = db.transaction((user, tripId, title) => {
+  const src = getTrip(tripId);
+  if (!src) return null;
+
+  return createTrip(user, {
+    title: title || `${src.title} (copy)`,
+    notes: src.notes,
+    start_date: src.start_date,
+    days: src.days
+  });
+});
+
+/**
+ * Append a day to a trip
+ * @returns {{id: string, version: number}}
+ */
+export const addDay = db.transaction((tripId, day) => {
+  const { n } = db.prepare('SELECT COUNT(*) AS n FROM trip_days WHERE trip_id = ?').get(tripId);
+  const id = insertDay(tripId, n, day);
+  return { id, version: touchTrip(tripId) };
+});
+
+/**
+ * Remove a day (and its stops)
+ * @returns {number|null} New trip version, null if the day does not exist
+ */
+export const deleteDay = db.transaction((tripId, dayId) => {
+  const r = db.prepare('DELETE FROM trip_days WHERE id = ? AND trip_id = ?').run(dayId, tripId);
+  if (!r.changes) return null;
+
+  const ids = db.prepare('SELECT id FROM trip_days WHERE trip_id = ? ORDER BY position').all(tripId);
+  const upd = db.prepare('UPDATE trip_days SET position = ? WHERE id = ?');
+  ids.forEach((d, i) => upd.run(i, d.id));
+  return touchTrip(tripId);
+});
+
+/**
+ * Insert a stop into a day (at position, default end)
+ * @returns {{id: string, version: number}|null}
+ */
+export const addStop = db.transaction((tripId, dayId, stop, position) => {
+  if (!dayOf(tripId, dayId)) return null;
+
+  const ids = stopIdsOf(dayId);
+  const at = position === undefined ? ids.length : Math.min(Math.max(position, 0), ids.length);
+  const id = insertStop(tripId, dayId, at, stop);
+  ids.splice(at, 0, id);
+  resequenceDay(dayId, ids);
+  return { id, version: touchTrip(tripId) };
+});
+
+/**
+ * Update a stop's fields; changing coordinates drops its cached leg
+ * @returns {number|null} New trip version, null if the stop does not exist
+ */
+export const updateStop = db.transaction((tripId, stopId, fields) => {
+  const row = db.prepare('SELECT * FROM trip_stops WHERE id = ? AND trip_id = ?').get(stopId, tripId);
+  if (!row) return null;
+
+  const updates = [];
+  const params = [];
+  for (const col of ['place_id', 'name', 'lat', 'lon', 'dwell_min', 'notes']) {
+    if (fields[col] !== undefined) {
+      updates.push(`${col} = ?`);
+      params.push(fields[col]);
+    }
+  }
+  if (fields.leg !== undefined) {
+    updates.push('leg_json = ?');
+    params.push(fields.leg ? JSON.stringify(fields.leg) : null);
+  } else if (fields.lat !== undefined || fields.lon !== undefined) {
+    updates.push('leg_json = NULL');
+  }
+  updates.push('updated_at = unixepoch()');
+  params.push(stopId);
+
+  db.prepare(`UPDATE trip_stops SET ${updates.join(', ')} WHERE id = ?`).run(...params);
+  return touchTrip(tripId);
+});
+
+/**
+ * Delete a stop and close the gap in its day
+ * @returns {number|null} New trip version, null if the stop does not exist
+ */
+export const deleteStop = db.transaction((tripId, stopId) => {
+  const row = db.prepare('SELECT day_id FROM trip_stops WHERE id = ? AND trip_id = ?').get(stopId, tripId);
+  if (!row) return null;
+
+  db.prepare('DELETE FROM trip_stops WHERE id = ?').run(stopId);
+  resequenceDay(row.day_id);
+  return touchTrip(tripId);
+});
+
+/**
+ * Merge a reorder that was based on an older stop list into the current one.
+ * Requested stops that were deleted meanwhile are dropped; stops added
+ * meanwhile stay right after the stop they followed in the current list.
+ */
+function mergeOrder(current, requested) {
+  const out = [];
+  for (const id of requested) {
+    if (current.includes(id) && !out.includes(id)) out.push(id);
+  }
+  current.forEach((id, i) => {
+    if (out.includes(id)) return;
+    const prev = current.slice(0, i).reverse().find(p => out.includes(p));
+    out.splice(prev ? out.indexOf(prev) + 1 : 0, 0, id);
+  });
+  return out;
+}
+
+/**
+ * Reorder the stops of a day
+ * @param {string[]} stopIds - Stop IDs of the day, in the new order
+ * @param {Object} options - { merge } true when the caller's list may be stale
+ * @returns {{status: 'ok'|'merged'|'not_found'|'mismatch', version?: number}}
+ */
+export const reorderStops = db.transaction((tripId, dayId, stopIds, { merge = false } = {}) => {
+  if (!dayOf(tripId, dayId)) return { status: 'not_found' };
+
+  const current = stopIdsOf(dayId);
+  const same = current.length === stopIds.length &&
+    new Set(stopIds).size === stopIds.length &&
+    stopIds.every(id => current.includes(id));
+
+  if (!same && !merge) return { status: 'mismatch' };
+
+  resequenceDay(dayId, same ? stopIds : mergeOrder(current, stopIds));
+  return { status: same ? 'ok' : 'merged', version: touchTrip(tripId) };
+});
+
+/**
+ * Store route legs on a day's stops: legs[i] is the leg arriving at stop i+1
+ * @param {number} baseVersion - Trip version the stops were read at
+ * @returns {number|null} New trip version, null if the trip changed since
+ *   baseVersion or the day's stops are no longer stopIds
+ */
+export const setDayLegs = db.transaction((tripId, dayId, stopIds, legs, baseVersion) => {
+  const trip = db.prepare('SELECT version FROM trips WHERE id = ?').get(tripId);
+  const current = stopIdsOf(dayId);
+  if (trip?.version !== baseVersion || current.join() !== stopIds.join()) return null;
+
+  const upd = db.prepare('UPDATE trip_stops SET leg_json = ? WHERE id = ? AND day_id = ?');
+  stopIds.forEach((id, i) => {
+    upd.run(i === 0 ? null : JSON.stringify(legs[i - 1] ?? null), id, dayId);
+  });
+  return touchTrip(tripId);
+});
+
+// ---- Members ----
+
+/**
+ * List the owner and members of a trip
+ */
+export function listMembers(tripId) {
+  return db.prepare(`
+    SELECT u.id AS user_id, u.username, u.display_name, 'owner' AS role
+    FROM trips t JOIN users u ON u.id = t.user_id
+    WHERE t.id = ?
+    UNION ALL
+    SELECT u.id, u.username, u.display_name, m.role
+    FROM trip_members m JOIN users u ON u.id = m.user_id
+    WHERE m.trip_id = ?
+  `).all(tripId, tripId);
+}
+
+/**
+ * Add or change a member's role; the user must belong to the trip's tenant
+ * @returns {'ok'|'user_not_found'|'is_owner'}
+ */
+export function setMember(tripId, userId, role, addedBy) {
+  const trip = db.prepare('SELECT tenant_id, user_id FROM trips WHERE id = ?').get(tripId);
+  if (trip.user_id === userId) return 'is_owner';
+
+  const user = db.prepare('SELECT id FROM users WHERE id = ? AND tenant_id = ?').get(userId, trip.tenant_id);
+  if (!user) return 'user_not_found';
+
+  db.prepare(`
+    INSERT INTO trip_members (trip_id, user_id, role, added_by) VALUES (?, ?, ?, ?)
+    ON CONFLICT(trip_id, user_id) DO UPDATE SET role = excluded.role
+  `).run(tripId, userId, role, addedBy);
+  return 'ok';
+}
+
+/**
+ * Remove a member from a trip
+ */
+export function removeMember(tripId, userId) {
+  return db.prepare('DELETE FROM trip_members WHERE trip_id = ? AND user_id = ?').run(tripId, userId).changes > 0;
+}
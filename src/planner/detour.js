@@ -0,0 +1,84 @@
+// Stop discovery around a point or along a route
+// Splits a route into provider search circles, picks the route anchors each
+// candidate is detoured between, and ranks candidates by place score
+// discounted by the extra travel time they cost.
+
+export const DETOUR_SCALE_S = Number(process.env.PLACES_DETOUR_SCALE_S || 600);
+const DETOUR_LEGS = 12;
+// DETOUR_LEGS + 1 anchors and this many candidates fit a 25-point matrix
+export const MAX_DETOUR_CANDIDATES = 12;
+const MAX_SEARCH_RADIUS_M = 50000; // Places API circle limit
+
+/**
+ * Search circles covering a corridor of bufferM either side of a line
+ * Circles are centred at equal spacing along the line; each reaches the
+ * corridor edge halfway to its neighbours.
+ * @param {Function} pointAt - (distM) => [lon, lat] on the line
+ * @param {number} lengthM - Line length
+ * @returns {Array<{center: {latitude, longitude}, radius: number}>}
+ */
+export function searchCircles(pointAt, lengthM, bufferM, maxSearches) {
+  const n = Math.min(Math.max(Math.ceil(lengthM / (2 * bufferM)), 1), maxSearches);
+  const spacing = lengthM / n;
+  const radius = Math.min(Math.round(Math.hypot(bufferM, spacing / 2)), MAX_SEARCH_RADIUS_M);
+
+  return Array.from({ length: n }, (_, i) => {
+    const [longitude, latitude] = pointAt((i + 0.5) * spacing);
+    return { center: { latitude, longitude }, radius };
+  });
+}
+
+/**
+ * Route anchors bracketing each candidate
+ * The line is cut into DETOUR_LEGS equal legs; a candidate at along_m
+ * is detoured between the ends of the leg it falls in. Only anchors that
+ * some candidate uses are returned.
+ * @param {number[]} alongs - Candidate positions along the line (m)
+ * @returns {{anchors: number[], legs: Array<[number, number]>}}
+ *   anchors: positions along the line (m); legs[i]: anchor indexes for alongs[i]
+ */
+export function detourLegs(lengthM, alongs) {
+  const n = DETOUR_LEGS;
+  const leg = lengthM / n || 1;
+  const used = new Map();
+  const slot = k => {
+    if (!used.has(k)) used.set(k, used.size);
+    return used.get(k);
+  };
+
+  const legs = alongs.map(a => {
+    const k = Math.min(Math.floor(a / leg), n - 1);
+    return [slot(k), slot(k + 1)];
+  });
+  const anchors = [...used.keys()].map(k => Math.min(k * leg, lengthM));
+  return { anchors, legs };
+}
+
+/**
+ * Extra cost of going a -> p -> b instead of a -> b in a matrix
+ * @returns {number|null} null when a leg is unreachable
+ */
+export function detourCost(m, a, p, b) {
+  const v = m[a]?.[p] + m[p]?.[b] - m[a]?.[b];
+  return Number.isFinite(v) ? Math.max(Math.round(v), 0) : null;
+}
+
+/**
+ * Rank places by _score discounted by travel time
+ * _rank = _score / (1 + travel / scaleS): a place that costs scaleS of travel
+ * counts half. Places without a travel time (no matrix) keep their _score;
+ * unreachable places go last.
+ * @param {Function} travelOf - (item) => seconds, null = unreachable, undefined = unknown
+ * @param {number} [scaleS] - Default PLACES_DETOUR_SCALE_S
+ * @returns {Array} Items with _rank, best first
+ */
+export function rankByTravel(items, travelOf, scaleS = DETOUR_SCALE_S) {
+  return items
+    .map(p => {
+      const t = travelOf(p);
+      const score = p._score || 0;
+      const rank = t === null ? -1 : t === undefined ? score : score / (1 + t / scaleS);
+      return { ...p, _rank: Math.round(rank * 1000) / 1000 };
+    })
+    .sort((a, b) => b._rank - a._rank || (travelOf(a) ?? Infinity) - (travelOf(b) ?? Infinity));
+}
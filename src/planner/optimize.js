@@ -0,0 +1,143 @@
+// Visit-order optimization over a travel-time matrix
+// Exact (Held-Karp DP) for small N, nearest-neighbour + 2-opt for larger N.
+// Node 0 is the start; an optional fixed end node must be the last index.
+
+// Held-Karp keeps 2^n x n tables: past ~12 free nodes that is too much memory per request
+const EXACT_LIMIT = 12;
+const EXACT_MAX = Math.min(Number(process.env.OPTIMIZE_EXACT_MAX || 9), EXACT_LIMIT);
+
+// Unreachable pairs come back from the matrix as Infinity; keep them
+// orderable but heavily penalized so the solver avoids them when it can.
+const UNREACHABLE_S = 7 * 24 * 3600;
+
+function costOf(m, i, j) {
+  const v = m[i]?.[j];
+  return Number.isFinite(v) ? v : UNREACHABLE_S;
+}
+
+function pathCost(m, path) {
+  let total = 0;
+  for (let i = 0; i < path.length - 1; i++) total += costOf(m, path[i], path[i + 1]);
+  return total;
+}
+
+/**
+ * Held-Karp dynamic programming over the free nodes
+ * @param {number[][]} m - Cost matrix
+ * @param {number[]} free - Node indices to visit (start/end excluded)
+ * @param {number|null} end - Fixed end node or null for an open path
+ * @returns {number[]} Best path including start (0) and end (if fixed)
+ */
+function solveExact(m, free, end) {
+  const n = free.length;
+  const full = (1 << n) - 1;
+  const dp = Array.from({ length: 1 << n }, () => new Float64Array(n).fill(Infinity));
+  const parent = Array.from({ length: 1 << n }, () => new Int8Array(n).fill(-1));
+
+  for (let k = 0; k < n; k++) dp[1 << k][k] = costOf(m, 0, free[k]);
+
+  for (let mask = 1; mask <= full; mask++) {
+    for (let k = 0; k < n; k++) {
+      if (!(mask & (1 << k)) || dp[mask][k] === Infinity) continue;
+      for (let j = 0; j < n; j++) {
+        if (mask & (1 << j)) continue;
+        const next = mask | (1 << j);
+        const c = dp[mask][k] + costOf(m, free[k], free[j]);
+        if (c < dp[next][j]) {
+          dp[next][j] = c;
+          parent[next][j] = k;
+        }
+      }
+    }
+  }
+
+  let bestK = 0;
+  let best = Infinity;
+  for (let k = 0; k < n; k++) {
+    const c = dp[full][k] + (end !== null ? costOf(m, free[k], end) : 0);
+    if (c < best) { best = c; bestK = k; }
+  }
+
+  const order = [];
+  let mask = full;
+  let k = bestK;
+  while (k !== -1) {
+    order.push(free[k]);
+    const prev = parent[mask][k];
+    mask &= ~(1 << k);
+    k = prev;
+  }
+  order.reverse();
+
+  return [0, ...order, ...(end !== null ? [end] : [])];
+}
+
+/**
+ * Nearest-neighbour construction improved with 2-opt
+ * Endpoints (start and fixed end) never move.
+ */
+function solveHeuristic(m, free, end) {
+  const left = new Set(free);
+  const path = [0];
+  while (left.size) {
+    const cur = path[path.length - 1];
+    let best = null;
+    let bestC = Infinity;
+    for (const j of left) {
+      const c = costOf(m, cur, j);
+      if (c < bestC) { bestC = c; best = j; }
+    }
+    path.push(best);
+    left.delete(best);
+  }
+  if (end !== null) path.push(end);
+
+  // 2-opt: reverse segments while it improves the (asymmetric) path cost
+  const lastMovable = end !== null ? path.length - 2 : path.length - 1;
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < lastMovable; i++) {
+      for (let j = i + 1; j <= lastMovable; j++) {
+        const candidate = [
+          ...path.slice(0, i),
+          ...path.slice(i, j + 1).reverse(),
+          ...path.slice(j + 1)
+        ];
+        if (pathCost(m, candidate) + 1e-9 < pathCost(m, path)) {
+          path.splice(0, path.length, ...candidate);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return path;
+}
+
+/**
+ * Find the visit order with the least total travel time
+ * @param {number[][]} durations - N×N duration matrix (seconds)
+ * @param {Object} options - { hasEnd } true when the last node is a fixed end
+ * @returns {{path: number[], duration_s: number, method: 'exact'|'heuristic'}}
+ */
+export function solveVisitOrder(durations, { hasEnd = false } = {}) {
+  const n = durations.length;
+  const end = hasEnd ? n - 1 : null;
+  const free = [];
+  for (let i = 1; i < (hasEnd ? n - 1 : n); i++) free.push(i);
+
+  if (free.length === 0) {
+    const path = hasEnd ? [0, end] : [0];
+    return { path, duration_s: pathCost(durations, path), method: 'exact' };
+  }
+
+  const exact = free.length <= EXACT_MAX;
+  const path = exact ? solveExact(durations, free, end) : solveHeuristic(durations, free, end);
+
+  return {
+    path,
+    duration_s: Math.round(pathCost(durations, path)),
+    method: exact ? 'exact' : 'heuristic'
+  };
+}
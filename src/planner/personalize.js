@@ -0,0 +1,149 @@
+// Personalized place ranking from a user's profile (db.js profiles)
+// Multiplies each place's _score by factors for liked types, avoided types,
+// price level against the budget and dietary tags (OSM diet:*, Google
+// servesVegetarianFood), drops places
+// that are avoided or tagged as not fitting a diet, and explains every
+// score in _why. Pace sets how much travel time weighs in detour ranking.
+
+import { PACE_FACTOR } from './schedule.js';
+import { DETOUR_SCALE_S } from './detour.js';
+
+const LIKE_BOOST = 1.5;
+const AVOID_DEMOTE = 0.3;
+const BUDGET_DEMOTE = 0.5;
+const DIET_BOOST = 1.25;
+
+// Profile interest words -> Google place types (a type name also matches itself)
+const INTEREST_TYPES = {
+  food: ['restaurant', 'fast_food_restaurant', 'cafe', 'coffee_shop', 'bakery', 'ice_cream_shop'],
+  culture: ['museum', 'art_gallery', 'historical_landmark', 'tourist_attraction', 'performing_arts_theater', 'cultural_center'],
+  history: ['historical_landmark', 'museum'],
+  nature: ['park', 'national_park', 'beach', 'hiking_area', 'campground', 'picnic_ground'],
+  kids: ['playground', 'amusement_park', 'zoo', 'aquarium', 'swimming_pool'],
+  adventure: ['amusement_park', 'hiking_area', 'national_park'],
+  shopping: ['shopping_mall', 'store', 'clothing_store', 'market'],
+  nightlife: ['bar', 'night_club']
+};
+
+// Rough per-person spend for each Google price level, in profile budget units
+const PRICE_SPEND = {
+  PRICE_LEVEL_INEXPENSIVE: [0, 60],
+  PRICE_LEVEL_MODERATE: [60, 150],
+  PRICE_LEVEL_EXPENSIVE: [150, 300],
+  PRICE_LEVEL_VERY_EXPENSIVE: [300, Infinity]
+};
+
+// Interest words -> Map(type -> word)
+function typesFor(words) {
+  const out = new Map();
+  for (const w of words) {
+    const key = String(w).trim().toLowerCase();
+    for (const t of INTEREST_TYPES[key] || [key]) {
+      if (!out.has(t)) out.set(t, w);
+    }
+  }
+  return out;
+}
+
+const dietKey = d => String(d).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Google has a dietary field for vegetarian only: <diet> -> place field
+const GOOGLE_DIET_FIELDS = { vegetarian: 'servesVegetarianFood' };
+
+// OSM diet:<diet> (yes/no/only/limited), the older kosher=* tag, or the Google
+// boolean as yes/no
+function dietValue(p, diet) {
+  const tags = p.tags || {};
+  const osm = tags[`diet:${diet}`] ?? (diet === 'kosher' ? tags.kosher : undefined);
+  if (osm !== undefined) return osm;
+  const g = p[GOOGLE_DIET_FIELDS[diet]];
+  return typeof g === 'boolean' ? (g ? 'yes' : 'no') : undefined;
+}
+
+const round = v => Math.round(v * 1000) / 1000;
+
+/**
+ * Ranking preferences from a getProfileByUserId() row
+ * @returns {{pace: string, likes: string[], avoid: string[], dietary: string[], budget: {min: number, max: number|null}}}
+ */
+export function preferencesOf(profile) {
+  return {
+    pace: profile.pace || 'relaxed',
+    likes: profile.likes || [],
+    avoid: profile.avoid || [],
+    dietary: (profile.dietary || []).map(dietKey),
+    budget: { min: profile.budget_min ?? 0, max: profile.budget_max ?? null }
+  };
+}
+
+/**
+ * Travel time that halves a place's rank for a pace (rankByTravel scaleS):
+ * PLACES_DETOUR_SCALE_S at relaxed, less for active/packed days, more for slow ones
+ */
+export function detourScaleFor(pace) {
+  return Math.round(DETOUR_SCALE_S * (PACE_FACTOR[pace] || PACE_FACTOR.relaxed) / PACE_FACTOR.relaxed);
+}
+
+/**
+ * Re-score places for a user's preferences
+ * @param {Array} items - Places with _score (Google shape; Overpass items carry OSM tags)
+ * @param {Object} prefs - preferencesOf()
+ * @param {{requested?: string[]}} [opts] - Types the request asked for: places of
+ *   those types that the user avoids are demoted rather than dropped
+ * @returns {{items: Array, excluded: Array<{id: string, reason: string}>}}
+ *   items: best first, _score personalized, _why: { base, factors: [{ factor, match, weight, value? }], score }
+ *   excluded: reason 'avoid' or 'dietary:<diet>'
+ */
+export function personalize(items, prefs, { requested = [] } = {}) {
+  const likes = typesFor(prefs.likes);
+  const avoid = typesFor(prefs.avoid);
+  const food = new Set(INTEREST_TYPES.food);
+  const out = [];
+  const excluded = [];
+
+  for (const p of items) {
+    const types = [...new Set([p.primaryType, ...(p.types || [])].filter(Boolean))];
+    const words = (map, ts) => [...new Set(ts.map(t => map.get(t)))];
+    const factors = [];
+    let drop = null;
+
+    const liked = types.filter(t => likes.has(t));
+    if (liked.length) factors.push({ factor: 'likes', match: words(likes, liked), weight: LIKE_BOOST });
+
+    const avoided = types.filter(t => avoid.has(t));
+    if (avoided.length) {
+      if (types.some(t => requested.includes(t))) {
+        factors.push({ factor: 'avoid', match: words(avoid, avoided), weight: AVOID_DEMOTE });
+      } else {
+        drop = 'avoid';
+      }
+    }
+
+    const spend = PRICE_SPEND[p.priceLevel];
+    const { min, max } = prefs.budget;
+    if (spend && ((max != null && spend[0] > max) || spend[1] < min)) {
+      factors.push({ factor: 'budget', match: p.priceLevel, weight: BUDGET_DEMOTE });
+    }
+
+    // An untagged diet is reported (at weight 1) for food places only
+    const eats = types.some(t => food.has(t));
+    for (const diet of prefs.dietary) {
+      const v = dietValue(p, diet);
+      if (v === 'no') drop = drop || `dietary:${diet}`;
+      else if (v === 'yes' || v === 'only') factors.push({ factor: 'dietary', match: diet, value: v, weight: DIET_BOOST });
+      else if (eats) factors.push({ factor: 'dietary', match: diet, value: v || 'unknown', weight: 1 });
+    }
+
+    if (drop) {
+      excluded.push({ id: p.id, reason: drop });
+      continue;
+    }
+
+    const base = p._score || 0;
+    const score = round(factors.reduce((s, f) => s * f.weight, base));
+    out.push({ ...p, _score: score, _why: { base: round(base), factors, score } });
+  }
+
+  out.sort((a, b) => b._score - a._score);
+  return { items: out, excluded };
+}
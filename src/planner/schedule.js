@@ -0,0 +1,222 @@
+// Time-window aware day scheduler
+// Walks the stops in order using matrix travel times, checks Google
+// currentOpeningHours at each arrival (in the place's local time via
+// utcOffsetMinutes) and waits for, defers or flags stops that are closed.
+
+const WEEK_MIN = 7 * 24 * 60;
+const MAX_WAIT_MIN = Number(process.env.SCHEDULE_MAX_WAIT_MIN || 30);
+const DEFAULT_DWELL_MIN = 60;
+
+// Dwell multiplier per profile pace (db.js profiles.pace)
+export const PACE_FACTOR = {
+  slow: 1.5,
+  relaxed: 1.2,
+  active: 0.85,
+  packed: 0.6
+};
+
+// Base dwell by Google primaryType (minutes, before pace scaling)
+const DWELL_BY_TYPE = {
+  museum: 90,
+  art_gallery: 60,
+  tourist_attraction: 60,
+  park: 60,
+  national_park: 150,
+  beach: 120,
+  zoo: 150,
+  aquarium: 120,
+  amusement_park: 180,
+  shopping_mall: 90,
+  restaurant: 75,
+  cafe: 40,
+  bakery: 20,
+  playground: 45
+};
+
+/**
+ * Base dwell time for a place before pace scaling
+ * @param {Object} place - Place details (primaryType)
+ * @returns {number} Minutes
+ */
+function baseDwell(place) {
+  return DWELL_BY_TYPE[place?.primaryType] || DEFAULT_DWELL_MIN;
+}
+
+/**
+ * Convert Google opening-hours periods to minute-of-week intervals
+ * @param {Object} hours - currentOpeningHours ({ periods: [{open, close}] })
+ * @returns {Array<[number, number]>|null} Intervals or null when unknown
+ */
+function toIntervals(hours) {
+  const periods = hours?.periods;
+  if (!Array.isArray(periods) || periods.length === 0) return null;
+
+  const out = [];
+  for (const p of periods) {
+    if (!p.open) continue;
+    const open = p.open.day * 1440 + (p.open.hour || 0) * 60 + (p.open.minute || 0);
+
+    // Open 24/7 is reported as a single period with no close
+    if (!p.close) {
+      out.push([0, WEEK_MIN * 2]);
+      continue;
+    }
+
+    let close = p.close.day * 1440 + (p.close.hour || 0) * 60 + (p.close.minute || 0);
+    if (close <= open) close += WEEK_MIN; // wraps past Saturday night
+    out.push([open, close]);
+  }
+  return out;
+}
+
+/**
+ * Minute-of-week for a UTC timestamp in a place's local time
+ */
+function localMinuteOfWeek(ms, offsetMin) {
+  const d = new Date(ms + offsetMin * 60_000);
+  return d.getUTCDay() * 1440 + d.getUTCHours() * 60 + d.getUTCMinutes();
+}
+
+/**
+ * Check opening state at a moment
+ * @returns {{open: boolean, closesInMin?: number, opensInMin?: number}}
+ */
+function openState(intervals, mow) {
+  for (const [a, b] of intervals) {
+    for (const t of [mow, mow + WEEK_MIN]) {
+      if (t >= a && t < b) return { open: true, closesInMin: b - t };
+    }
+  }
+
+  let opensInMin = null;
+  for (const [a] of intervals) {
+    const delta = ((a - mow) % WEEK_MIN + WEEK_MIN) % WEEK_MIN;
+    if (opensInMin === null || delta < opensInMin) opensInMin = delta;
+  }
+  return { open: false, opensInMin };
+}
+
+/**
+ * Format a UTC timestamp as ISO 8601 in a fixed UTC offset
+ */
+function isoWithOffset(ms, offsetMin) {
+  const local = new Date(ms + offsetMin * 60_000).toISOString().slice(0, 19);
+  const sign = offsetMin < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMin);
+  const hh = String(Math.floor(abs / 60)).padStart(2, '0');
+  const mm = String(abs % 60).padStart(2, '0');
+  return `${local}${sign}${hh}:${mm}`;
+}
+
+/**
+ * UTC offset (minutes) written in an ISO 8601 timestamp, 0 for "Z"
+ */
+function offsetOfIso(iso) {
+  const m = String(iso).match(/([+-])(\d{2}):?(\d{2})$/);
+  if (!m) return 0;
+  const v = Number(m[2]) * 60 + Number(m[3]);
+  return m[1] === '-' ? -v : v;
+}
+
+/**
+ * Build a timed day plan
+ * @param {Object} input
+ * @param {Array} input.places - [{ id, name, primaryType, hours, utcOffsetMinutes, dwellMin? }]
+ * @param {number[][]} input.durations - Travel matrix (seconds) over [start?, ...places]
+ * @param {boolean} input.hasStart - true when matrix index 0 is a separate start point
+ * @param {string} input.startTime - ISO 8601 departure time
+ * @param {string} input.pace - slow | relaxed | active | packed
+ * @returns {{stops: Array, end_time: string, total_travel_s: number, total_dwell_s: number, total_wait_s: number}}
+ */
+export function buildSchedule({ places, durations, hasStart, startTime, pace = 'relaxed' }) {
+  const factor = PACE_FACTOR[pace] || PACE_FACTOR.relaxed;
+  const nodeOf = (i) => (hasStart ? i + 1 : i);
+
+  const queue = places.map((_, i) => i);
+  const deferred = new Set();
+  const stops = [];
+
+  const defaultOffset = offsetOfIso(startTime);
+  let t = Date.parse(startTime);
+  let lastOffset = defaultOffset;
+  let cur = hasStart ? 0 : null;
+  let totalTravel = 0;
+  let totalDwell = 0;
+  let totalWait = 0;
+
+  while (queue.length) {
+    const i = queue[0];
+    const place = places[i];
+    const offset = Number(place.utcOffsetMinutes ?? defaultOffset);
+    const travelS = cur === null ? 0 : Math.round(durations[cur]?.[nodeOf(i)] ?? 0);
+    const dwellMin = Math.round(place.dwellMin ?? baseDwell(place) * factor);
+
+    let arrival = t + travelS * 1000;
+    let waitMin = 0;
+    const flags = [];
+    let status = deferred.has(i) ? 'moved' : 'ok';
+    let nextOpen = null;
+
+    const intervals = toIntervals(place.hours);
+    if (!intervals) {
+      flags.push('hours_unknown');
+    } else {
+      let state = openState(intervals, localMinuteOfWeek(arrival, offset));
+
+      if (!state.open && state.opensInMin !== null && state.opensInMin <= MAX_WAIT_MIN) {
+        // Opens shortly - wait at the door
+        waitMin = state.opensInMin;
+        arrival += waitMin * 60_000;
+        state = openState(intervals, localMinuteOfWeek(arrival, offset));
+        flags.push('waited_for_opening');
+      }
+
+      if (!state.open) {
+        // Try again after the other stops, once
+        if (!deferred.has(i) && queue.length > 1) {
+          deferred.add(i);
+          queue.push(queue.shift());
+          continue;
+        }
+        status = 'closed_on_arrival';
+        if (state.opensInMin !== null) {
+          nextOpen = isoWithOffset(arrival + state.opensInMin * 60_000, offset);
+        }
+      } else if (state.closesInMin < dwellMin) {
+        flags.push('closes_before_departure');
+      }
+    }
+
+    queue.shift();
+
+    const departure = arrival + dwellMin * 60_000;
+    stops.push({
+      place_id: place.id,
+      name: place.name || null,
+      location: place.location || null,
+      travel_s: travelS,
+      wait_min: waitMin,
+      arrival: isoWithOffset(arrival, offset),
+      dwell_min: dwellMin,
+      departure: isoWithOffset(departure, offset),
+      status,
+      flags,
+      ...(nextOpen && { next_open: nextOpen })
+    });
+
+    totalTravel += travelS;
+    totalDwell += dwellMin * 60;
+    totalWait += waitMin * 60;
+    t = departure;
+    cur = nodeOf(i);
+    lastOffset = offset;
+  }
+
+  return {
+    stops,
+    end_time: isoWithOffset(t, lastOffset),
+    total_travel_s: totalTravel,
+    total_dwell_s: totalDwell,
+    total_wait_s: totalWait
+  };
+}
@@ -1,7 +1,8 @@
-// Google Places API (New): Text Search + Details
+// Google Places API (New): Text Search + Nearby Search + Details
 // Minimal, cost-aware (FieldMasks), localized via Accept-Language / languageCode.
 
 const SEARCH_URL  = 'https://places.googleapis.com/v1/places:searchText';
+const NEARBY_URL  = 'https://places.googleapis.com/v1/places:searchNearby';
 const DETAILS_URL = (id) => `https://places.googleapis.com/v1/places/${encodeURIComponent(id)}`;
 const API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 
@@ -32,10 +33,13 @@ export async function placesTextSearch({ query, openNow=false, minRating=0, pric
         'places.id',
         'places.displayName',
         'places.location',
+        'places.primaryType',
+        'places.types',
         'places.rating',
         'places.userRatingCount',
         'places.priceLevel',
-        'places.currentOpeningHours'
+        'places.currentOpeningHours',
+        'places.servesVegetarianFood'
       ].join(','),
       'Accept-Language': lang
     },
@@ -52,6 +56,51 @@ export async function placesTextSearch({ query, openNow=false, minRating=0, pric
   return { ok:true, items };
 }
 
+// Nearby Search has no openNow/minRating parameters: filtered here
+export async function placesNearby({ includedTypes, center, radius, openNow=false, minRating=0, maxResults=20, lang='he' }) {
+  if (!API_KEY) return { ok:false, error:'no_api_key' };
+
+  const body = {
+    includedTypes,
+    maxResultCount: Math.min(maxResults, 20),
+    rankPreference: 'POPULARITY',
+    locationRestriction: { circle: { center, radius } },
+    languageCode: lang
+  };
+
+  const r = await fetch(NEARBY_URL, {
+    method:'POST',
+    headers:{
+      'content-type':'application/json',
+      'X-Goog-Api-Key': API_KEY,
+      'X-Goog-FieldMask': [
+        'places.id',
+        'places.displayName',
+        'places.location',
+        'places.primaryType',
+        'places.types',
+        'places.rating',
+        'places.userRatingCount',
+        'places.priceLevel',
+        'places.currentOpeningHours',
+        'places.servesVegetarianFood'
+      ].join(','),
+      'Accept-Language': lang
+    },
+    body: JSON.stringify(body)
+  });
+  if (!r.ok) return { ok:false, status:r.status, body: await r.text() };
+
+  const j = await r.json();
+  const items = (j.places || [])
+    .filter(p => !minRating || (p.rating || 0) >= minRating)
+    .filter(p => !openNow || p.currentOpeningHours?.openNow === true)
+    .map(p => ({ ...p, _score: scorePlace(p) }))
+    .sort((a,b) => b._score - a._score);
+
+  return { ok:true, items };
+}
+
 export async function placeDetails(placeId, lang='he') {
   if (!API_KEY) return { ok:false, error:'no_api_key' };
   const url = DETAILS_URL(placeId) +
@@ -59,6 +108,7 @@ export async function placeDetails(placeId, lang='he') {
       'id',
       'displayName',
       'location',
+      'primaryType',
       'currentOpeningHours',
       'utcOffsetMinutes',
       'rating',
@@ -0,0 +1,309 @@
+// OpenStreetMap places through Overpass (OVERPASS_URL = the interpreter endpoint,
+// e.g. https://overpass-api.de/api/interpreter or a self-hosted instance).
+// Same search parameters and item shape as google-places.js, minus what OSM
+// has no data for: minRating and priceLevels are ignored, there is no rating.
+//
+// Ids are "osm:<node|way|relation>:<id>". _score is a relevance guess: 2 when
+// the name matches the query, 1 when only the type or cuisine does, +0.5 for
+// places tagged with opening hours or a website (usually real, active businesses);
+// ties go to the closer place.
+import { fetchJson } from './routing/common.js';
+import { distanceMeters } from '../ops/geo.js';
+
+const OVERPASS_URL = process.env.OVERPASS_URL || '';
+const TIMEOUT_MS = Number(process.env.OVERPASS_TIMEOUT_MS || 15000);
+const MAX_RESULTS = Number(process.env.OVERPASS_MAX_RESULTS || 20);
+// opening_hours are local time; OSM has no time zone per place
+const PLACES_TZ = process.env.PLACES_TZ || 'Asia/Jerusalem';
+
+// Google place type -> OSM tag filters (any of them)
+const TYPE_TAGS = {
+  restaurant: [['amenity', 'restaurant']],
+  fast_food_restaurant: [['amenity', 'fast_food']],
+  cafe: [['amenity', 'cafe']],
+  coffee_shop: [['amenity', 'cafe']],
+  bar: [['amenity', 'bar|pub']],
+  bakery: [['shop', 'bakery']],
+  ice_cream_shop: [['amenity', 'ice_cream']],
+  supermarket: [['shop', 'supermarket']],
+  grocery_store: [['shop', 'supermarket|convenience|greengrocer']],
+  gas_station: [['amenity', 'fuel']],
+  electric_vehicle_charging_station: [['amenity', 'charging_station']],
+  parking: [['amenity', 'parking']],
+  rest_stop: [['highway', 'rest_area|services']],
+  public_bathroom: [['amenity', 'toilets']],
+  pharmacy: [['amenity', 'pharmacy']],
+  hospital: [['amenity', 'hospital']],
+  atm: [['amenity', 'atm']],
+  bank: [['amenity', 'bank']],
+  lodging: [['tourism', 'hotel|motel|hostel|guest_house|apartment|chalet']],
+  hotel: [['tourism', 'hotel']],
+  campground: [['tourism', 'camp_site']],
+  tourist_attraction: [['tourism', 'attraction|viewpoint']],
+  museum: [['tourism', 'museum']],
+  zoo: [['tourism', 'zoo']],
+  aquarium: [['tourism', 'aquarium']],
+  amusement_park: [['tourism', 'theme_park']],
+  park: [['leisure', 'park']],
+  national_park: [['boundary', 'national_park'], ['leisure', 'nature_reserve']],
+  playground: [['leisure', 'playground']],
+  beach: [['natural', 'beach']],
+  swimming_pool: [['leisure', 'swimming_pool|water_park']],
+  shopping_mall: [['shop', 'mall']],
+  picnic_ground: [['tourism', 'picnic_site']]
+};
+
+// Queries that name a type rather than a place ("gas station", "מסעדה")
+const TYPE_WORDS = {
+  restaurant: ['restaurant', 'restaurants', 'מסעדה', 'מסעדות'],
+  fast_food_restaurant: ['fast food', 'מזון מהיר'],
+  cafe: ['cafe', 'cafes', 'coffee', 'בית קפה', 'בתי קפה', 'קפה'],
+  bar: ['bar', 'bars', 'pub', 'pubs', 'בר', 'פאב'],
+  bakery: ['bakery', 'מאפייה'],
+  ice_cream_shop: ['ice cream', 'גלידה', 'גלידריה'],
+  grocery_store: ['supermarket', 'grocery', 'סופר', 'סופרמרקט', 'מכולת'],
+  gas_station: ['gas station', 'gas', 'fuel', 'petrol', 'תחנת דלק', 'דלק'],
+  electric_vehicle_charging_station: ['ev charging', 'charging station', 'עמדת טעינה'],
+  parking: ['parking', 'חניה', 'חנייה', 'חניון'],
+  rest_stop: ['rest stop', 'rest area'],
+  public_bathroom: ['toilet', 'toilets', 'restroom', 'restrooms', 'שירותים'],
+  pharmacy: ['pharmacy', 'בית מרקחת'],
+  hospital: ['hospital', 'בית חולים'],
+  atm: ['atm', 'כספומט'],
+  lodging: ['hotel', 'hotels', 'lodging', 'hostel', 'מלון', 'מלונות', 'אכסניה'],
+  campground: ['campground', 'camping', 'קמפינג', 'חניון לילה'],
+  tourist_attraction: ['attraction', 'attractions', 'אטרקציה', 'אטרקציות'],
+  museum: ['museum', 'museums', 'מוזיאון'],
+  zoo: ['zoo', 'גן חיות'],
+  park: ['park', 'parks', 'פארק', 'גן'],
+  playground: ['playground', 'playgrounds', 'גן שעשועים', 'מגרש משחקים'],
+  beach: ['beach', 'beaches', 'חוף', 'חוף ים'],
+  swimming_pool: ['pool', 'swimming pool', 'בריכה'],
+  shopping_mall: ['mall', 'קניון'],
+  picnic_ground: ['picnic', 'פיקניק']
+};
+
+// Tags passed through on items (dietary and access details for ranking and display)
+const KEPT_TAGS = /^(cuisine|diet:.*|opening_hours|wheelchair|brand|takeaway|outdoor_seating|kosher)$/;
+
+export function overpassConfigured() {
+  return !!OVERPASS_URL;
+}
+
+function typeFromQuery(query) {
+  const q = query.trim().toLowerCase();
+  return Object.keys(TYPE_WORDS).find(t => TYPE_WORDS[t].includes(q)) || null;
+}
+
+function typeFromTags(tags) {
+  return Object.keys(TYPE_TAGS).find(t =>
+    TYPE_TAGS[t].some(([k, v]) => tags[k] && new RegExp(`^(${v})$`).test(tags[k]))) || null;
+}
+
+// Quote a value for an Overpass QL string, as a regex when asked
+function qlString(s, { regex = false } = {}) {
+  const v = regex ? s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : s;
+  return '"' + v.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+/**
+ * Overpass QL for a search
+ * @param {{query?: string, types: string[], circle: Object, limit: number}} q - no types: any POI
+ * @returns {string|null} null for a type with no OSM mapping
+ */
+function buildQuery({ query, types, circle, limit }) {
+  const { latitude, longitude } = circle.center;
+  const around = `(around:${Math.round(circle.radius)},${latitude},${longitude})`;
+  const nameFilter = query
+    ? `[~"^(name|name:[a-z]{2}|brand|cuisine)$"~${qlString(query, { regex: true })},i]`
+    : '';
+
+  let clauses;
+  if (types.length) {
+    if (!types.every(t => TYPE_TAGS[t])) return null;
+    clauses = types.flatMap(t => TYPE_TAGS[t]).map(([k, v]) => `nwr["${k}"~"^(${v})$"]${nameFilter}${around};`);
+  } else {
+    clauses = [`nwr${nameFilter}[~"^(amenity|shop|tourism|leisure|historic)$"~"."]${around};`];
+  }
+  return `[out:json][timeout:${Math.ceil(TIMEOUT_MS / 1000)}];(${clauses.join('')});out center tags ${limit};`;
+}
+
+// ---- opening_hours ----
+// The common subset: "24/7", "Mo-Fr 08:00-18:00; Sa 09:00-13:00", "Su off",
+// comma lists and overnight ranges. Anything else (PH, months, sunrise...) is unknown.
+
+const DAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+function daysOf(spec) {
+  const out = new Set();
+  for (const part of spec.split(',')) {
+    const [a, b] = part.split('-');
+    const i = DAYS.indexOf(a);
+    const j = b ? DAYS.indexOf(b) : i;
+    if (i < 0 || j < 0) return null;
+    for (let d = i; ; d = (d + 1) % 7) {
+      out.add(d);
+      if (d === j) break;
+    }
+  }
+  return out;
+}
+
+function parseHours(spec) {
+  const rules = [];
+  for (const raw of spec.split(';').map(s => s.trim()).filter(Boolean)) {
+    if (raw === '24/7') {
+      rules.push({ days: new Set([0, 1, 2, 3, 4, 5, 6]), ranges: [[0, 1440]] });
+      continue;
+    }
+    const m = raw.match(/^(?:([A-Za-z,-]+)\s+)?(off|closed|[\d:,\s-]+)$/);
+    if (!m) return null;
+    const days = m[1] ? daysOf(m[1]) : new Set([0, 1, 2, 3, 4, 5, 6]);
+    if (!days) return null;
+    if (m[2] === 'off' || m[2] === 'closed') {
+      rules.push({ days, ranges: [] });
+      continue;
+    }
+    const ranges = [];
+    for (const r of m[2].split(',').map(s => s.trim())) {
+      const t = r.match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+      if (!t) return null;
+      ranges.push([Number(t[1]) * 60 + Number(t[2]), Number(t[3]) * 60 + Number(t[4])]);
+    }
+    rules.push({ days, ranges });
+  }
+  return rules.length ? rules : null;
+}
+
+// Ranges for a weekday: the last rule naming the day wins
+function rangesOn(rules, day) {
+  let ranges = [];
+  rules.forEach(r => { if (r.days.has(day)) ranges = r.ranges; });
+  return ranges;
+}
+
+/**
+ * Is a place open at a time, per its opening_hours tag?
+ * @returns {boolean|null} null when the tag is missing or not understood
+ */
+export function isOpenAt(spec, date = new Date()) {
+  const rules = spec ? parseHours(spec) : null;
+  if (!rules) return null;
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: PLACES_TZ, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  const day = DAYS.indexOf(parts.weekday.slice(0, 2));
+  const t = Number(parts.hour) * 60 + Number(parts.minute);
+
+  const today = rangesOn(rules, day).some(([a, b]) => (b > a ? t >= a && t < b : t >= a));
+  const fromYesterday = rangesOn(rules, (day + 6) % 7).some(([a, b]) => b <= a && t < b);
+  return today || fromYesterday;
+}
+
+// ---- Mapping ----
+
+function placeOf(el, lang) {
+  const tags = el.tags || {};
+  const lat = el.lat ?? el.center?.lat;
+  const lon = el.lon ?? el.center?.lon;
+  const name = tags[`name:${lang}`] || tags.name;
+  if (!name || lat == null) return null;
+
+  const openNow = isOpenAt(tags.opening_hours);
+  return {
+    id: `osm:${el.type}:${el.id}`,
+    displayName: { text: name, languageCode: tags[`name:${lang}`] ? lang : null },
+    location: { latitude: lat, longitude: lon },
+    primaryType: typeFromTags(tags),
+    ...(openNow != null && { currentOpeningHours: { openNow } }),
+    ...(tags.website && { websiteUri: tags.website }),
+    ...((tags.phone || tags['contact:phone']) && { internationalPhoneNumber: tags.phone || tags['contact:phone'] }),
+    tags: Object.fromEntries(Object.entries(tags).filter(([k]) => KEPT_TAGS.test(k)))
+  };
+}
+
+function scoreOsm(p, query, nameMatched) {
+  const name = p.displayName.text.toLowerCase();
+  let s = nameMatched && name.includes(query.toLowerCase()) ? 2 : 1;
+  if (p.tags.opening_hours || p.websiteUri) s += 0.5;
+  return s;
+}
+
+async function interpreter(ql) {
+  return fetchJson(OVERPASS_URL, {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: 'data=' + encodeURIComponent(ql)
+  }, TIMEOUT_MS);
+}
+
+/**
+ * Run a query and rank the places: _score, then distance from the circle centre
+ * @param {{query?: string, types: string[], circle: Object, openNow: boolean, maxResults: number, lang: string}} q
+ *   query: scored against names (and used as a name filter when nameFilter)
+ */
+async function findPlaces({ query, nameFilter, types, circle, openNow, maxResults, lang }) {
+  const ql = buildQuery({ query: nameFilter ? query : null, types, circle, limit: maxResults * 5 });
+  if (!ql) return { ok: false, error: 'unsupported_type', detail: types.filter(t => !TYPE_TAGS[t]).join(',') };
+
+  const r = await interpreter(ql);
+  if (!r.ok) return r;
+
+  const { latitude, longitude } = circle.center;
+  const items = (r.json?.elements || [])
+    .map(el => placeOf(el, lang))
+    .filter(p => p && (!openNow || p.currentOpeningHours?.openNow === true))
+    .map(p => ({
+      ...p,
+      _score: scoreOsm(p, query || '', nameFilter),
+      _distance: distanceMeters(latitude, longitude, p.location.latitude, p.location.longitude)
+    }))
+    .sort((a, b) => b._score - a._score || a._distance - b._distance)
+    .slice(0, maxResults)
+    .map(({ _distance, ...p }) => p);
+
+  return { ok: true, items };
+}
+
+/**
+ * Text search around a point
+ * Same parameters as placesTextSearch(); biasCircle is required (Overpass has
+ * no global text search), minRating and priceLevels are ignored.
+ * @returns {Promise<{ok: true, items: Array} | {ok: false, error: string, status?: number, detail?: string}>}
+ */
+export async function overpassTextSearch({ query, openNow = false, includedType, biasCircle, lang = 'he' }) {
+  if (!OVERPASS_URL) return { ok: false, error: 'not_configured' };
+  if (!biasCircle) return { ok: false, error: 'bias_required' };
+
+  const queryType = typeFromQuery(query);
+  const type = includedType || queryType;
+  return findPlaces({
+    query, nameFilter: !queryType, types: type ? [type] : [], circle: biasCircle, openNow, maxResults: MAX_RESULTS, lang
+  });
+}
+
+/**
+ * Places of some types within a circle
+ * Same parameters as placesNearby(); minRating is ignored.
+ */
+export async function overpassNearby({ includedTypes, center, radius, openNow = false, maxResults = MAX_RESULTS, lang = 'he' }) {
+  if (!OVERPASS_URL) return { ok: false, error: 'not_configured' };
+  return findPlaces({ types: includedTypes, circle: { center, radius }, openNow, maxResults, lang });
+}
+
+/**
+ * Details for an osm:<type>:<id> place id
+ * @returns {Promise<{ok: true, detail: Object} | {ok: false, error: string, status?: number}>}
+ */
+export async function overpassPlaceDetails(placeId, lang = 'he') {
+  if (!OVERPASS_URL) return { ok: false, error: 'not_configured' };
+  const m = String(placeId).match(/^osm:(node|way|relation):(\d+)$/);
+  if (!m) return { ok: false, error: 'invalid_id' };
+
+  const r = await interpreter(`[out:json][timeout:${Math.ceil(TIMEOUT_MS / 1000)}];${m[1]}(${m[2]});out center tags;`);
+  if (!r.ok) return r;
+  const place = r.json?.elements?.[0] && placeOf(r.json.elements[0], lang);
+  if (!place) return { ok: false, error: 'not_found', status: 404 };
+  return { ok: true, detail: place };
+}
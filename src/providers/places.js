@@ -0,0 +1,107 @@
+// Places provider chain: PLACES_PROVIDERS (default "google,overpass") is tried
+// in order. A provider that is not configured (GOOGLE_MAPS_API_KEY, OVERPASS_URL)
+// is skipped, and one that fails falls through to the next, so Overpass backs
+// Google up when both are set. PLACES_PROVIDERS=overpass runs without Google.
+//
+// Each provider has its own circuit breaker (places_<name>, ops/breaker.js).
+// Details go to the provider that issued the id (osm:* ids are Overpass).
+import { canRequest, record, isProviderFailure } from '../../ops/breaker.js';
+import { placesTextSearch, placesNearby, placeDetails as googleDetails } from './google-places.js';
+import { overpassTextSearch, overpassNearby, overpassPlaceDetails, overpassConfigured } from './overpass-places.js';
+
+const PROVIDERS = new Map([
+  ['google', {
+    configured: () => !!process.env.GOOGLE_MAPS_API_KEY,
+    search: placesTextSearch,
+    nearby: placesNearby,
+    details: googleDetails
+  }],
+  ['overpass', {
+    configured: overpassConfigured,
+    search: overpassTextSearch,
+    nearby: overpassNearby,
+    details: overpassPlaceDetails
+  }]
+]);
+
+const DEFAULT_CHAIN = 'google,overpass';
+
+// Google's client throws on network errors; fold them into the result shape
+async function call(fn, ...args) {
+  try {
+    return await fn(...args);
+  } catch (e) {
+    return { ok: false, error: 'network', detail: String(e?.message || e) };
+  }
+}
+
+function chain() {
+  return String(process.env.PLACES_PROVIDERS || DEFAULT_CHAIN)
+    .split(',').map(s => s.trim().toLowerCase()).filter(n => PROVIDERS.has(n));
+}
+
+async function runChain(op, params, log) {
+  const attempts = [];
+  let last = null;
+
+  for (const name of chain()) {
+    const p = PROVIDERS.get(name);
+    if (!p.configured()) {
+      attempts.push({ provider: name, skipped: 'not_configured' });
+      continue;
+    }
+    const breaker = `places_${name}`;
+    if (!canRequest(breaker)) {
+      attempts.push({ provider: name, skipped: 'breaker_open' });
+      continue;
+    }
+
+    const r = await call(p[op], params);
+    record(breaker, !isProviderFailure(r));
+    attempts.push({ provider: name, ok: r.ok, ...(!r.ok && { error: r.error, status: r.status }) });
+    if (r.ok) return { ok: true, provider: name, items: r.items, attempts };
+
+    log?.warn({ event: 'places_provider_failed', op, provider: name, error: r.error, status: r.status });
+    last = r;
+  }
+
+  const tried = attempts.filter(a => a.skipped !== 'not_configured');
+  const allOpen = tried.length > 0 && tried.every(a => a.skipped === 'breaker_open');
+  return { ...(last || { error: allOpen ? 'breaker_open' : 'not_configured' }), ok: false, attempts };
+}
+
+/**
+ * Text search through the provider chain
+ * @param {Object} params - placesTextSearch() parameters
+ * @param {{log?: Object}} [opts]
+ * @returns {Promise<{ok: true, provider: string, items: Array} | {ok: false, error: string, status?: number, attempts: Array}>}
+ *   error: the last provider's error, 'breaker_open' when every provider was skipped
+ *   for an open breaker, 'not_configured' when none is configured
+ */
+export function searchPlaces(params, { log } = {}) {
+  return runChain('search', params, log);
+}
+
+/**
+ * Places of some types within a circle, through the provider chain
+ * @param {Object} params - placesNearby() parameters
+ *   { includedTypes, center: {latitude, longitude}, radius, openNow?, minRating?, maxResults?, lang }
+ * @returns Same as searchPlaces()
+ */
+export function nearbyPlaces(params, { log } = {}) {
+  return runChain('nearby', params, log);
+}
+
+/**
+ * Details for a place id from the provider that issued it
+ * @returns {Promise<{ok: true, detail: Object} | {ok: false, error: string, status?: number}>}
+ */
+export async function placeDetails(placeId, lang = 'he') {
+  const name = String(placeId).startsWith('osm:') ? 'overpass' : 'google';
+  const breaker = `places_${name}`;
+  if (!canRequest(breaker)) return { ok: false, error: 'breaker_open' };
+
+  const r = await call(PROVIDERS.get(name).details, placeId, lang);
+  record(breaker, !isProviderFailure(r));
+  return r;
+}
@@ -0,0 +1,173 @@
+// backend/src/providers/routing/common.js
+// Shared pieces for routing adapters: HTTP with timeout and the normalized
+// route shape every adapter returns.
+//
+// Adapter contract (see index.js):
+//   name, configured(), supports(mode), route(stops, opts), matrix(points, opts), health()
+//   avoidsAreas: true when route() honors opts.avoidAreas (Polygon coordinate arrays to stay out of)
+// route() resolves to
+//   { ok: true, route: { distance_m, duration_s, geometry: LineString, legs: [...], usage }, alternatives: [route, ...] }
+//   { ok: false, error: 'timeout'|'network'|'http'|'no_route'|'not_configured'|..., status?, detail? }
+// matrix() resolves to
+//   { ok: true, n, matrix: { duration_s: [][], distance_m: [][] } } or the same failure shape.
+
+// Travel modes (API names) and the Google travelMode for each
+export const MODES = {
+  drive: 'DRIVE',
+  walk: 'WALK',
+  bike: 'BICYCLE',
+  transit: 'TRANSIT'
+};
+
+/**
+ * API mode for an API or Google-style name ('walk', 'WALK', 'BICYCLE', ...)
+ * @returns {string|null} null for modes we don't route
+ */
+export function normalizeMode(mode = 'drive') {
+  const m = String(mode).toLowerCase();
+  if (MODES[m]) return m;
+  return Object.keys(MODES).find(k => MODES[k].toLowerCase() === m) || null;
+}
+
+export const TIMEOUT_MS = Number(process.env.ROUTE_TIMEOUT_MS || 12000);
+
+/**
+ * fetch + JSON with timeout, folded into { ok, json } / { ok: false, error, status?, detail? }
+ * @param {string} url
+ * @param {Object} [init] - fetch options
+ * @param {number} [timeoutMs]
+ */
+export async function fetchJson(url, init = {}, timeoutMs = TIMEOUT_MS) {
+  const ac = new AbortController();
+  const tid = setTimeout(() => ac.abort(), timeoutMs);
+
+  try {
+    const r = await fetch(url, { ...init, signal: ac.signal });
+    if (!r.ok) {
+      const body = await r.text().catch(() => '');
+      return { ok: false, error: 'http', status: r.status, detail: body.slice(0, 500) };
+    }
+    return { ok: true, json: await r.json() };
+  } catch (e) {
+    return e?.name === 'AbortError'
+      ? { ok: false, error: 'timeout' }
+      : { ok: false, error: 'network', detail: String(e) };
+  } finally {
+    clearTimeout(tid);
+  }
+}
+
+/**
+ * GET a URL and report reachability (health checks)
+ * @returns {Promise<{up: boolean, ms: number|null, status: number|null}>}
+ */
+export async function pingUrl(url, init = {}, timeoutMs = 4000) {
+  const ac = new AbortController();
+  const tid = setTimeout(() => ac.abort(), timeoutMs);
+  const t0 = Date.now();
+  try {
+    const r = await fetch(url, { ...init, signal: ac.signal });
+    return { up: r.ok, ms: Date.now() - t0, status: r.status };
+  } catch {
+    return { up: false, ms: Date.now() - t0, status: null };
+  } finally {
+    clearTimeout(tid);
+  }
+}
+
+export const NOT_CONFIGURED = { up: false, ms: null, status: null };
+
+/**
+ * Find the geometry vertex index of each snapped waypoint.
+ * Searches forward so a route that passes near a later stop early on
+ * is not cut at the wrong place.
+ * @param {Array} coords - LineString coordinates [[lon, lat], ...]
+ * @param {Array} waypoints - Snapped waypoints ({ location: [lon, lat] })
+ * @returns {number[]} Vertex index per waypoint
+ */
+export function waypointIndices(coords, waypoints) {
+  const last = coords.length - 1;
+  const out = [];
+  let from = 0;
+
+  waypoints.forEach((wp, i) => {
+    if (i === 0) { out.push(0); return; }
+    if (i === waypoints.length - 1) { out.push(last); return; }
+
+    const [x, y] = wp.location || [];
+    let best = from;
+    let bestD = Infinity;
+    for (let j = from; j <= last; j++) {
+      const d = (coords[j][0] - x) ** 2 + (coords[j][1] - y) ** 2;
+      if (d < bestD) { best = j; bestD = d; }
+      if (d < 1e-12) break; // exact snapped vertex
+    }
+    out.push(best);
+    from = best;
+  });
+
+  return out;
+}
+
+/**
+ * Split a route geometry into per-leg LineStrings
+ * @param {Array} coords - Full route coordinates [[lon, lat], ...]
+ * @param {number[]} wayPointIdx - Vertex index of each stop (N stops -> N indices)
+ * @param {Array} legStats - Per-leg { distance, duration } from the provider
+ * @returns {Array<{from: number, to: number, distance_m: number, duration_s: number, geometry: object}>}
+ */
+export function buildLegs(coords, wayPointIdx, legStats) {
+  const legs = [];
+  for (let i = 0; i < wayPointIdx.length - 1; i++) {
+    const a = wayPointIdx[i];
+    const b = Math.max(wayPointIdx[i + 1], a);
+    legs.push({
+      from: i,
+      to: i + 1,
+      distance_m: Math.round(legStats[i]?.distance ?? 0),
+      duration_s: Math.round(legStats[i]?.duration ?? 0),
+      geometry: {
+        type: 'LineString',
+        coordinates: coords.slice(a, b + 1)
+      }
+    });
+  }
+  return legs;
+}
+
+// Road features the avoid constraint knows about
+export const AVOID_TERMS = ['tolls', 'ferries', 'highways'];
+
+/**
+ * Route usage summary: per avoid term, whether the route uses it and for how far
+ * A provider that can't tell reports { used: null, distance_m: null } for that term.
+ * @param {Object<string, number|boolean>} distances - Metres per term the provider can see
+ *   (a boolean when it only knows whether the term is used)
+ * @returns {Object<string, {used: boolean|null, distance_m: number|null}>}
+ */
+export function usageFrom(distances) {
+  return Object.fromEntries(AVOID_TERMS.map(term => {
+    const d = distances[term];
+    if (d === undefined) return [term, { used: null, distance_m: null }];
+    if (typeof d === 'boolean') return [term, { used: d, distance_m: null }];
+    return [term, { used: d > 0, distance_m: Math.round(d) }];
+  }));
+}
+
+/**
+ * Map user-facing avoid terms (tolls, ferries, highways) through a provider table
+ * @returns {string[]} Deduped provider values
+ */
+export function mapAvoid(avoid, table) {
+  return [...new Set((avoid || []).map(term => table[term]).filter(Boolean))];
+}
+
+/**
+ * Parse a Google-style "123s" duration
+ */
+export function parseDurationSeconds(s) {
+  if (!s) return 0;
+  if (typeof s === 'number') return Math.round(s);
+  const m = String(s).match(/^(\d+(?:\.\d+)?)s$/);
+  return m ? Math.round(parseFloat(m[1])) : 0;
+}
@@ -0,0 +1,112 @@
+// backend/src/providers/routing/google-routes.js
+// Google Routes API adapter: computeRoutes (GeoJSON polylines) and the
+// Distance Matrix v2 client in ../google-matrix.js
+import { fetchJson, NOT_CONFIGURED, parseDurationSeconds, usageFrom, MODES } from './common.js';
+import { googleComputeRouteMatrix } from '../google-matrix.js';
+
+const ROUTES_URL = 'https://routes.googleapis.com/directions/v2:computeRoutes';
+const API_KEY = process.env.GOOGLE_MAPS_API_KEY;
+
+const FIELD_MASK = [
+  'routes.distanceMeters',
+  'routes.duration',
+  'routes.polyline.geoJsonLinestring',
+  'routes.travelAdvisory.tollInfo',
+  'routes.legs.distanceMeters',
+  'routes.legs.duration',
+  'routes.legs.polyline.geoJsonLinestring'
+].join(',');
+
+function waypoint(p) {
+  return { location: { latLng: { latitude: p.lat, longitude: p.lon } } };
+}
+
+// Google reports whether a route has tolls (tollInfo present) but not how far,
+// and nothing about ferries or highways; toll info is only asked for when driving
+function normalize(r, mode) {
+  return {
+    distance_m: Math.round(r.distanceMeters ?? 0),
+    duration_s: parseDurationSeconds(r.duration),
+    geometry: r.polyline.geoJsonLinestring,
+    legs: (r.legs || []).map((leg, i) => ({
+      from: i,
+      to: i + 1,
+      distance_m: Math.round(leg.distanceMeters ?? 0),
+      duration_s: parseDurationSeconds(leg.duration),
+      geometry: leg.polyline?.geoJsonLinestring || { type: 'LineString', coordinates: [] }
+    })),
+    usage: usageFrom(mode === 'drive' ? { tolls: !!r.travelAdvisory?.tollInfo } : {})
+  };
+}
+
+// Alternatives are only offered without intermediate stops. Route modifiers,
+// toll info and traffic-aware routing only apply to driving.
+async function route(stops, { mode = 'drive', avoid = [], departureTimeIso, alternatives = 0 } = {}) {
+  if (!API_KEY) return { ok: false, error: 'not_configured' };
+  if (!MODES[mode]) return { ok: false, error: 'mode_unsupported' };
+  if (mode === 'transit' && stops.length > 2) {
+    return { ok: false, error: 'mode_unsupported', detail: 'transit routes cannot have intermediate stops' };
+  }
+  const drive = mode === 'drive';
+
+  const r = await fetchJson(ROUTES_URL, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'X-Goog-Api-Key': API_KEY,
+      'X-Goog-FieldMask': FIELD_MASK
+    },
+    body: JSON.stringify({
+      origin: waypoint(stops[0]),
+      destination: waypoint(stops[stops.length - 1]),
+      intermediates: stops.slice(1, -1).map(waypoint),
+      travelMode: MODES[mode],
+      polylineEncoding: 'GEO_JSON_LINESTRING',
+      computeAlternativeRoutes: alternatives > 0 && stops.length === 2,
+      ...(departureTimeIso && { departureTime: departureTimeIso }),
+      ...(drive && {
+        extraComputations: ['TOLLS'],
+        ...(departureTimeIso && { routingPreference: 'TRAFFIC_AWARE' }),
+        routeModifiers: {
+          avoidTolls: avoid.includes('tolls'),
+          avoidHighways: avoid.includes('highways'),
+          avoidFerries: avoid.includes('ferries')
+        }
+      })
+    })
+  });
+  if (!r.ok) return r;
+
+  const routes = (r.json.routes || []).filter(rt => rt.polyline?.geoJsonLinestring);
+  if (!routes.length) return { ok: false, error: 'no_route' };
+
+  const [best, ...rest] = routes.map(rt => normalize(rt, mode));
+  return { ok: true, route: best, alternatives: rest.slice(0, alternatives) };
+}
+
+async function matrix(points, { mode = 'drive', departureTimeIso } = {}) {
+  let r;
+  try {
+    r = await googleComputeRouteMatrix(points, { mode: MODES[mode], departureTimeIso });
+  } catch (e) {
+    return { ok: false, error: 'network', detail: String(e) };
+  }
+  if (r.ok) return r;
+  return r.error === 'no_api_key'
+    ? { ok: false, error: 'not_configured' }
+    : { ok: false, error: r.status ? 'http' : (r.error || 'network'), status: r.status, detail: r.body || r.error };
+}
+
+// No free status endpoint; report whether a key is present without spending quota
+async function health() {
+  return API_KEY ? { up: true, ms: null, status: null } : NOT_CONFIGURED;
+}
+
+export default {
+  name: 'google',
+  configured: () => !!API_KEY,
+  supports: mode => !!MODES[mode],
+  route,
+  matrix,
+  health
+};
@@ -0,0 +1,247 @@
+// backend/src/providers/routing/index.js
+// Routing provider registry and fallback chains.
+//
+// A chain is an ordered list like "ors,osrm,osrm:relaxed": each entry is tried
+// until one returns a route. "name:relaxed" calls that provider without the
+// avoid constraints, and the result is flagged relaxed. Providers that are not
+// configured (no API key) or have no profile for the travel mode are skipped.
+//
+//   route chain:  body.providers > ROUTE_PROVIDERS_<MODE> > ROUTE_PROVIDERS > default
+//                 (transit: google; avoid requested: ors,osrm,osrm:relaxed;
+//                  walk/bike: osrm,ors; otherwise: osrm)
+//   matrix chain: MATRIX_PROVIDERS (default google,osrm,ors)
+//
+// Each provider has its own circuit breaker (ops/breaker.js): while it is open
+// the provider is skipped and the chain moves on.
+//
+// Adding a provider = writing an adapter (see common.js) and listing it below.
+import { canRequest, record, isProviderFailure } from '../../../ops/breaker.js';
+import { normalizeMode } from './common.js';
+import osrm, { matchTrace } from './osrm.js';
+import ors from './ors.js';
+import google from './google-routes.js';
+
+export { AVOID_TERMS, MODES, normalizeMode } from './common.js';
+
+const PROVIDERS = new Map([osrm, ors, google].map(p => [p.name, p]));
+
+const DEFAULT_AVOID_CHAIN = 'ors,osrm,osrm:relaxed';
+const DEFAULT_CHAIN = 'osrm';
+// A stock OSRM has only a driving profile: ORS covers walk/bike when configured
+const DEFAULT_ACTIVE_CHAIN = 'osrm,ors';
+const DEFAULT_TRANSIT_CHAIN = 'google';
+const DEFAULT_MATRIX_CHAIN = 'google,osrm,ors';
+
+/**
+ * Registered provider names (optionally only those with a profile for a mode)
+ * @param {string} [mode]
+ */
+export function providerNames(mode) {
+  return [...PROVIDERS.values()].filter(p => !mode || p.supports(mode)).map(p => p.name);
+}
+
+/**
+ * Parse a chain spec
+ * @param {string|string[]} spec - "ors,osrm:relaxed" or ['ors', 'osrm:relaxed']
+ * @returns {{ok: true, entries: Array<{name: string, relaxed: boolean}>}|{ok: false, unknown: string[]}}
+ */
+export function parseChain(spec) {
+  const parts = (Array.isArray(spec) ? spec : String(spec || '').split(','))
+    .map(s => String(s).trim().toLowerCase())
+    .filter(Boolean);
+
+  const entries = parts.map(part => {
+    const [name, flag] = part.split(':');
+    return { name, relaxed: flag === 'relaxed' };
+  });
+  const unknown = entries.filter(e => !PROVIDERS.has(e.name)).map(e => e.name);
+  return unknown.length ? { ok: false, unknown } : { ok: true, entries };
+}
+
+/**
+ * Chain for a route request
+ * @param {{requested?: string[], avoid?: string[], mode?: string}} opts
+ */
+export function routeChain({ requested, avoid = [], mode = 'drive' } = {}) {
+  if (requested?.length) return parseChain(requested);
+  const fallback = mode === 'transit' ? DEFAULT_TRANSIT_CHAIN
+    : avoid.length ? DEFAULT_AVOID_CHAIN
+      : mode === 'walk' || mode === 'bike' ? DEFAULT_ACTIVE_CHAIN
+        : DEFAULT_CHAIN;
+  const spec = process.env[`ROUTE_PROVIDERS_${mode.toUpperCase()}`] || process.env.ROUTE_PROVIDERS || fallback;
+  return parseChain(spec);
+}
+
+/**
+ * Why nothing in a chain could be called: an open breaker beats a missing
+ * profile beats no avoid-area support beats missing credentials
+ */
+function skippedError(attempts) {
+  const reasons = new Set(attempts.map(a => a.skipped));
+  if (reasons.has('breaker_open')) return 'breaker_open';
+  if (reasons.has('mode_unsupported')) return 'mode_unsupported';
+  if (reasons.has('areas_unsupported')) return 'areas_unsupported';
+  return 'not_configured';
+}
+
+/**
+ * Counter/log label: "osrm", "osrm_fallback", "osrm_relaxed", "osrm_fallback_relaxed"
+ */
+function labelFor(entry, fellBack, relaxed) {
+  return `${entry.name}${fellBack ? '_fallback' : ''}${relaxed ? '_relaxed' : ''}`;
+}
+
+/**
+ * Route through a chain
+ * @param {Array} stops - [{lat, lon}, ...]
+ * @param {Object} opts
+ * @param {Array<{name: string, relaxed: boolean}>} opts.chain
+ * @param {string[]} [opts.avoid]
+ * @param {Array} [opts.avoidAreas] - Polygons to stay out of; only providers with avoidsAreas are tried
+ * @param {string} [opts.mode] - drive | walk | bike | transit
+ * @param {string} [opts.departureTimeIso]
+ * @param {number} [opts.alternatives] - Extra routes to ask for (providers may return fewer)
+ * @param {boolean} [opts.instructions] - Turn-by-turn steps on each leg (OSRM, ORS)
+ * @param {Function} [opts.forceFail] - (entry) => true to fail an attempt (test hooks)
+ * @param {Object} [opts.log]
+ * @returns {Promise<{ok: true, route: Object, alternatives: Array, provider: string, label: string, relaxed: boolean, attempts: Array}
+ *   | {ok: false, error: string, status?: number, detail?: string, attempts: Array}>}
+ */
+export async function routeWithChain(stops, {
+  chain, avoid = [], avoidAreas = [], mode = 'drive', departureTimeIso, alternatives = 0, instructions = false, forceFail, log
+} = {}) {
+  const attempts = [];
+  let last = null;
+
+  for (const entry of chain) {
+    const provider = PROVIDERS.get(entry.name);
+    const relaxed = entry.relaxed && avoid.length > 0;
+
+    // Without avoid, "x:relaxed" is the same call as "x"
+    if (entry.relaxed && !relaxed && attempts.some(a => a.provider === entry.name)) continue;
+    if (!provider.configured()) {
+      attempts.push({ provider: entry.name, relaxed, skipped: 'not_configured' });
+      continue;
+    }
+    if (!provider.supports(mode)) {
+      attempts.push({ provider: entry.name, relaxed, skipped: 'mode_unsupported' });
+      continue;
+    }
+    if (avoidAreas.length && !provider.avoidsAreas) {
+      attempts.push({ provider: entry.name, relaxed, skipped: 'areas_unsupported' });
+      continue;
+    }
+
+    let r;
+    if (forceFail?.(entry)) {
+      r = { ok: false, error: 'test_forced' };
+    } else if (!canRequest(entry.name)) {
+      attempts.push({ provider: entry.name, relaxed, skipped: 'breaker_open' });
+      continue;
+    } else {
+      r = await guarded(entry.name, () => provider.route(stops, {
+        mode, avoid: relaxed ? [] : avoid, avoidAreas, departureTimeIso, alternatives, instructions
+      }));
+    }
+    const fellBack = attempts.some(a => a.provider !== entry.name && !a.skipped);
+    attempts.push({ provider: entry.name, relaxed, ok: r.ok, ...(!r.ok && { error: r.error, status: r.status }) });
+
+    if (r.ok) {
+      return {
+        ok: true,
+        route: r.route,
+        alternatives: r.alternatives || [],
+        provider: entry.name,
+        label: labelFor(entry, fellBack, relaxed),
+        relaxed,
+        attempts
+      };
+    }
+
+    log?.warn({ event: 'route_provider_failed', provider: entry.name, relaxed, error: r.error, status: r.status, detail: r.detail });
+    last = r;
+  }
+
+  return { ...(last || { error: skippedError(attempts) }), ok: false, attempts };
+}
+
+/**
+ * Call a provider behind its breaker (canRequest() already granted)
+ * A throw (e.g. an unexpected 200 body) counts as a failure, so a half-open
+ * trial slot is always given back.
+ * @returns {Promise<Object>} The provider result, or { ok: false, error: 'provider_exception', detail }
+ */
+async function guarded(name, fn) {
+  try {
+    const r = await fn();
+    record(name, !isProviderFailure(r));
+    return r;
+  } catch (e) {
+    record(name, false);
+    return { ok: false, error: 'provider_exception', detail: String(e?.message || e) };
+  }
+}
+
+/**
+ * Travel-time matrix through a chain
+ * @param {Array} points - [{lat, lon}, ...]
+ * @param {{chain?: Array, mode?: string, departureTimeIso?: string, log?: Object}} opts
+ *   mode: drive | walk | bike | transit (Google-style names like DRIVE also accepted)
+ * @returns {Promise<{ok: true, n: number, matrix: Object, provider: string} | {ok: false, error: string, attempts: Array}>}
+ */
+export async function matrixWithChain(points, { chain, mode = 'drive', departureTimeIso, log } = {}) {
+  const entries = chain || parseChain(process.env.MATRIX_PROVIDERS || DEFAULT_MATRIX_CHAIN).entries || [];
+  const m = normalizeMode(mode);
+  if (!m) return { ok: false, error: 'mode_unsupported', attempts: [] };
+  const attempts = [];
+  let last = null;
+
+  for (const entry of entries) {
+    const provider = PROVIDERS.get(entry.name);
+    if (!provider.configured()) {
+      attempts.push({ provider: entry.name, skipped: 'not_configured' });
+      continue;
+    }
+    if (!provider.supports(m)) {
+      attempts.push({ provider: entry.name, skipped: 'mode_unsupported' });
+      continue;
+    }
+
+    if (!canRequest(entry.name)) {
+      attempts.push({ provider: entry.name, skipped: 'breaker_open' });
+      continue;
+    }
+
+    const r = await guarded(entry.name, () => provider.matrix(points, { mode: m, departureTimeIso }));
+    attempts.push({ provider: entry.name, ok: r.ok, ...(!r.ok && { error: r.error, status: r.status }) });
+    if (r.ok) return { ...r, provider: entry.name };
+
+    log?.warn({ event: 'matrix_provider_failed', provider: entry.name, error: r.error, status: r.status });
+    last = r;
+  }
+
+  return { ...(last || { error: skippedError(attempts) }), ok: false, attempts };
+}
+
+/**
+ * Snap a recorded track to roads with OSRM /match (behind the osrm breaker)
+ * @see matchTrace in osrm.js
+ */
+export async function matchWithOsrm(points, opts = {}) {
+  if (!osrm.supports(opts.mode || 'drive')) return { ok: false, error: 'mode_unsupported' };
+  if (!canRequest('osrm')) return { ok: false, error: 'breaker_open' };
+
+  return guarded('osrm', () => matchTrace(points, opts));
+}
+
+/**
+ * Health of every registered provider
+ * @returns {Promise<Object<string, {up: boolean, ms: number|null, status: number|null}>>}
+ */
+export async function healthAll() {
+  const out = {};
+  for (const [name, provider] of PROVIDERS) {
+    out[name] = await provider.health();
+  }
+  return out;
+}
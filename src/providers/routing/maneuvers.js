@@ -0,0 +1,91 @@
+// backend/src/providers/routing/maneuvers.js
+// Turn-by-turn steps in one shape for every provider, plus he/en text.
+//
+// Step: { type, modifier, name, distance_m, duration_s, location: [lon, lat], exit? }
+//   type:     depart | arrive | turn | continue | keep | merge | ramp |
+//             roundabout | exit_roundabout | uturn | ferry
+//   modifier: left | right | slight_left | slight_right | sharp_left | sharp_right |
+//             straight | uturn | null
+
+const MODIFIERS = new Set([
+  'left', 'right', 'slight_left', 'slight_right', 'sharp_left', 'sharp_right', 'straight', 'uturn'
+]);
+
+/**
+ * Build a normalized step
+ */
+export function makeStep({ type, modifier, name, distance, duration, location, exit }) {
+  const mod = String(modifier || '').replace(/ /g, '_');
+  return {
+    type,
+    modifier: MODIFIERS.has(mod) ? mod : null,
+    name: name || null,
+    distance_m: Math.round(distance ?? 0),
+    duration_s: Math.round(duration ?? 0),
+    location: location || null,
+    ...(exit != null && { exit })
+  };
+}
+
+const TEXT = {
+  en: {
+    mod: {
+      left: 'left', right: 'right', slight_left: 'slightly left', slight_right: 'slightly right',
+      sharp_left: 'sharp left', sharp_right: 'sharp right', straight: 'straight', uturn: 'around'
+    },
+    onto: n => (n ? ` onto ${n}` : ''),
+    on: n => (n ? ` on ${n}` : ''),
+    depart: (m, n) => `Head out${TEXT.en.on(n)}`,
+    arrive: (m, n, s) => (s.final ? 'Arrive at your destination' : 'Arrive at your stop'),
+    turn: (m, n) => `Turn ${m || 'ahead'}${TEXT.en.onto(n)}`,
+    continue: (m, n) => `Continue ${m || 'straight'}${TEXT.en.on(n)}`,
+    keep: (m, n) => `Keep ${m || 'straight'}${TEXT.en.onto(n)}`,
+    merge: (m, n) => `Merge${TEXT.en.onto(n)}`,
+    ramp: (m, n) => `Take the ramp${TEXT.en.onto(n)}`,
+    roundabout: (m, n, s) => (s.exit ? `At the roundabout, take exit ${s.exit}` : 'Enter the roundabout') + TEXT.en.onto(n),
+    exit_roundabout: (m, n) => `Exit the roundabout${TEXT.en.onto(n)}`,
+    uturn: (m, n) => `Make a U-turn${TEXT.en.onto(n)}`,
+    ferry: (m, n) => `Take the ferry${n ? ` (${n})` : ''}`
+  },
+  he: {
+    mod: {
+      left: 'שמאלה', right: 'ימינה', slight_left: 'מעט שמאלה', slight_right: 'מעט ימינה',
+      sharp_left: 'חדות שמאלה', sharp_right: 'חדות ימינה', straight: 'ישר', uturn: 'לאחור'
+    },
+    onto: n => (n ? ` אל ${n}` : ''),
+    on: n => (n ? ` ב־${n}` : ''),
+    depart: (m, n) => `צא לדרך${TEXT.he.on(n)}`,
+    arrive: (m, n, s) => (s.final ? 'הגעת ליעד' : 'הגעת לעצירה'),
+    turn: (m, n) => `פנה ${m || 'קדימה'}${TEXT.he.onto(n)}`,
+    continue: (m, n) => `המשך ${m || 'ישר'}${TEXT.he.on(n)}`,
+    keep: (m, n) => `הישאר ${m || 'ישר'}${TEXT.he.onto(n)}`,
+    merge: (m, n) => `השתלב${TEXT.he.onto(n)}`,
+    ramp: (m, n) => `עלה על המחלף${TEXT.he.onto(n)}`,
+    roundabout: (m, n, s) => (s.exit ? `בכיכר, צא ביציאה ה־${s.exit}` : 'היכנס לכיכר') + TEXT.he.onto(n),
+    exit_roundabout: (m, n) => `צא מהכיכר${TEXT.he.onto(n)}`,
+    uturn: (m, n) => `בצע פניית פרסה${TEXT.he.onto(n)}`,
+    ferry: (m, n) => `עלה על המעבורת${n ? ` (${n})` : ''}`
+  }
+};
+
+/**
+ * Instruction text for a step
+ * @param {Object} step - Normalized step
+ * @param {'he'|'en'} lang
+ * @param {{final?: boolean}} [ctx] - final: arrival at the last stop
+ */
+export function stepText(step, lang = 'he', { final = false } = {}) {
+  const t = TEXT[lang] || TEXT.he;
+  const fn = t[step.type] || t.continue;
+  return fn(step.modifier ? t.mod[step.modifier] : null, step.name, { ...step, final });
+}
+
+/**
+ * Add text to every leg's steps (legs without steps are left alone)
+ * @returns {Array} New legs
+ */
+export function legsWithText(legs, lang) {
+  return legs.map((leg, i) => leg.steps
+    ? { ...leg, steps: leg.steps.map(s => ({ ...s, text: stepText(s, lang, { final: i === legs.length - 1 }) })) }
+    : leg);
+}
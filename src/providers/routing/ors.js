@@ -0,0 +1,171 @@
+// backend/src/providers/routing/ors.js
+// OpenRouteService adapter: directions (honors avoid_features, avoid_polygons, alternative routes,
+// instructions) and matrix
+import { fetchJson, pingUrl, NOT_CONFIGURED, buildLegs, mapAvoid, usageFrom } from './common.js';
+import { makeStep } from './maneuvers.js';
+
+const ORS_URL = process.env.ORS_URL || 'https://api.openrouteservice.org';
+const ORS_API_KEY = process.env.ORS_API_KEY || '';
+
+// Travel mode -> ORS profile (ORS has no public transport)
+const PROFILES = {
+  drive: 'driving-car',
+  walk: 'foot-walking',
+  bike: 'cycling-regular'
+};
+
+// Map user-friendly avoid terms to ORS avoid features
+const AVOID_MAP = {
+  tolls: 'tollways',
+  ferries: 'ferries',
+  highways: 'highways'
+};
+
+// waycategory extra info bit flags -> avoid terms
+const WAYCATEGORY_BITS = {
+  highways: 1,
+  tolls: 2,
+  ferries: 8
+};
+
+// ORS instruction type codes -> [normalized type, modifier] (maneuvers.js)
+const STEP_TYPES = {
+  0: ['turn', 'left'],
+  1: ['turn', 'right'],
+  2: ['turn', 'sharp_left'],
+  3: ['turn', 'sharp_right'],
+  4: ['turn', 'slight_left'],
+  5: ['turn', 'slight_right'],
+  6: ['continue', 'straight'],
+  7: ['roundabout', null],
+  8: ['exit_roundabout', null],
+  9: ['uturn', 'uturn'],
+  10: ['arrive', null],
+  11: ['depart', null],
+  12: ['keep', 'left'],
+  13: ['keep', 'right']
+};
+
+// Alternative routes are only computed between two points
+const ALT_SHARE_FACTOR = 0.6;
+const ALT_WEIGHT_FACTOR = 1.4;
+
+function post(path, body) {
+  return fetchJson(`${ORS_URL}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', authorization: ORS_API_KEY },
+    body: JSON.stringify(body)
+  });
+}
+
+/**
+ * Metres per avoid term from the waycategory summary ({ value: bit flags, distance })
+ */
+function usageOf(props) {
+  const summary = props?.extras?.waycategory?.summary;
+  if (!summary) return usageFrom({});
+
+  const dist = { tolls: 0, ferries: 0, highways: 0 };
+  for (const { value, distance } of summary) {
+    for (const [term, bit] of Object.entries(WAYCATEGORY_BITS)) {
+      if (value & bit) dist[term] += distance ?? 0;
+    }
+  }
+  return usageFrom(dist);
+}
+
+function stepOf(step, coords) {
+  const [type, modifier] = STEP_TYPES[step.type] || ['continue', null];
+  return makeStep({
+    type,
+    modifier,
+    name: step.name === '-' ? null : step.name, // ORS uses "-" for unnamed roads
+    distance: step.distance,
+    duration: step.duration,
+    location: coords[step.way_points?.[0]],
+    exit: type === 'roundabout' ? step.exit_number : undefined
+  });
+}
+
+function normalize(feat, instructions) {
+  const coords = feat.geometry.coordinates;
+  const segments = feat.properties?.segments || [];
+  const legs = buildLegs(coords, feat.properties?.way_points || [0, coords.length - 1], segments);
+  if (instructions) {
+    legs.forEach((leg, i) => { leg.steps = (segments[i]?.steps || []).map(s => stepOf(s, coords)); });
+  }
+  return {
+    distance_m: Math.round(feat.properties?.summary?.distance ?? 0),
+    duration_s: Math.round(feat.properties?.summary?.duration ?? 0),
+    geometry: feat.geometry,
+    legs,
+    usage: usageOf(feat.properties)
+  };
+}
+
+async function route(stops, { mode = 'drive', avoid = [], avoidAreas = [], alternatives = 0, instructions = false } = {}) {
+  if (!ORS_API_KEY) return { ok: false, error: 'not_configured' };
+  if (!PROFILES[mode]) return { ok: false, error: 'mode_unsupported' };
+
+  const avoidFeatures = mapAvoid(avoid, AVOID_MAP);
+  const options = {
+    ...(avoidFeatures.length > 0 && { avoid_features: avoidFeatures }),
+    ...(avoidAreas.length > 0 && { avoid_polygons: { type: 'MultiPolygon', coordinates: avoidAreas } })
+  };
+  const withAlternatives = alternatives > 0 && stops.length === 2;
+  const r = await post(`/v2/directions/${PROFILES[mode]}/geojson`, {
+    coordinates: stops.map(p => [p.lon, p.lat]),
+    instructions: !!instructions,
+    geometry: true,
+    elevation: false,
+    extra_info: ['waycategory'],
+    ...(Object.keys(options).length > 0 && { options }),
+    ...(withAlternatives && {
+      alternative_routes: {
+        target_count: alternatives + 1,
+        share_factor: ALT_SHARE_FACTOR,
+        weight_factor: ALT_WEIGHT_FACTOR
+      }
+    })
+  });
+  if (!r.ok) return r;
+
+  const features = (r.json.features || []).filter(f => f?.geometry);
+  if (!features.length) return { ok: false, error: 'no_route' };
+
+  const [best, ...rest] = features.map(f => normalize(f, instructions));
+  return { ok: true, route: best, alternatives: rest.slice(0, alternatives) };
+}
+
+async function matrix(points, { mode = 'drive' } = {}) {
+  if (!ORS_API_KEY) return { ok: false, error: 'not_configured' };
+  if (!PROFILES[mode]) return { ok: false, error: 'mode_unsupported' };
+
+  const r = await post(`/v2/matrix/${PROFILES[mode]}`, {
+    locations: points.map(p => [p.lon, p.lat]),
+    metrics: ['duration', 'distance']
+  });
+  if (!r.ok) return r;
+
+  const fill = rows => (rows || []).map(row => row.map(v => (v == null ? Infinity : Math.round(v))));
+  return {
+    ok: true,
+    n: points.length,
+    matrix: { duration_s: fill(r.json.durations), distance_m: fill(r.json.distances) }
+  };
+}
+
+async function health() {
+  if (!ORS_API_KEY) return NOT_CONFIGURED;
+  return pingUrl(`${ORS_URL}/status`);
+}
+
+export default {
+  name: 'ors',
+  configured: () => !!ORS_API_KEY,
+  supports: mode => !!PROFILES[mode],
+  avoidsAreas: true,
+  route,
+  matrix,
+  health
+};
@@ -0,0 +1,208 @@
+// backend/src/providers/routing/osrm.js
+// OSRM adapter: /route (with exclude classes for avoid, alternatives, steps), /table for matrices,
+// /match for snapping recorded tracks to roads (OSRM only, outside the adapter contract)
+import { fetchJson, pingUrl, NOT_CONFIGURED, waypointIndices, buildLegs, mapAvoid, usageFrom, normalizeMode } from './common.js';
+import { makeStep } from './maneuvers.js';
+
+const OSRM_URL = process.env.OSRM_URL || 'http://localhost:5000';
+
+// Travel mode -> OSRM profile, e.g. OSRM_PROFILES="drive=driving,walk=foot,bike=bike".
+// An OSRM server is built for specific profiles, so only driving is assumed.
+const PROFILES = Object.fromEntries(
+  (process.env.OSRM_PROFILES || 'drive=driving')
+    .split(',')
+    .map(pair => pair.split('=').map(s => s.trim()))
+    .filter(([mode, profile]) => normalizeMode(mode) && profile)
+    .map(([mode, profile]) => [normalizeMode(mode), profile])
+);
+
+// Map user-friendly avoid terms to OSRM exclude classes
+const AVOID_MAP = {
+  tolls: 'toll',
+  ferries: 'ferry',
+  highways: 'motorway'
+};
+
+// Intersection classes -> avoid terms (for the usage summary)
+const CLASS_TERMS = Object.fromEntries(Object.entries(AVOID_MAP).map(([term, cls]) => [cls, term]));
+
+// OSRM maneuver types -> normalized step types (maneuvers.js)
+const STEP_TYPES = {
+  depart: 'depart',
+  arrive: 'arrive',
+  turn: 'turn',
+  'end of road': 'turn',
+  continue: 'continue',
+  'new name': 'continue',
+  notification: 'continue',
+  merge: 'merge',
+  'on ramp': 'ramp',
+  'off ramp': 'ramp',
+  fork: 'keep',
+  roundabout: 'roundabout',
+  rotary: 'roundabout',
+  'roundabout turn': 'roundabout',
+  'exit roundabout': 'exit_roundabout',
+  'exit rotary': 'exit_roundabout'
+};
+
+function coordsOf(points) {
+  return points.map(p => `${p.lon},${p.lat}`).join(';');
+}
+
+/**
+ * OSRM exclude parameter for avoid terms (e.g. "toll,ferry")
+ */
+export function excludeFor(avoid) {
+  return mapAvoid(avoid, AVOID_MAP).join(',');
+}
+
+/**
+ * Metres per avoid term from step intersections
+ * Classes describe the road leaving each intersection, so a step's distance
+ * is shared evenly between its intersections (approximate on long steps).
+ */
+function usageOf(osrmRoute) {
+  const dist = { tolls: 0, ferries: 0, highways: 0 };
+  for (const leg of osrmRoute.legs || []) {
+    for (const step of leg.steps || []) {
+      const xs = step.intersections?.length ? step.intersections : [{}];
+      const share = (step.distance ?? 0) / xs.length;
+      for (const x of xs) {
+        const terms = new Set((x.classes || []).map(c => CLASS_TERMS[c]).filter(Boolean));
+        if (step.mode === 'ferry') terms.add('ferries');
+        for (const term of terms) dist[term] += share;
+      }
+    }
+  }
+  return usageFrom(dist);
+}
+
+function stepOf(step) {
+  const m = step.maneuver || {};
+  let type = STEP_TYPES[m.type] || 'continue';
+  if (m.modifier === 'uturn' && (type === 'turn' || type === 'continue')) type = 'uturn';
+  if (step.mode === 'ferry' && type !== 'depart' && type !== 'arrive') type = 'ferry';
+  return makeStep({
+    type,
+    modifier: m.modifier,
+    name: step.name || step.ref,
+    distance: step.distance,
+    duration: step.duration,
+    location: m.location,
+    exit: type === 'roundabout' ? m.exit : undefined
+  });
+}
+
+function normalize(osrmRoute, waypoints, instructions) {
+  const coords = osrmRoute.geometry?.coordinates || [];
+  const osrmLegs = osrmRoute.legs || [];
+  const legs = buildLegs(coords, waypointIndices(coords, waypoints), osrmLegs);
+  if (instructions) {
+    legs.forEach((leg, i) => { leg.steps = (osrmLegs[i]?.steps || []).map(stepOf); });
+  }
+  return {
+    distance_m: Math.round(osrmRoute.distance ?? 0),
+    duration_s: Math.round(osrmRoute.duration ?? 0),
+    geometry: osrmRoute.geometry,
+    legs,
+    usage: usageOf(osrmRoute)
+  };
+}
+
+// steps=true always: the intersection classes feed the usage summary
+async function route(stops, { mode = 'drive', avoid = [], alternatives = 0, instructions = false } = {}) {
+  const profile = PROFILES[mode];
+  if (!profile) return { ok: false, error: 'mode_unsupported' };
+
+  const exclude = excludeFor(avoid);
+  const url = `${OSRM_URL}/route/v1/${profile}/${coordsOf(stops)}?overview=full&geometries=geojson&steps=true`
+    + `&alternatives=${alternatives > 0 ? alternatives : 'false'}`
+    + (exclude ? `&exclude=${exclude}` : '');
+
+  const r = await fetchJson(url);
+  if (!r.ok) return r;
+  if (r.json?.code !== 'Ok' || !r.json.routes?.length) {
+    return { ok: false, error: 'no_route', detail: r.json?.message || r.json?.code };
+  }
+
+  const waypoints = r.json.waypoints || stops.map(p => ({ location: [p.lon, p.lat] }));
+  const [best, ...rest] = r.json.routes.map(rt => normalize(rt, waypoints, instructions));
+  return { ok: true, route: best, alternatives: rest.slice(0, alternatives) };
+}
+
+/**
+ * Map-match a recorded track
+ * Matchings split at gaps are joined into one line. Timestamps are sent
+ * when every point has a strictly increasing time.
+ * @param {Array<{lat: number, lon: number, time?: number}>} points - time in ms
+ * @param {{mode?: string, radiusM?: number}} opts - radiusM: GPS accuracy to search within
+ * @returns {Promise<{ok: true, route: Object, confidence: number, matchings: number} | {ok: false, error: string}>}
+ */
+export async function matchTrace(points, { mode = 'drive', radiusM = 25 } = {}) {
+  const profile = PROFILES[mode];
+  if (!profile) return { ok: false, error: 'mode_unsupported' };
+
+  const timed = points.every((p, i) => p.time != null && (i === 0 || p.time > points[i - 1].time));
+  const url = `${OSRM_URL}/match/v1/${profile}/${coordsOf(points)}?overview=full&geometries=geojson&steps=true`
+    + '&tidy=true&gaps=split'
+    + `&radiuses=${points.map(() => radiusM).join(';')}`
+    + (timed ? `&timestamps=${points.map(p => Math.round(p.time / 1000)).join(';')}` : '');
+
+  const r = await fetchJson(url);
+  if (!r.ok) return r;
+  if (r.json?.code !== 'Ok' || !r.json.matchings?.length) {
+    return { ok: false, error: 'no_match', detail: r.json?.message || r.json?.code };
+  }
+
+  const ms = r.json.matchings;
+  const distance = ms.reduce((s, m) => s + (m.distance ?? 0), 0);
+  return {
+    ok: true,
+    route: {
+      distance_m: Math.round(distance),
+      duration_s: Math.round(ms.reduce((s, m) => s + (m.duration ?? 0), 0)),
+      geometry: { type: 'LineString', coordinates: ms.flatMap(m => m.geometry?.coordinates || []) },
+      usage: usageOf({ legs: ms.flatMap(m => m.legs || []) })
+    },
+    // Distance-weighted across matchings
+    confidence: distance
+      ? Number((ms.reduce((s, m) => s + (m.confidence ?? 0) * (m.distance ?? 0), 0) / distance).toFixed(3))
+      : 0,
+    matchings: ms.length
+  };
+}
+
+async function matrix(points, { mode = 'drive' } = {}) {
+  const profile = PROFILES[mode];
+  if (!profile) return { ok: false, error: 'mode_unsupported' };
+  const r = await fetchJson(`${OSRM_URL}/table/v1/${profile}/${coordsOf(points)}?annotations=duration,distance`);
+  if (!r.ok) return r;
+  if (r.json?.code !== 'Ok') return { ok: false, error: 'no_route', detail: r.json?.message || r.json?.code };
+
+  // null = unreachable; same convention as the Google matrix (Infinity)
+  const fill = rows => rows.map(row => row.map(v => (v == null ? Infinity : Math.round(v))));
+  return {
+    ok: true,
+    n: points.length,
+    matrix: {
+      duration_s: fill(r.json.durations || []),
+      distance_m: fill(r.json.distances || [])
+    }
+  };
+}
+
+async function health() {
+  if (!process.env.OSRM_URL) return NOT_CONFIGURED;
+  const profile = PROFILES.drive || Object.values(PROFILES)[0] || 'driving';
+  return pingUrl(`${OSRM_URL}/route/v1/${profile}/34.78,32.08;34.80,32.08?overview=false`);
+}
+
+export default {
+  name: 'osrm',
+  configured: () => true, // defaults to a local OSRM
+  supports: mode => !!PROFILES[mode],
+  route,
+  matrix,
+  health
+};
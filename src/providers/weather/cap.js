@@ -0,0 +1,152 @@
+// backend/src/providers/weather/cap.js
+// CAP 1.2 (Common Alerting Protocol) XML: a single <alert>, or an Atom feed
+// whose entries embed an <alert> or carry flat cap:* fields (NWS CAP Atom).
+// One feature per <info> block (or per info in the chosen language);
+// <area> polygons and circles become the geometry.
+import { XMLParser } from 'fast-xml-parser';
+import { makeAlert } from './common.js';
+
+const ARRAYS = new Set(['alert', 'entry', 'info', 'area', 'polygon', 'circle']);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseAttributeValue: false,
+  parseTagValue: false,
+  removeNSPrefix: true, // cap:event -> event
+  isArray: name => ARRAYS.has(name)
+});
+
+// Points on the polygon approximating a CAP circle
+const CIRCLE_SIDES = 24;
+
+function text(v) {
+  if (v == null) return null;
+  if (typeof v === 'object') return v['#text'] != null ? String(v['#text']).trim() : null;
+  return String(v).trim() || null;
+}
+
+/**
+ * CAP polygon "lat,lon lat,lon ..." -> GeoJSON ring [[lon, lat], ...] (closed)
+ */
+function capRing(s) {
+  const ring = String(text(s) || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(pair => pair.split(',').map(Number))
+    .filter(([lat, lon]) => Number.isFinite(lat) && Number.isFinite(lon))
+    .map(([lat, lon]) => [lon, lat]);
+  if (ring.length < 3) return null;
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+  return ring;
+}
+
+/**
+ * CAP circle "lat,lon radiusKm" -> GeoJSON ring
+ */
+function circleRing(s) {
+  const [center, radius] = String(text(s) || '').split(/\s+/);
+  const [lat, lon] = String(center || '').split(',').map(Number);
+  const km = Number(radius);
+  if (![lat, lon, km].every(Number.isFinite) || km <= 0) return null;
+
+  const dLat = km / 111.32;
+  const dLon = dLat / Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+  const ring = [];
+  for (let i = 0; i < CIRCLE_SIDES; i++) {
+    const a = (2 * Math.PI * i) / CIRCLE_SIDES;
+    ring.push([lon + dLon * Math.cos(a), lat + dLat * Math.sin(a)]);
+  }
+  ring.push(ring[0]);
+  return ring;
+}
+
+function geometryOf(areas) {
+  const rings = areas.flatMap(a => [
+    ...(a.polygon || []).map(capRing),
+    ...(a.circle || []).map(circleRing)
+  ]).filter(Boolean);
+  if (!rings.length) return null;
+  return rings.length === 1
+    ? { type: 'Polygon', coordinates: rings }
+    : { type: 'MultiPolygon', coordinates: rings.map(r => [r]) };
+}
+
+/**
+ * <info> blocks in the wanted language (all of them when none matches)
+ */
+function infosFor(alert, lang) {
+  const infos = alert.info || [];
+  if (!lang) return infos;
+  const wanted = infos.filter(i => String(text(i.language) || 'en-US').toLowerCase().startsWith(lang));
+  return wanted.length ? wanted : infos;
+}
+
+function alertFeatures(alert, { lang, source }) {
+  // Cancellations and tests are not hazards
+  const msgType = text(alert.msgType);
+  if (msgType === 'Cancel' || text(alert.status) === 'Test' || text(alert.status) === 'Exercise') return [];
+
+  return infosFor(alert, lang).map((info, i, all) => makeAlert({
+    id: all.length > 1 ? `${text(alert.identifier)}#${i}` : text(alert.identifier),
+    event: text(info.event),
+    headline: text(info.headline),
+    level: text(info.severity),
+    urgency: text(info.urgency),
+    certainty: text(info.certainty),
+    onset: text(info.onset) || text(info.effective) || text(alert.sent),
+    expires: text(info.expires),
+    area: (info.area || []).map(a => text(a.areaDesc)).filter(Boolean).join('; ') || null,
+    description: text(info.description),
+    geometry: geometryOf(info.area || []),
+    source
+  }));
+}
+
+// NWS-style Atom entry with flat cap:* fields
+function entryAsAlert(e) {
+  return {
+    identifier: text(e.id),
+    msgType: e.msgType,
+    status: e.status,
+    info: [{
+      event: e.event,
+      headline: e.title,
+      severity: e.severity,
+      urgency: e.urgency,
+      certainty: e.certainty,
+      onset: e.onset,
+      effective: e.effective,
+      expires: e.expires,
+      description: e.summary,
+      area: [{ areaDesc: e.areaDesc, polygon: e.polygon }]
+    }]
+  };
+}
+
+/**
+ * Parse CAP XML into alert features
+ * @param {string} body
+ * @param {{lang?: string, source?: string}} [opts] - lang: keep <info> blocks in this language ('he', 'en')
+ */
+export function parseCap(body, { lang, source = 'cap' } = {}) {
+  let doc;
+  try {
+    doc = parser.parse(String(body || ''), true);
+  } catch {
+    return { ok: false, error: 'invalid_feed', detail: 'invalid XML' };
+  }
+
+  let alerts;
+  if (doc.alert) alerts = doc.alert;
+  else if (doc.feed) alerts = (doc.feed.entry || []).flatMap(e => e.content?.alert || e.alert || [entryAsAlert(e)]);
+  else return { ok: false, error: 'invalid_feed', detail: 'no CAP alert or Atom feed' };
+
+  return { ok: true, features: alerts.flatMap(a => alertFeatures(a, { lang, source })) };
+}
+
+export default {
+  name: 'cap',
+  parse: body => parseCap(body)
+};
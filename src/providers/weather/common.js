@@ -0,0 +1,110 @@
+// backend/src/providers/weather/common.js
+// Shared pieces for weather adapters: the normalized alert feature and CAP
+// value handling.
+//
+// Alert parsers (see index.js): parse(body: string, opts) resolves to
+//   { ok: true, features: [alert] } or { ok: false, error: 'invalid_feed', detail? }
+// alert: GeoJSON Feature, geometry Polygon | MultiPolygon | Point | null (zone-only alerts), properties
+//   { kind: 'weather', severity: 'severe'|'moderate'|'minor', title, id, event, level,
+//     urgency, certainty, onset, expires, area, description, source }
+//   level: the source's own severity (CAP: Extreme | Severe | Moderate | Minor | Unknown)
+//   onset / expires: ISO 8601 or null
+//
+// Forecast adapters: hourly(point, { hours }) resolves to
+//   { ok: true, hours: [{ time, temp_c, precip_prob, precip_mm, wind_kmh, summary }] }
+//   or the routing failure shape ({ ok: false, error, status?, detail? })
+
+export { fetchJson } from '../routing/common.js';
+
+export const TIMEOUT_MS = Number(process.env.HAZ_TIMEOUT_MS || 12000);
+
+const SEVERITY = {
+  extreme: 'severe',
+  severe: 'severe',
+  moderate: 'moderate',
+  minor: 'minor'
+};
+
+// CAP enumerations, as spelled in the spec
+const URGENCY = ['Immediate', 'Expected', 'Future', 'Past', 'Unknown'];
+const CERTAINTY = ['Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown'];
+
+function capValue(v, allowed) {
+  const s = String(v ?? '').trim().toLowerCase();
+  return allowed.find(a => a.toLowerCase() === s) || 'Unknown';
+}
+
+function isoOrNull(v) {
+  const t = Date.parse(v ?? '');
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+/**
+ * Build a normalized alert feature
+ * @param {Object} a - { id, event, headline, level, urgency, certainty, onset, expires, area, description, geometry, source }
+ */
+export function makeAlert(a) {
+  const level = String(a.level ?? '').trim();
+  return {
+    type: 'Feature',
+    geometry: a.geometry || null,
+    properties: {
+      kind: 'weather',
+      severity: SEVERITY[level.toLowerCase()] || 'minor',
+      title: a.headline || a.event || 'Weather Alert',
+      id: a.id || null,
+      event: a.event || null,
+      level: level || 'Unknown',
+      urgency: capValue(a.urgency, URGENCY),
+      certainty: capValue(a.certainty, CERTAINTY),
+      onset: isoOrNull(a.onset),
+      expires: isoOrNull(a.expires),
+      area: a.area || null,
+      description: a.description || null,
+      source: a.source
+    }
+  };
+}
+
+/**
+ * Has the alert expired?
+ */
+export function isExpired(alert, now = Date.now()) {
+  const exp = alert.properties?.expires;
+  return !!exp && Date.parse(exp) < now;
+}
+
+/**
+ * GET a URL as text, folded into { ok, text } / { ok: false, error, status?, detail? }
+ */
+export async function fetchText(url, init = {}, timeoutMs = TIMEOUT_MS) {
+  const ac = new AbortController();
+  const tid = setTimeout(() => ac.abort(), timeoutMs);
+
+  try {
+    const r = await fetch(url, { ...init, signal: ac.signal });
+    if (!r.ok) {
+      const body = await r.text().catch(() => '');
+      return { ok: false, error: 'http', status: r.status, detail: body.slice(0, 500) };
+    }
+    return { ok: true, text: await r.text() };
+  } catch (e) {
+    return e?.name === 'AbortError'
+      ? { ok: false, error: 'timeout' }
+      : { ok: false, error: 'network', detail: String(e) };
+  } finally {
+    clearTimeout(tid);
+  }
+}
+
+/**
+ * Parse a JSON body for alert parsers
+ * @returns {Object|null}
+ */
+export function jsonOrNull(body) {
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
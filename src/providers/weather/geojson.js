@@ -0,0 +1,39 @@
+// backend/src/providers/weather/geojson.js
+// Generic GeoJSON alerts: any FeatureCollection whose features carry a
+// severity (or SEVERITY) and a headline or event. Severity is guessed from
+// the text ("Severe thunderstorm" -> severe), so prefer a real format.
+import { makeAlert, jsonOrNull } from './common.js';
+
+function levelOf(s) {
+  const str = String(s || '').toLowerCase();
+  if (str.includes('extreme')) return 'Extreme';
+  if (str.includes('severe')) return 'Severe';
+  if (str.includes('moderate')) return 'Moderate';
+  return 'Minor';
+}
+
+function parse(body) {
+  const fc = jsonOrNull(body);
+  if (!Array.isArray(fc?.features)) return { ok: false, error: 'invalid_feed', detail: 'not a FeatureCollection' };
+
+  const features = fc.features.map(f => {
+    const p = f.properties || {};
+    return makeAlert({
+      id: p.id ?? f.id,
+      event: p.event,
+      headline: p.headline,
+      level: levelOf(p.severity || p.SEVERITY),
+      urgency: p.urgency,
+      certainty: p.certainty,
+      onset: p.onset,
+      expires: p.expires,
+      area: p.areaDesc || p.area,
+      description: p.description,
+      geometry: f.geometry,
+      source: 'geojson'
+    });
+  });
+  return { ok: true, features };
+}
+
+export default { name: 'geojson', parse };
@@ -0,0 +1,12 @@
+// backend/src/providers/weather/ims.js
+// Israel Meteorological Service warnings. IMS publishes CAP 1.2 alerts with
+// one <info> block per language (he, en); only IMS_LANG (default he) is kept
+// so each warning appears once.
+import { parseCap } from './cap.js';
+
+const IMS_LANG = process.env.IMS_LANG === 'en' ? 'en' : 'he';
+
+export default {
+  name: 'ims',
+  parse: body => parseCap(body, { lang: IMS_LANG, source: 'ims' })
+};
@@ -0,0 +1,107 @@
+// backend/src/providers/weather/index.js
+// Weather provider registry.
+//
+//   alerts:   HAZ_WEATHER_URL parsed as HAZ_WEATHER_FORMAT
+//             (geojson | nws | cap | ims, default geojson)
+//   forecast: FORECAST_PROVIDERS chain (default open-meteo; nws covers the US only)
+//
+// Forecast providers have their own circuit breakers (forecast_<name>); the
+// alerts feed goes through hazards_weather (src/ops/hazards-feed.js).
+import { canRequest, record, isProviderFailure } from '../../../ops/breaker.js';
+import geojson from './geojson.js';
+import nws from './nws.js';
+import cap from './cap.js';
+import ims from './ims.js';
+import openMeteo from './open-meteo.js';
+
+const PARSERS = new Map([geojson, nws, cap, ims].map(p => [p.name, p]));
+const FORECASTS = new Map([openMeteo, nws].map(p => [p.name, p]));
+
+export const ALERT_FORMATS = [...PARSERS.keys()];
+
+const DEFAULT_FORECAST_CHAIN = 'open-meteo';
+
+/**
+ * Alert parser for a feed format
+ * @param {string} [format] - geojson (default) | nws | cap | ims
+ * @returns {{name: string, parse: Function}|null} null for unknown formats
+ */
+export function alertParser(format = 'geojson') {
+  return PARSERS.get(String(format).toLowerCase()) || null;
+}
+
+// Run a provider call and record it on its breaker; a throw (bad upstream
+// data) counts as a failure so a half-open trial slot is always released
+async function guarded(breaker, fn) {
+  try {
+    const r = await fn();
+    record(breaker, !isProviderFailure(r));
+    return r;
+  } catch (e) {
+    record(breaker, false);
+    return { ok: false, error: 'exception', detail: String(e?.message || e) };
+  }
+}
+
+/**
+ * Hourly forecast for a point through the forecast chain
+ * @param {{lat: number, lon: number}} point
+ * @param {{hours?: number, log?: Object}} [opts]
+ * @returns {Promise<{ok: true, provider: string, hours: Array} | {ok: false, error: string, attempts: Array}>}
+ */
+export async function forecastHourly(point, { hours = 24, log } = {}) {
+  const names = String(process.env.FORECAST_PROVIDERS || DEFAULT_FORECAST_CHAIN)
+    .split(',').map(s => s.trim().toLowerCase()).filter(n => FORECASTS.has(n));
+  const attempts = [];
+  let last = null;
+
+  for (const name of names) {
+    const breaker = `forecast_${name}`;
+    if (!canRequest(breaker)) {
+      attempts.push({ provider: name, skipped: 'breaker_open' });
+      continue;
+    }
+
+    const r = await guarded(breaker, () => FORECASTS.get(name).hourly(point, { hours }));
+    attempts.push({ provider: name, ok: r.ok, ...(!r.ok && { error: r.error, status: r.status }) });
+    if (r.ok) return { ...r, provider: name };
+
+    log?.warn({ event: 'forecast_provider_failed', provider: name, error: r.error, status: r.status, detail: r.detail });
+    last = r;
+  }
+
+  const allOpen = attempts.length > 0 && attempts.every(a => a.skipped === 'breaker_open');
+  return { ...(last || { error: allOpen ? 'breaker_open' : 'not_configured' }), ok: false, attempts };
+}
+
+/**
+ * Rain and heat windows in an hourly forecast (consecutive hours merged)
+ * @param {Array} hours - forecastHourly() hours
+ * @param {{rainProb: number, rainMm: number, heatC: number}} thresholds
+ *   rain: precip_prob >= rainProb or precip_mm >= rainMm; heat: temp_c >= heatC
+ * @returns {Array<{type: 'rain'|'heat', from: string, to: string, peak: number, precip_mm?: number}>}
+ *   from/to: first and last hour; peak: max probability % (rain) or temperature (heat);
+ *   precip_mm: rain total over the window
+ */
+export function forecastWarnings(hours, { rainProb, rainMm, heatC }) {
+  const kinds = {
+    rain: { test: h => (h.precip_prob ?? 0) >= rainProb || (h.precip_mm ?? 0) >= rainMm, peak: h => h.precip_prob ?? 0 },
+    heat: { test: h => h.temp_c != null && h.temp_c >= heatC, peak: h => h.temp_c }
+  };
+
+  const out = [];
+  for (const [type, { test, peak }] of Object.entries(kinds)) {
+    let w = null;
+    hours.forEach((h, i) => {
+      if (!test(h)) { w = null; return; }
+      if (!w) {
+        w = { type, from: h.time, to: h.time, peak: peak(h), ...(type === 'rain' && { precip_mm: 0 }) };
+        out.push(w);
+      }
+      w.to = h.time;
+      w.peak = Math.max(w.peak, peak(h));
+      if (type === 'rain') w.precip_mm = Math.round((w.precip_mm + (h.precip_mm ?? 0)) * 10) / 10;
+    });
+  }
+  return out.sort((a, b) => a.from.localeCompare(b.from));
+}
@@ -0,0 +1,73 @@
+// backend/src/providers/weather/nws.js
+// US National Weather Service (api.weather.gov): active alerts GeoJSON and
+// the hourly forecast for a point (/points -> forecastHourly).
+// Zone-based NWS alerts have no geometry; they are kept with geometry null.
+import { makeAlert, jsonOrNull, fetchJson, TIMEOUT_MS } from './common.js';
+
+const NWS_URL = process.env.NWS_URL || 'https://api.weather.gov';
+// api.weather.gov rejects requests without a User-Agent naming the app
+const NWS_USER_AGENT = process.env.NWS_USER_AGENT || 'RoamWise backend';
+
+const HEADERS = { 'user-agent': NWS_USER_AGENT, accept: 'application/geo+json' };
+
+function parse(body) {
+  const fc = jsonOrNull(body);
+  if (!Array.isArray(fc?.features)) return { ok: false, error: 'invalid_feed', detail: 'not an NWS alerts collection' };
+
+  const features = fc.features.map(f => {
+    const p = f.properties || {};
+    return makeAlert({
+      id: p.id ?? f.id,
+      event: p.event,
+      headline: p.headline,
+      level: p.severity,
+      urgency: p.urgency,
+      certainty: p.certainty,
+      onset: p.onset || p.effective,
+      expires: p.ends || p.expires,
+      area: p.areaDesc,
+      description: p.description,
+      geometry: f.geometry,
+      source: 'nws'
+    });
+  });
+  return { ok: true, features };
+}
+
+const mph = s => {
+  // "10 mph" or "10 to 15 mph" -> km/h of the higher value
+  const nums = String(s || '').match(/\d+(\.\d+)?/g);
+  return nums ? Math.round(Math.max(...nums.map(Number)) * 1.609) : null;
+};
+
+const celsius = (t, unit) => (t == null ? null : Math.round((unit === 'F' ? (t - 32) * 5 / 9 : t) * 10) / 10);
+
+async function hourly(point, { hours = 24 } = {}) {
+  const where = await fetchJson(`${NWS_URL}/points/${point.lat.toFixed(4)},${point.lon.toFixed(4)}`, { headers: HEADERS }, TIMEOUT_MS);
+  if (!where.ok) return where;
+  const url = where.json?.properties?.forecastHourly;
+  if (!url) return { ok: false, error: 'no_forecast', detail: 'point outside NWS coverage' };
+
+  const r = await fetchJson(url, { headers: HEADERS }, TIMEOUT_MS);
+  if (!r.ok) return r;
+
+  const periods = (r.json?.properties?.periods || []).slice(0, hours);
+  return {
+    ok: true,
+    hours: periods.map(p => ({
+      time: new Date(p.startTime).toISOString(),
+      temp_c: celsius(p.temperature, p.temperatureUnit),
+      precip_prob: p.probabilityOfPrecipitation?.value ?? null,
+      precip_mm: null, // not in the hourly forecast
+      wind_kmh: mph(p.windSpeed),
+      summary: p.shortForecast || null
+    }))
+  };
+}
+
+export default {
+  name: 'nws',
+  parse,
+  // hourly: US only, other points get no_forecast
+  hourly
+};
@@ -0,0 +1,55 @@
+// backend/src/providers/weather/open-meteo.js
+// Open-Meteo hourly forecast (global, no API key)
+import { fetchJson, TIMEOUT_MS } from './common.js';
+
+const OPEN_METEO_URL = process.env.OPEN_METEO_URL || 'https://api.open-meteo.com';
+
+// WMO weather interpretation codes -> short summary
+const WMO = [
+  [0, 'Clear'],
+  [3, 'Cloudy'],
+  [48, 'Fog'],
+  [57, 'Drizzle'],
+  [67, 'Rain'],
+  [77, 'Snow'],
+  [82, 'Rain showers'],
+  [86, 'Snow showers'],
+  [99, 'Thunderstorm']
+];
+
+function summaryOf(code) {
+  if (code == null) return null;
+  return (WMO.find(([max]) => code <= max) || WMO[WMO.length - 1])[1];
+}
+
+async function hourly(point, { hours = 24 } = {}) {
+  const qs = new URLSearchParams({
+    latitude: point.lat.toFixed(4),
+    longitude: point.lon.toFixed(4),
+    hourly: 'temperature_2m,precipitation_probability,precipitation,wind_speed_10m,weather_code',
+    forecast_hours: String(hours),
+    timezone: 'UTC'
+  });
+  const r = await fetchJson(`${OPEN_METEO_URL}/v1/forecast?${qs}`, {}, TIMEOUT_MS);
+  if (!r.ok) return r;
+
+  const h = r.json?.hourly;
+  if (!Array.isArray(h?.time)) return { ok: false, error: 'no_forecast' };
+
+  return {
+    ok: true,
+    hours: h.time.slice(0, hours).map((t, i) => ({
+      time: new Date(`${t}Z`).toISOString(),
+      temp_c: h.temperature_2m?.[i] ?? null,
+      precip_prob: h.precipitation_probability?.[i] ?? null,
+      precip_mm: h.precipitation?.[i] ?? null,
+      wind_kmh: h.wind_speed_10m?.[i] ?? null,
+      summary: summaryOf(h.weather_code?.[i])
+    }))
+  };
+}
+
+export default {
+  name: 'open-meteo',
+  hourly
+};
@@ -1,11 +1,56 @@
 // backend/src/routes/family-auth.js
 import express from 'express';
 import { nanoid } from 'nanoid';
-import db from '../../db.js';
+import db, { getUserById } from '../../db.js';
 import { toE164, maskPhone } from '../ops/phone.js';
+import { issueOtp, verifyOtp, consumeOtp } from '../ops/otp.js';
+import { getSmsTransport } from '../ops/sms.js';
+import { linkFamilyUser } from '../ops/identity.js';
+import { audit, getTenant, redeemInvite } from '../ops/tenants-db.js';
+import { resolveAuthToken } from '../../auth.js';
+import {
+  FAMILY_SESSION_COOKIE as SESSION_COOKIE, setFamilySessionCookie as setSessionCookie,
+  createFamilySession, resolveFamilySession,
+  listFamilySessions, revokeFamilySession, revokeOtherFamilySessions
+} from '../ops/sessions.js';
 
 const router = express.Router();
 
+/**
+ * Middleware: require an active family session
+ * Sets req.familySession (session row + name/phone); refreshes a rotated cookie
+ */
+export function familySessionRequired(req, res, next) {
+  const token = req.cookies?.[SESSION_COOKIE];
+  if (!token) {
+    return res.status(401).json({ ok: false, code: 'not_signed_in' });
+  }
+
+  const resolved = resolveFamilySession(token);
+  if (!resolved) {
+    res.clearCookie(SESSION_COOKIE);
+    return res.status(401).json({ ok: false, code: 'invalid_session' });
+  }
+
+  if (resolved.rotatedToken) setSessionCookie(res, resolved.rotatedToken);
+  req.familySession = resolved.session;
+  next();
+}
+
+/**
+ * GET /api/family/me handler - current family session
+ */
+export function familyMe(req, res) {
+  familySessionRequired(req, res, () => {
+    const s = req.familySession;
+    res.json({
+      ok: true,
+      session: { userId: s.user_id, name: s.name, phone: maskPhone(s.phone_e164), sessionId: s.id },
+      linked_user_id: s.linked_user_id
+    });
+  });
+}
+
 // Rate limit: 5 req/min per IP (simple in-memory)
 const rateLimitMap = new Map();
 const RATE_LIMIT_WINDOW = 60 * 1000; // 1 min
@@ -24,8 +69,8 @@ function rateCheck(ip) {
   return rec.count <= RATE_LIMIT_MAX;
 }
 
-// POST /api/family/signin/start - check if phone is known
-router.post('/signin/start', (req, res) => {
+// POST /api/family/signin/start - send a one-time code to the phone
+router.post('/signin/start', async (req, res) => {
   const ip = req.ip;
   if (!rateCheck(ip)) {
     return res.status(429).json({ ok: false, code: 'rate_limited' });
@@ -37,31 +82,57 @@ router.post('/signin/start', (req, res) => {
     return res.status(400).json({ ok: false, code: 'invalid_phone' });
   }
 
-  const row = db.prepare('SELECT user_id, name FROM family_users WHERE phone_e164 = ?').get(e164);
-  const known = !!row;
+  const otp = issueOtp(e164);
+  if (!otp.ok) {
+    console.log(`[FAMILY-AUTH] start phone=${maskPhone(e164)} refused=${otp.code}`);
+    return res.status(429).json({ ok: false, code: otp.code, retry_after_s: otp.retryAfterS });
+  }
 
-  console.log(`[FAMILY-AUTH] start phone=${maskPhone(e164)} known=${known}`);
+  try {
+    await getSmsTransport().send({ to: e164, body: `RoamWise code: ${otp.code}` });
+  } catch (error) {
+    console.error(`[FAMILY-AUTH] sms failed phone=${maskPhone(e164)}:`, error.message);
+    return res.status(502).json({ ok: false, code: 'sms_failed' });
+  }
 
-  res.json({ ok: true, known, name: row?.name || null });
+  console.log(`[FAMILY-AUTH] start phone=${maskPhone(e164)} code sent`);
+
+  // Whether the phone is known is only revealed after the code is verified
+  res.json({ ok: true, sent: true, expires_in_s: otp.expiresInS, resend_after_s: otp.resendAfterS });
 });
 
-// POST /api/family/signin/finish - create or update user
+// POST /api/family/signin/finish - verify code, create or update user
 router.post('/signin/finish', (req, res) => {
   const ip = req.ip;
   if (!rateCheck(ip)) {
     return res.status(429).json({ ok: false, code: 'rate_limited' });
   }
 
-  const { phone, name } = req.body || {};
+  const { phone, code, name } = req.body || {};
   const e164 = toE164(phone);
   if (!e164) {
     return res.status(400).json({ ok: false, code: 'invalid_phone' });
   }
-  if (!name || name.trim().length === 0) {
-    return res.status(400).json({ ok: false, code: 'name_required' });
+
+  const check = verifyOtp(e164, code);
+  if (!check.ok) {
+    console.log(`[FAMILY-AUTH] finish phone=${maskPhone(e164)} rejected=${check.code}`);
+    return res.status(check.code === 'otp_locked' ? 429 : 401).json({
+      ok: false,
+      code: check.code,
+      ...(check.attemptsLeft !== undefined && { attempts_left: check.attemptsLeft }),
+      ...(check.retryAfterS !== undefined && { retry_after_s: check.retryAfterS })
+    });
+  }
+
+  // Code is valid; a new user still needs a name (the code stays valid for the retry)
+  const known = db.prepare('SELECT name FROM family_users WHERE phone_e164 = ?').get(e164);
+  if (!known && (!name || name.trim().length === 0)) {
+    return res.status(400).json({ ok: false, code: 'name_required', known: false });
   }
 
-  const trimmedName = name.trim().slice(0, 100);
+  consumeOtp(e164);
+  const trimmedName = name?.trim() ? name.trim().slice(0, 100) : known.name;
 
   // Check if user exists
   let row = db.prepare('SELECT user_id FROM family_users WHERE phone_e164 = ?').get(e164);
@@ -79,33 +150,105 @@ router.post('/signin/finish', (req, res) => {
     console.log(`[FAMILY-AUTH] existing user updated user_id=${userId} phone=${maskPhone(e164)}`);
   }
 
-  // Set session cookie (Base64url-encoded JSON)
-  const sessionData = { userId, name: trimmedName, phone: maskPhone(e164) };
-  const cookieValue = Buffer.from(JSON.stringify(sessionData)).toString('base64url');
+  // Server-side session; the cookie only carries an opaque token
+  const session = createFamilySession(userId, req);
+  setSessionCookie(res, session.token);
+
+  res.json({ ok: true, user_id: userId, known: !!known, name: trimmedName });
+});
+
+// GET /api/family/me - get current session
+router.get('/me', familyMe);
 
-  res.cookie('family_session', cookieValue, {
-    httpOnly: true,
-    sameSite: 'Lax',
-    maxAge: 1000 * 60 * 60 * 24 * 365, // 1 year
+// POST /api/family/link - act as the tenant user of the JWT also presented
+// (both credentials must be valid, proving control of the phone and the account)
+router.post('/link', familySessionRequired, (req, res) => {
+  const token = req.cookies?.roamwise_auth;
+  const payload = token ? resolveAuthToken(token, res) : null;
+  if (!payload) {
+    return res.status(401).json({ ok: false, code: 'tenant_login_required' });
+  }
+  // A disabled account could not sign the phone in afterwards (resolvePrincipal)
+  const user = getUserById(payload.userId);
+  if (!user) {
+    return res.status(401).json({ ok: false, code: 'tenant_login_required' });
+  }
+  if (user.disabled_at) {
+    return res.status(403).json({ ok: false, code: 'user_disabled' });
+  }
+
+  linkFamilyUser(req.familySession.user_id, payload.userId);
+  audit({
+    tenantId: payload.tenantId,
+    actor: { userId: payload.userId, familyUserId: req.familySession.user_id },
+    action: 'family.link',
+    targetType: 'user',
+    targetId: payload.userId,
+    ip: req.ip
   });
+  console.log(`[FAMILY-AUTH] linked user_id=${req.familySession.user_id} to tenant user=${payload.userId}`);
 
-  res.json({ ok: true, user_id: userId });
+  res.json({ ok: true, linked_user_id: payload.userId, tenant: payload.tenantName });
 });
 
-// GET /api/me - get current session
-router.get('/me', (req, res) => {
-  const cookie = req.cookies?.family_session;
-  if (!cookie) {
-    return res.status(401).json({ ok: false, code: 'not_signed_in' });
+// POST /api/family/invites/redeem - join a tenant with an invite code
+// Creates a user in the inviting tenant and links this phone to it
+router.post('/invites/redeem', familySessionRequired, (req, res) => {
+  const code = String(req.body?.code || '').trim();
+  const username = req.body?.username ? String(req.body.username).trim().slice(0, 40) : undefined;
+  if (!code) {
+    return res.status(400).json({ ok: false, code: 'code_required' });
+  }
+  if (!rateCheck(req.ip || 'unknown')) {
+    return res.status(429).json({ ok: false, code: 'rate_limited' });
   }
 
-  try {
-    const json = Buffer.from(cookie, 'base64url').toString('utf-8');
-    const session = JSON.parse(json);
-    res.json({ ok: true, session });
-  } catch (error) {
-    res.status(401).json({ ok: false, code: 'invalid_session' });
+  const s = req.familySession;
+  const r = redeemInvite(code, s, username);
+  if (!r.ok) {
+    return res.status(r.code === 'invite_invalid' ? 404 : 409).json({ ok: false, code: r.code });
   }
+
+  audit({
+    tenantId: r.tenantId,
+    actor: { familyUserId: s.user_id },
+    action: 'invite.redeem',
+    targetType: 'user',
+    targetId: r.user.id,
+    detail: { invite: r.invite, role: r.user.role },
+    ip: req.ip
+  });
+  console.log(`[FAMILY-AUTH] user_id=${s.user_id} joined tenant=${r.tenantId} as user=${r.user.id}`);
+
+  res.json({ ok: true, tenant: getTenant(r.tenantId), user: r.user });
+});
+
+// POST /api/family/signout - end the current session
+router.post('/signout', familySessionRequired, (req, res) => {
+  revokeFamilySession(req.familySession.user_id, req.familySession.id);
+  res.clearCookie(SESSION_COOKIE);
+  console.log(`[FAMILY-AUTH] signout user_id=${req.familySession.user_id}`);
+  res.json({ ok: true });
+});
+
+// GET /api/family/sessions - active sessions (devices) of the current user
+router.get('/sessions', familySessionRequired, (req, res) => {
+  res.json({ ok: true, sessions: listFamilySessions(req.familySession.user_id, req.familySession.id) });
+});
+
+// DELETE /api/family/sessions/:id - revoke one device
+router.delete('/sessions/:id', familySessionRequired, (req, res) => {
+  if (!revokeFamilySession(req.familySession.user_id, req.params.id)) {
+    return res.status(404).json({ ok: false, code: 'session_not_found' });
+  }
+  if (req.params.id === req.familySession.id) res.clearCookie(SESSION_COOKIE);
+  res.json({ ok: true });
+});
+
+// POST /api/family/sessions/revoke-others - sign out every other device
+router.post('/sessions/revoke-others', familySessionRequired, (req, res) => {
+  const revoked = revokeOtherFamilySessions(req.familySession.user_id, req.familySession.id);
+  res.json({ ok: true, revoked });
 });
 
 export default router;
@@ -0,0 +1,154 @@
+// backend/src/routes/hazard-subscriptions.js
+// Subscribe a saved area, a route or a trip to hazard alerts, delivered by
+// Web Push, webhook or the local sink (see src/ops/hazard-subscriptions.js).
+import express from 'express';
+import { z } from 'zod';
+import { principalRequired } from '../ops/identity.js';
+import { getTripAccess } from '../ops/trips-db.js';
+import {
+  createSubscription, listSubscriptions, getSubscription, deleteSubscription, sendTestNotification
+} from '../ops/hazard-subscriptions.js';
+import { SEVERITY_RANK } from '../ops/hazard-history.js';
+import { vapidPublicKey, channelProblem } from '../ops/hazard-notify.js';
+
+const router = express.Router();
+
+router.use(principalRequired);
+
+const MAX_PER_USER = Number(process.env.HAZ_MAX_SUBSCRIPTIONS || 20);
+
+// ---- Validation ----
+
+const bufferM = z.number().min(10).max(50000).default(1000);
+
+const targetSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('area'),
+    lat: z.number().gte(-90).lte(90),
+    lon: z.number().gte(-180).lte(180),
+    radius_m: z.number().min(10).max(50000).default(10000)
+  }),
+  z.object({
+    type: z.literal('route'),
+    geometry: z.object({
+      type: z.literal('LineString'),
+      coordinates: z.array(z.tuple([z.number().gte(-180).lte(180), z.number().gte(-90).lte(90)]).rest(z.number()))
+        .min(2).max(2500)
+    }),
+    buffer_m: bufferM
+  }),
+  z.object({
+    type: z.literal('trip'),
+    trip_id: z.string().min(1).max(40),
+    buffer_m: bufferM
+  })
+]);
+
+const channelSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('webpush'),
+    // PushSubscription.toJSON()
+    subscription: z.object({
+      endpoint: z.string().url().max(2000),
+      keys: z.object({ p256dh: z.string().min(1).max(200), auth: z.string().min(1).max(100) })
+    })
+  }),
+  z.object({ type: z.literal('webhook'), url: z.string().url().max(2000) }),
+  z.object({ type: z.literal('local') })
+]);
+
+const subscriptionSchema = z.object({
+  name: z.string().max(200).optional(),
+  target: targetSchema,
+  min_severity: z.enum(Object.keys(SEVERITY_RANK)).default('severe'),
+  channel: channelSchema,
+  expires_at: z.string().datetime({ offset: true }).optional()
+});
+
+function userOf(req) {
+  return { tenantId: req.user.tenantId, userId: req.user.userId };
+}
+
+function invalid(res, result) {
+  return res.status(400).json({ ok: false, code: 'invalid_request', details: result.error.flatten() });
+}
+
+function notFound(res) {
+  return res.status(404).json({ ok: false, code: 'subscription_not_found' });
+}
+
+// ---- Routes ----
+
+// GET /api/hazards/subscriptions/vapid-key - public key for PushManager.subscribe()
+router.get('/vapid-key', (req, res) => {
+  const key = vapidPublicKey();
+  if (!key) return res.status(404).json({ ok: false, code: 'webpush_not_configured' });
+  res.json({ ok: true, public_key: key });
+});
+
+// GET /api/hazards/subscriptions - the caller's subscriptions
+router.get('/', (req, res) => {
+  res.json({ ok: true, subscriptions: listSubscriptions(userOf(req)) });
+});
+
+// POST /api/hazards/subscriptions - subscribe an area, route or trip
+router.post('/', async (req, res) => {
+  try {
+    const v = subscriptionSchema.safeParse(req.body || {});
+    if (!v.success) return invalid(res, v);
+
+    const user = userOf(req);
+    const { target, channel } = v.data;
+
+    const problem = await channelProblem(channel);
+    if (problem) return res.status(400).json({ ok: false, code: problem });
+
+    if (target.type === 'trip' && !getTripAccess(user, target.trip_id)) {
+      return res.status(404).json({ ok: false, code: 'trip_not_found' });
+    }
+    if (listSubscriptions(user).length >= MAX_PER_USER) {
+      return res.status(409).json({ ok: false, code: 'too_many_subscriptions', max: MAX_PER_USER });
+    }
+
+    const subscription = createSubscription(user, {
+      ...v.data,
+      lang: req.headers['x-lang'] === 'en' ? 'en' : 'he',
+      expires_at: v.data.expires_at ? Math.floor(Date.parse(v.data.expires_at) / 1000) : null
+    });
+    req.log.info({ event: 'hazard_subscribe', subscription_id: subscription.id, target: target.type, channel: channel.type });
+    res.status(201).json({ ok: true, subscription });
+  } catch (error) {
+    req.log.error({ err: error }, 'Hazard subscribe error');
+    res.status(500).json({ ok: false, code: 'internal_error', message: error.message });
+  }
+});
+
+// GET /api/hazards/subscriptions/:id
+router.get('/:id', (req, res) => {
+  const subscription = getSubscription(userOf(req), req.params.id);
+  if (!subscription) return notFound(res);
+  res.json({ ok: true, subscription });
+});
+
+// DELETE /api/hazards/subscriptions/:id
+router.delete('/:id', (req, res) => {
+  if (!deleteSubscription(userOf(req), req.params.id)) return notFound(res);
+  req.log.info({ event: 'hazard_unsubscribe', subscription_id: req.params.id });
+  res.json({ ok: true });
+});
+
+// POST /api/hazards/subscriptions/:id/test - send a test notification
+router.post('/:id/test', async (req, res) => {
+  try {
+    const r = await sendTestNotification(userOf(req), req.params.id);
+    if (r.error === 'not_found') return notFound(res);
+    if (!r.ok) return res.status(502).json({ ok: false, code: 'delivery_failed', error: r.error });
+    res.json({ ok: true });
+  } catch (error) {
+    // A local sink that throws (unwritable HAZ_NOTIFY_FILE, ...) is a failed delivery
+    req.log.error({ err: error }, 'Hazard test notification error');
+    res.status(502).json({ ok: false, code: 'delivery_failed', message: error.message });
+  }
+});
+
+export default router;
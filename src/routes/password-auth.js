@@ -0,0 +1,122 @@
+// backend/src/routes/password-auth.js
+// Password sign-in for tenant users (mounted at /api/auth in every AUTH_MODE).
+// A user without a password sets one after signing in another way (family
+// phone sign-in linked to them, or dev login); admins can also set one when
+// adding the user (POST /api/tenants/:id/users).
+import express from 'express';
+import { z } from 'zod';
+import { getUserByCredentials, getPasswordHash, setPasswordHash } from '../../db.js';
+import { authPayloadFor, issueAuthSession, revokeAuthSession, clearAuthCookie } from '../../auth.js';
+import { principalRequired } from '../ops/identity.js';
+import { revokeOtherJwtSessions } from '../ops/sessions.js';
+import { hashPassword, verifyPassword, passwordProblem } from '../ops/passwords.js';
+import { audit } from '../ops/tenants-db.js';
+
+const router = express.Router();
+
+const loginSchema = z.object({
+  tenant: z.string().min(1).max(60),
+  username: z.string().min(1).max(40),
+  password: z.string().min(1).max(256)
+});
+
+const passwordSchema = z.object({
+  current_password: z.string().max(256).optional(),
+  new_password: z.string()
+});
+
+// Rate limit: 10 attempts/min per IP+account (simple in-memory)
+const rateLimitMap = new Map();
+const RATE_LIMIT_WINDOW = 60 * 1000;
+const RATE_LIMIT_MAX = 10;
+
+function rateCheck(key) {
+  const now = Date.now();
+  const rec = rateLimitMap.get(key) || { count: 0, reset: now + RATE_LIMIT_WINDOW };
+  if (now > rec.reset) {
+    rec.count = 0;
+    rec.reset = now + RATE_LIMIT_WINDOW;
+  }
+  rec.count++;
+  rateLimitMap.set(key, rec);
+  return rec.count <= RATE_LIMIT_MAX;
+}
+
+function invalid(res, result) {
+  return res.status(400).json({ ok: false, code: 'invalid_request', details: result.error.flatten() });
+}
+
+// POST /api/auth/login - tenant + username + password
+router.post('/login', async (req, res) => {
+  const result = loginSchema.safeParse(req.body);
+  if (!result.success) return invalid(res, result);
+
+  const { tenant, username, password } = result.data;
+  if (!rateCheck(`password:${req.ip}:${tenant}:${username}`)) {
+    return res.status(429).json({ ok: false, code: 'rate_limited' });
+  }
+
+  const user = getUserByCredentials(tenant, username);
+  // Unknown users and users without a password still pay for a hash
+  const ok = await verifyPassword(password, user ? getPasswordHash(user.id) : null);
+  if (!ok) {
+    req.log.info({ event: 'password_login_failed', tenant });
+    return res.status(401).json({ ok: false, code: 'invalid_credentials' });
+  }
+  if (user.disabled_at) {
+    return res.status(403).json({ ok: false, code: 'user_disabled' });
+  }
+
+  issueAuthSession(res, authPayloadFor(user), req);
+  req.log.info({ event: 'password_login', user_id: user.id });
+
+  res.json({
+    ok: true,
+    user: { id: user.id, username: user.username, displayName: user.display_name, tenant: user.tenant_name }
+  });
+});
+
+// POST /api/auth/logout - revoke this session
+router.post('/logout', (req, res) => {
+  revokeAuthSession(req);
+  clearAuthCookie(res);
+  res.json({ ok: true });
+});
+
+// PUT /api/auth/password - set or change the signed-in user's password
+// Changing an existing password requires it; other JWT sessions are revoked
+router.put('/password', principalRequired, async (req, res) => {
+  const result = passwordSchema.safeParse(req.body);
+  if (!result.success) return invalid(res, result);
+
+  const { current_password, new_password } = result.data;
+  const problem = passwordProblem(new_password);
+  if (problem) return res.status(400).json({ ok: false, code: problem });
+
+  const { userId, tenantId, familyUserId } = req.principal;
+  const existing = getPasswordHash(userId);
+  if (existing) {
+    if (!rateCheck(`password-change:${userId}`)) {
+      return res.status(429).json({ ok: false, code: 'rate_limited' });
+    }
+    if (!current_password || !(await verifyPassword(current_password, existing))) {
+      return res.status(401).json({ ok: false, code: 'invalid_credentials' });
+    }
+  }
+
+  setPasswordHash(userId, await hashPassword(new_password));
+  const revoked = revokeOtherJwtSessions(userId, req.user.jti ?? null);
+  audit({
+    tenantId,
+    actor: { userId, familyUserId },
+    action: existing ? 'user.password_change' : 'user.password_set',
+    targetType: 'user',
+    targetId: userId,
+    ip: req.ip
+  });
+  req.log.info({ event: 'password_set', user_id: userId, revoked });
+
+  res.json({ ok: true, sessions_revoked: revoked });
+});
+
+export default router;
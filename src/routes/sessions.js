@@ -0,0 +1,38 @@
+// backend/src/routes/sessions.js
+// Active JWT sessions (one per login/device) for the signed-in tenant user
+// (a phone signed in with a family session manages its linked user's logins)
+import express from 'express';
+import { clearAuthCookie } from '../../auth.js';
+import { principalRequired } from '../ops/identity.js';
+import { listJwtSessions, revokeJwtSession, revokeOtherJwtSessions } from '../ops/sessions.js';
+
+const router = express.Router();
+
+router.use(principalRequired);
+
+// This request's JWT session, null when signed in with a family session
+const currentJti = req => req.user.jti ?? null;
+
+// GET /api/sessions - list active sessions
+router.get('/', (req, res) => {
+  res.json({ ok: true, sessions: listJwtSessions(req.user.userId, currentJti(req)) });
+});
+
+// DELETE /api/sessions/:id - revoke one device
+router.delete('/:id', (req, res) => {
+  if (!revokeJwtSession(req.user.userId, req.params.id)) {
+    return res.status(404).json({ ok: false, code: 'session_not_found' });
+  }
+  if (req.params.id === currentJti(req)) clearAuthCookie(res);
+  req.log.info({ event: 'session_revoke', user_id: req.user.userId });
+  res.json({ ok: true });
+});
+
+// POST /api/sessions/revoke-others - sign out every other device
+router.post('/revoke-others', (req, res) => {
+  const revoked = revokeOtherJwtSessions(req.user.userId, currentJti(req));
+  req.log.info({ event: 'session_revoke_others', user_id: req.user.userId, revoked });
+  res.json({ ok: true, revoked });
+});
+
+export default router;
@@ -0,0 +1,252 @@
+// backend/src/routes/tenants.js
+// Tenant administration (mounted at /api/tenants). Callers act on their own
+// tenant (`:id` or `current`); everything but reading requires role admin.
+// New members join by redeeming an invite code with a family sign-in
+// (POST /api/family/invites/redeem). Every change is written to audit_log.
+import express from 'express';
+import { z } from 'zod';
+import { principalRequired } from '../ops/identity.js';
+import { revokeOtherJwtSessions } from '../ops/sessions.js';
+import { hashPassword, passwordProblem } from '../ops/passwords.js';
+import { setPasswordHash } from '../../db.js';
+import {
+  audit, listAudit, getTenant, createTenant, renameTenant,
+  listTenantUsers, getTenantUser, addTenantUser, isLastAdmin, updateTenantUser, removeTenantUser,
+  createInvite, listInvites, revokeInvite
+} from '../ops/tenants-db.js';
+
+const router = express.Router();
+
+router.use(principalRequired);
+
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS || 72);
+
+// ---- Validation ----
+
+const roleSchema = z.enum(['admin', 'member']);
+const tenantNameSchema = z.string().trim().min(1).max(60).refine(n => !n.startsWith('personal-'), {
+  message: 'reserved prefix'
+});
+
+const tenantSchema = z.object({ name: tenantNameSchema });
+
+const userSchema = z.object({
+  username: z.string().trim().min(1).max(40),
+  display_name: z.string().trim().min(1).max(80).optional(),
+  role: roleSchema.optional(),
+  password: z.string().max(256).optional() // initial password for /api/auth/login
+});
+
+const userPatchSchema = z.object({
+  display_name: z.string().trim().min(1).max(80).optional(),
+  role: roleSchema.optional(),
+  disabled: z.boolean().optional()
+});
+
+const inviteSchema = z.object({
+  role: roleSchema.default('member'),
+  max_uses: z.number().int().min(1).max(50).default(1),
+  ttl_hours: z.number().int().min(1).max(24 * 30).default(INVITE_TTL_HOURS)
+});
+
+function invalid(res, result) {
+  return res.status(400).json({ ok: false, code: 'invalid_request', details: result.error.flatten() });
+}
+
+function actorOf(req) {
+  return { userId: req.principal.userId, familyUserId: req.principal.familyUserId };
+}
+
+/**
+ * Record a change against the tenant in req.tenant
+ */
+function record(req, action, targetType, targetId, detail) {
+  audit({ tenantId: req.tenant.id, actor: actorOf(req), action, targetType, targetId, detail, ip: req.ip });
+  req.log.info({ event: 'tenant_admin', action, tenant_id: req.tenant.id, target_id: targetId });
+}
+
+/**
+ * Shareable join link (INVITE_BASE_URL?code=...), when configured
+ */
+function inviteWithLink(invite) {
+  const base = process.env.INVITE_BASE_URL;
+  return { ...invite, link: base ? `${base}${base.includes('?') ? '&' : '?'}code=${invite.code}` : null };
+}
+
+/**
+ * Middleware: :id must be the caller's tenant; adminOnly also requires role admin
+ * Sets req.tenant
+ */
+function tenantAccess({ adminOnly }) {
+  return (req, res, next) => {
+    const { tenantId, role } = req.principal;
+    const id = req.params.id === 'current' ? tenantId : Number(req.params.id);
+    if (id !== tenantId) {
+      return res.status(404).json({ ok: false, code: 'tenant_not_found' });
+    }
+    if (adminOnly && role !== 'admin') {
+      return res.status(403).json({ ok: false, code: 'forbidden', role });
+    }
+    req.tenant = getTenant(tenantId);
+    next();
+  };
+}
+
+const member = tenantAccess({ adminOnly: false });
+const admin = tenantAccess({ adminOnly: true });
+
+function lastAdmin(res) {
+  return res.status(409).json({ ok: false, code: 'last_admin' });
+}
+
+// ---- Tenants ----
+
+// POST /api/tenants - create a tenant; returns an admin invite for its first member
+router.post('/', (req, res) => {
+  const { role, tenantKind } = req.principal;
+  if (role !== 'admin' || tenantKind !== 'shared') {
+    return res.status(403).json({ ok: false, code: 'forbidden' });
+  }
+
+  const result = tenantSchema.safeParse(req.body);
+  if (!result.success) return invalid(res, result);
+
+  const tenant = createTenant(result.data.name);
+  if (!tenant) return res.status(409).json({ ok: false, code: 'tenant_name_taken' });
+
+  const invite = createInvite(tenant.id, {
+    role: 'admin', maxUses: 1, ttlS: INVITE_TTL_HOURS * 3600, createdBy: req.principal.userId
+  });
+  req.tenant = tenant;
+  record(req, 'tenant.create', 'tenant', tenant.id, { name: tenant.name, created_from_tenant: req.principal.tenantId });
+
+  res.status(201).json({ ok: true, tenant, invite: inviteWithLink(invite) });
+});
+
+// GET /api/tenants/:id - tenant with its users
+router.get('/:id', member, (req, res) => {
+  res.json({ ok: true, tenant: req.tenant, role: req.principal.role, users: listTenantUsers(req.tenant.id) });
+});
+
+// PATCH /api/tenants/:id - rename
+router.patch('/:id', admin, (req, res) => {
+  const result = tenantSchema.safeParse(req.body);
+  if (!result.success) return invalid(res, result);
+
+  const from = req.tenant.name;
+  if (!renameTenant(req.tenant.id, result.data.name)) {
+    return res.status(409).json({ ok: false, code: 'tenant_name_taken' });
+  }
+  record(req, 'tenant.rename', 'tenant', req.tenant.id, { from, to: result.data.name });
+
+  res.json({ ok: true, tenant: getTenant(req.tenant.id) });
+});
+
+// ---- Users ----
+
+// POST /api/tenants/:id/users - add a user, optionally with an initial password
+router.post('/:id/users', admin, async (req, res) => {
+  try {
+    const result = userSchema.safeParse(req.body);
+    if (!result.success) return invalid(res, result);
+
+    const { password, ...fields } = result.data;
+    const problem = password !== undefined && passwordProblem(password);
+    if (problem) return res.status(400).json({ ok: false, code: problem });
+    const hash = password !== undefined ? await hashPassword(password) : null;
+
+    const user = addTenantUser(req.tenant.id, fields);
+    if (!user) return res.status(409).json({ ok: false, code: 'username_taken' });
+    if (hash) setPasswordHash(user.id, hash);
+    record(req, 'user.add', 'user', user.id, { username: user.username, role: user.role, password: !!hash });
+
+    res.status(201).json({ ok: true, user });
+  } catch (error) {
+    req.log.error({ err: error }, 'Add tenant user error');
+    res.status(500).json({ ok: false, code: 'internal_error', message: error.message });
+  }
+});
+
+// PATCH /api/tenants/:id/users/:userId - display name, role, disable/enable
+router.patch('/:id/users/:userId', admin, (req, res) => {
+  const result = userPatchSchema.safeParse(req.body);
+  if (!result.success) return invalid(res, result);
+
+  const userId = Number(req.params.userId);
+  const before = getTenantUser(req.tenant.id, userId);
+  if (!before) return res.status(404).json({ ok: false, code: 'user_not_found' });
+
+  const patch = result.data;
+  const losesAdmin = (patch.role === 'member' && before.role === 'admin') || patch.disabled === true;
+  if (losesAdmin && isLastAdmin(req.tenant.id, userId)) return lastAdmin(res);
+
+  const user = updateTenantUser(req.tenant.id, userId, patch);
+  // Disabled users are signed out everywhere (family sessions stop resolving)
+  if (patch.disabled === true && !before.disabled) revokeOtherJwtSessions(userId);
+
+  if (patch.role !== undefined && patch.role !== before.role) {
+    record(req, 'user.role', 'user', userId, { from: before.role, to: patch.role });
+  }
+  if (patch.disabled !== undefined && patch.disabled !== before.disabled) {
+    record(req, patch.disabled ? 'user.disable' : 'user.enable', 'user', userId);
+  }
+  if (patch.display_name !== undefined && patch.display_name !== before.display_name) {
+    record(req, 'user.rename', 'user', userId, { from: before.display_name, to: patch.display_name });
+  }
+
+  res.json({ ok: true, user });
+});
+
+// DELETE /api/tenants/:id/users/:userId - remove a user and their data
+router.delete('/:id/users/:userId', admin, (req, res) => {
+  const userId = Number(req.params.userId);
+  const user = getTenantUser(req.tenant.id, userId);
+  if (!user) return res.status(404).json({ ok: false, code: 'user_not_found' });
+  if (isLastAdmin(req.tenant.id, userId)) return lastAdmin(res);
+
+  removeTenantUser(req.tenant.id, userId);
+  record(req, 'user.remove', 'user', userId, { username: user.username });
+
+  res.json({ ok: true });
+});
+
+// ---- Invites ----
+
+// POST /api/tenants/:id/invites - issue a join code
+router.post('/:id/invites', admin, (req, res) => {
+  const result = inviteSchema.safeParse(req.body ?? {});
+  if (!result.success) return invalid(res, result);
+
+  const { role, max_uses, ttl_hours } = result.data;
+  const invite = createInvite(req.tenant.id, {
+    role, maxUses: max_uses, ttlS: ttl_hours * 3600, createdBy: req.principal.userId
+  });
+  record(req, 'invite.create', 'invite', invite.code, { role, max_uses, expires_at: invite.expires_at });
+
+  res.status(201).json({ ok: true, invite: inviteWithLink(invite) });
+});
+
+// GET /api/tenants/:id/invites - codes that can still be redeemed
+router.get('/:id/invites', admin, (req, res) => {
+  res.json({ ok: true, invites: listInvites(req.tenant.id).map(inviteWithLink) });
+});
+
+// DELETE /api/tenants/:id/invites/:code - revoke a code
+router.delete('/:id/invites/:code', admin, (req, res) => {
+  if (!revokeInvite(req.tenant.id, req.params.code)) {
+    return res.status(404).json({ ok: false, code: 'invite_not_found' });
+  }
+  record(req, 'invite.revoke', 'invite', req.params.code);
+  res.json({ ok: true });
+});
+
+// ---- Audit ----
+
+// GET /api/tenants/:id/audit?limit=50&before=<id> - newest first
+router.get('/:id/audit', admin, (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const before = Number(req.query.before) || undefined;
+  res.json({ ok: true, entries: listAudit(req.tenant.id, { limit, before }) });
+});
+
+export default router;
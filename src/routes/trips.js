@@ -0,0 +1,471 @@
+// backend/src/routes/trips.js
+// Saved trips: days with ordered stops, each stop can cache its route leg.
+// Trips can be shared inside the tenant (owner/editor/viewer); changes are
+// pushed to open clients over Server-Sent Events (GET /api/trips/:id/events).
+//
+// Concurrent edits: every change bumps trip.version. Clients send the version
+// they edited (body.base_version or If-Match). A stale PATCH gets 409
+// version_conflict; a stale reorder is merged into the current stop list.
+import express from 'express';
+import { z } from 'zod';
+import { principalRequired } from '../ops/identity.js';
+import { computeRoute, importTrack, geoFileBody, MAX_STOPS } from '../../routes/route.js';
+import { MODES } from '../providers/routing/index.js';
+import {
+  ROLE_RANK, getTripAccess, getTrip, listTrips, createTrip, updateTrip, deleteTrip, duplicateTrip,
+  addDay, deleteDay, addStop, updateStop, deleteStop, reorderStops, setDayLegs,
+  listMembers, setMember, removeMember
+} from '../ops/trips-db.js';
+import { publishTripEvent, subscribeTrip } from '../ops/trip-events.js';
+import { EXPORT_FORMATS, sendExport } from '../ops/geo-export.js';
+
+const router = express.Router();
+
+router.use(principalRequired);
+
+// ---- Validation ----
+
+const legSchema = z.object({
+  distance_m: z.number().min(0),
+  duration_s: z.number().min(0),
+  geometry: z.object({
+    type: z.literal('LineString'),
+    coordinates: z.array(z.array(z.number()).min(2)).max(20000)
+  }).optional()
+}).passthrough();
+
+const stopSchema = z.object({
+  place_id: z.string().max(300).optional(),
+  name: z.string().max(200).optional(),
+  lat: z.number().gte(-90).lte(90).optional(),
+  lon: z.number().gte(-180).lte(180).optional(),
+  dwell_min: z.number().int().min(0).max(24 * 60).optional(),
+  notes: z.string().max(2000).optional(),
+  leg: legSchema.nullable().optional()
+}).refine(s => (s.lat === undefined) === (s.lon === undefined), { message: 'lat and lon go together' })
+  .refine(s => s.place_id || s.lat !== undefined, { message: 'place_id or lat/lon required' });
+
+const daySchema = z.object({
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  title: z.string().max(200).optional(),
+  stops: z.array(stopSchema).max(50).optional()
+});
+
+const tripSchema = z.object({
+  title: z.string().min(1).max(200),
+  notes: z.string().max(5000).optional(),
+  start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  days: z.array(daySchema).max(60).optional()
+});
+
+const baseVersion = z.number().int().min(1).optional();
+
+const tripPatchSchema = z.object({
+  base_version: baseVersion,
+  title: z.string().min(1).max(200).optional(),
+  notes: z.string().max(5000).nullable().optional(),
+  start_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).nullable().optional()
+});
+
+const stopPatchSchema = z.object({
+  base_version: baseVersion,
+  place_id: z.string().max(300).nullable().optional(),
+  name: z.string().max(200).nullable().optional(),
+  lat: z.number().gte(-90).lte(90).optional(),
+  lon: z.number().gte(-180).lte(180).optional(),
+  dwell_min: z.number().int().min(0).max(24 * 60).nullable().optional(),
+  notes: z.string().max(2000).nullable().optional(),
+  leg: legSchema.nullable().optional()
+});
+
+const HEARTBEAT_MS = 25_000;
+
+function userOf(req) {
+  return { tenantId: req.user.tenantId, userId: req.user.userId };
+}
+
+function invalid(res, result) {
+  return res.status(400).json({ ok: false, code: 'invalid_request', details: result.error.flatten() });
+}
+
+function notFound(res) {
+  return res.status(404).json({ ok: false, code: 'trip_not_found' });
+}
+
+/**
+ * Middleware: resolve the caller's role on :id and require at least minRole
+ * Sets req.tripAccess = { trip, role }
+ */
+function withAccess(minRole) {
+  return (req, res, next) => {
+    const access = getTripAccess(userOf(req), req.params.id);
+    if (!access) return notFound(res);
+    if (ROLE_RANK[access.role] < ROLE_RANK[minRole]) {
+      return res.status(403).json({ ok: false, code: 'forbidden', role: access.role });
+    }
+    req.tripAccess = access;
+    next();
+  };
+}
+
+/**
+ * Version the client based its edit on (body.base_version or If-Match header)
+ * @returns {number|undefined}
+ */
+function baseVersionOf(req) {
+  if (Number.isInteger(req.body?.base_version)) return req.body.base_version;
+  const m = String(req.headers['if-match'] || '').match(/(\d+)/);
+  return m ? Number(m[1]) : undefined;
+}
+
+function isStale(req) {
+  const base = baseVersionOf(req);
+  return base !== undefined && base !== req.tripAccess.trip.version;
+}
+
+function conflict(res, tripId) {
+  return res.status(409).json({ ok: false, code: 'version_conflict', trip: getTrip(tripId) });
+}
+
+/**
+ * Notify watchers and answer with the fresh trip
+ */
+function changed(req, res, type, extra = {}, status = 200) {
+  const tripId = req.params.id;
+  const trip = getTrip(tripId);
+  publishTripEvent(tripId, { type, version: trip.version, actor: req.user.userId, ...extra });
+  res.status(status).json({ ok: true, ...extra, trip: { ...trip, role: req.tripAccess.role } });
+}
+
+// ---- Trips ----
+
+// GET /api/trips - list trips the caller owns or was shared
+router.get('/', (req, res) => {
+  res.json({ ok: true, trips: listTrips(userOf(req)) });
+});
+
+// POST /api/trips - create a trip (optionally with days and stops)
+router.post('/', (req, res) => {
+  const v = tripSchema.safeParse(req.body || {});
+  if (!v.success) return invalid(res, v);
+
+  const user = userOf(req);
+  const id = createTrip(user, v.data);
+  req.log.info({ event: 'trip_create', trip_id: id, user_id: user.userId });
+  res.status(201).json({ ok: true, trip: { ...getTrip(id), role: 'owner' } });
+});
+
+// POST /api/trips/import?title=...&mode=walk - new trip with one day from a GPX/KML file
+// Stops are the file's candidate stops, with the imported legs cached on them
+router.post('/import', geoFileBody, async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ ok: false, code: 'file_required' });
+    }
+    const v = z.object({
+      title: z.string().min(1).max(200).optional(),
+      mode: z.enum(Object.keys(MODES)).default('drive')
+    }).safeParse(req.query);
+    if (!v.success) return invalid(res, v);
+
+    const out = await importTrack(req.body, { mode: v.data.mode, log: req.log });
+    if (!out.ok) return res.status(out.status).json(out.body);
+
+    const { source, stops, route } = out.body;
+    const user = userOf(req);
+    const id = createTrip(user, {
+      title: v.data.title || source.name || 'Imported trip',
+      days: [{
+        stops: stops.map((s, i) => ({
+          name: s.name ?? undefined,
+          lat: s.lat,
+          lon: s.lon,
+          leg: i > 0 ? route.legs[i - 1] : undefined
+        }))
+      }]
+    });
+    req.log.info({ event: 'trip_import', trip_id: id, user_id: user.userId, stops: stops.length });
+    res.status(201).json({ ...out.body, trip: { ...getTrip(id), role: 'owner' } });
+  } catch (error) {
+    req.log.error({ err: error }, 'Trip import error');
+    res.status(500).json({ ok: false, code: 'internal_error', message: error.message });
+  }
+});
+
+// GET /api/trips/:id - full trip
+router.get('/:id', withAccess('viewer'), (req, res) => {
+  res.json({ ok: true, trip: { ...getTrip(req.params.id), role: req.tripAccess.role } });
+});
+
+// PATCH /api/trips/:id - update title/notes/start_date
+router.patch('/:id', withAccess('editor'), (req, res) => {
+  const v = tripPatchSchema.safeParse(req.body || {});
+  if (!v.success) return invalid(res, v);
+  if (isStale(req)) return conflict(res, req.params.id);
+
+  updateTrip(req.params.id, v.data);
+  changed(req, res, 'trip.updated');
+});
+
+// DELETE /api/trips/:id - owner only
+router.delete('/:id', withAccess('owner'), (req, res) => {
+  deleteTrip(req.params.id);
+  publishTripEvent(req.params.id, { type: 'trip.deleted', actor: req.user.userId });
+  req.log.info({ event: 'trip_delete', trip_id: req.params.id });
+  res.json({ ok: true });
+});
+
+// POST /api/trips/:id/duplicate - copy into a new trip owned by the caller
+router.post('/:id/duplicate', withAccess('viewer'), (req, res) => {
+  const title = typeof req.body?.title === 'string' ? req.body.title.trim().slice(0, 200) : '';
+  const id = duplicateTrip(userOf(req), req.params.id, title);
+  req.log.info({ event: 'trip_duplicate', trip_id: req.params.id, new_trip_id: id });
+  res.status(201).json({ ok: true, trip: { ...getTrip(id), role: 'owner' } });
+});
+
+// ---- Days ----
+
+// POST /api/trips/:id/days - append a day
+router.post('/:id/days', withAccess('editor'), (req, res) => {
+  const v = daySchema.safeParse(req.body || {});
+  if (!v.success) return invalid(res, v);
+
+  const { id } = addDay(req.params.id, v.data);
+  changed(req, res, 'day.added', { day_id: id }, 201);
+});
+
+// DELETE /api/trips/:id/days/:dayId
+router.delete('/:id/days/:dayId', withAccess('editor'), (req, res) => {
+  if (deleteDay(req.params.id, req.params.dayId) === null) {
+    return res.status(404).json({ ok: false, code: 'day_not_found' });
+  }
+  changed(req, res, 'day.deleted', { day_id: req.params.dayId });
+});
+
+// ---- Stops ----
+
+// POST /api/trips/:id/days/:dayId/stops - add a stop ({ ...stop, position? })
+router.post('/:id/days/:dayId/stops', withAccess('editor'), (req, res) => {
+  const v = stopSchema.safeParse(req.body || {});
+  if (!v.success) return invalid(res, v);
+  const position = Number.isInteger(req.body?.position) ? req.body.position : undefined;
+
+  const added = addStop(req.params.id, req.params.dayId, v.data, position);
+  if (!added) return res.status(404).json({ ok: false, code: 'day_not_found' });
+  changed(req, res, 'stop.added', { day_id: req.params.dayId, stop_id: added.id }, 201);
+});
+
+// PUT /api/trips/:id/days/:dayId/order - reorder stops ({ stopIds, base_version? })
+router.put('/:id/days/:dayId/order', withAccess('editor'), (req, res) => {
+  const v = z.object({ stopIds: z.array(z.string()).max(50), base_version: baseVersion }).safeParse(req.body || {});
+  if (!v.success) return invalid(res, v);
+
+  // A stale list is merged instead of rejected so two reorders both land
+  const r = reorderStops(req.params.id, req.params.dayId, v.data.stopIds, { merge: isStale(req) });
+  if (r.status === 'not_found') return res.status(404).json({ ok: false, code: 'day_not_found' });
+  if (r.status === 'mismatch') {
+    return res.status(409).json({
+      ok: false,
+      code: 'stop_list_mismatch',
+      message: 'stopIds must list every stop of the day exactly once',
+      trip: getTrip(req.params.id)
+    });
+  }
+  changed(req, res, 'stops.reordered', { day_id: req.params.dayId, merged: r.status === 'merged' });
+});
+
+// PATCH /api/trips/:id/stops/:stopId
+router.patch('/:id/stops/:stopId', withAccess('editor'), (req, res) => {
+  const v = stopPatchSchema.safeParse(req.body || {});
+  if (!v.success) return invalid(res, v);
+  if (isStale(req)) return conflict(res, req.params.id);
+
+  if (updateStop(req.params.id, req.params.stopId, v.data) === null) {
+    return res.status(404).json({ ok: false, code: 'stop_not_found' });
+  }
+  changed(req, res, 'stop.updated', { stop_id: req.params.stopId });
+});
+
+// DELETE /api/trips/:id/stops/:stopId
+router.delete('/:id/stops/:stopId', withAccess('editor'), (req, res) => {
+  if (deleteStop(req.params.id, req.params.stopId) === null) {
+    return res.status(404).json({ ok: false, code: 'stop_not_found' });
+  }
+  changed(req, res, 'stop.deleted', { stop_id: req.params.stopId });
+});
+
+// POST /api/trips/:id/days/:dayId/route - route the day and cache legs on its stops
+router.post('/:id/days/:dayId/route', withAccess('editor'), async (req, res) => {
+  try {
+    const trip = getTrip(req.params.id);
+    const day = trip.days.find(d => d.id === req.params.dayId);
+    if (!day) return res.status(404).json({ ok: false, code: 'day_not_found' });
+
+    if (day.stops.length < 2) {
+      return res.status(422).json({ ok: false, code: 'not_enough_stops' });
+    }
+    if (day.stops.length > MAX_STOPS) {
+      return res.status(422).json({ ok: false, code: 'too_many_stops', max: MAX_STOPS });
+    }
+    if (day.stops.some(s => s.lat === null || s.lon === null)) {
+      return res.status(422).json({ ok: false, code: 'stop_without_location' });
+    }
+
+    const avoid = Array.isArray(req.body?.constraints?.avoid) ? req.body.constraints.avoid : [];
+    const out = await computeRoute(day.stops.map(s => ({ lat: s.lat, lon: s.lon })), { avoid, log: req.log });
+    if (!out.ok) return res.status(out.status).json(out.body);
+
+    // Another member may have edited the trip while the route was computed
+    if (setDayLegs(trip.id, day.id, day.stops.map(s => s.id), out.payload.legs, trip.version) === null) {
+      return conflict(res, trip.id);
+    }
+
+    changed(req, res, 'day.routed', { day_id: day.id, route: out.payload });
+  } catch (error) {
+    req.log.error({ err: error }, 'Trip route error');
+    res.status(500).json({ ok: false, code: 'internal_error', message: error.message });
+  }
+});
+
+// ---- Export ----
+
+/**
+ * Track for a day: its cached legs joined, or a fresh (unsaved) route when a
+ * leg is missing. null when the day can't be routed.
+ */
+async function dayTrack(day, log) {
+  const located = day.stops.filter(s => s.lat !== null && s.lon !== null);
+  if (located.length < 2) return null;
+
+  const legs = day.stops.slice(1).map(s => s.leg?.geometry?.coordinates);
+  if (located.length === day.stops.length && legs.every(c => c?.length)) {
+    return legs.flatMap((coords, i) => (i === 0 ? coords : coords.slice(1)));
+  }
+
+  const out = await computeRoute(located.map(s => ({ lat: s.lat, lon: s.lon })), { log });
+  return out.ok ? out.payload.geometry.features[0].geometry.coordinates : null;
+}
+
+// GET /api/trips/:id/export?format=gpx|kml|geojson&day=<dayId> - download the trip (or one day)
+router.get('/:id/export', withAccess('viewer'), async (req, res) => {
+  try {
+    const format = req.query.format || 'gpx';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ ok: false, code: 'invalid_format', formats: EXPORT_FORMATS });
+    }
+
+    const trip = getTrip(req.params.id);
+    const days = req.query.day ? trip.days.filter(d => d.id === req.query.day) : trip.days;
+    if (req.query.day && !days.length) return res.status(404).json({ ok: false, code: 'day_not_found' });
+
+    const sections = [];
+    for (const day of days) {
+      const n = trip.days.indexOf(day) + 1;
+      sections.push({
+        name: [`Day ${n}`, day.date, day.title].filter(Boolean).join(' · '),
+        track: await dayTrack(day, req.log),
+        stops: day.stops.filter(s => s.lat !== null && s.lon !== null).map(s => ({
+          lat: s.lat,
+          lon: s.lon,
+          name: s.name,
+          notes: s.notes,
+          properties: { id: s.id, day_id: day.id, place_id: s.place_id, dwell_min: s.dwell_min }
+        })),
+        properties: { day_id: day.id, day: n, date: day.date, title: day.title }
+      });
+    }
+
+    req.log.info({ event: 'trip_export', trip_id: trip.id, format, days: sections.length });
+    sendExport(res, format, { name: trip.title, sections });
+  } catch (error) {
+    req.log.error({ err: error }, 'Trip export error');
+    res.status(500).json({ ok: false, code: 'internal_error', message: error.message });
+  }
+});
+
+// ---- Sharing ----
+
+// GET /api/trips/:id/members
+router.get('/:id/members', withAccess('viewer'), (req, res) => {
+  res.json({ ok: true, members: listMembers(req.params.id) });
+});
+
+// PUT /api/trips/:id/members/:userId - share with a user of the same tenant ({ role })
+router.put('/:id/members/:userId', withAccess('owner'), (req, res) => {
+  const v = z.object({ role: z.enum(['editor', 'viewer']) }).safeParse(req.body || {});
+  if (!v.success) return invalid(res, v);
+  const userId = parseInt(req.params.userId, 10);
+
+  const r = setMember(req.params.id, userId, v.data.role, req.user.userId);
+  if (r === 'user_not_found') return res.status(404).json({ ok: false, code: 'user_not_found' });
+  if (r === 'is_owner') return res.status(400).json({ ok: false, code: 'is_owner' });
+
+  publishTripEvent(req.params.id, { type: 'member.updated', user_id: userId, role: v.data.role, actor: req.user.userId });
+  res.json({ ok: true, members: listMembers(req.params.id) });
+});
+
+// DELETE /api/trips/:id/members/:userId - owner removes anyone, members can leave
+router.delete('/:id/members/:userId', withAccess('viewer'), (req, res) => {
+  const userId = parseInt(req.params.userId, 10);
+  if (req.tripAccess.role !== 'owner' && userId !== req.user.userId) {
+    return res.status(403).json({ ok: false, code: 'forbidden', role: req.tripAccess.role });
+  }
+  if (!removeMember(req.params.id, userId)) {
+    return res.status(404).json({ ok: false, code: 'member_not_found' });
+  }
+
+  publishTripEvent(req.params.id, { type: 'member.removed', user_id: userId, actor: req.user.userId });
+  res.json({ ok: true, members: listMembers(req.params.id) });
+});
+
+// ---- Live updates ----
+
+// GET /api/trips/:id/events - Server-Sent Events stream of trip changes
+router.get('/:id/events', withAccess('viewer'), (req, res) => {
+  const tripId = req.params.id;
+  const user = userOf(req);
+
+  res.writeHead(200, {
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    'connection': 'keep-alive',
+    'x-accel-buffering': 'no'
+  });
+
+  const send = (type, data, id) => {
+    res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const snapshot = getTrip(tripId);
+  send('snapshot', { trip: { ...snapshot, role: req.tripAccess.role } }, snapshot.version);
+
+  const stop = () => {
+    clearInterval(hb);
+    unsubscribe();
+    res.end();
+  };
+
+  const unsubscribe = subscribeTrip(tripId, (event) => {
+    if (event.type === 'trip.deleted') {
+      send(event.type, event);
+      return stop();
+    }
+
+    // Re-check access so removed members stop receiving updates
+    const access = getTripAccess(user, tripId);
+    if (!access) {
+      send('access.revoked', { trip_id: tripId });
+      return stop();
+    }
+    send(event.type, { ...event, trip: { ...getTrip(tripId), role: access.role } }, event.version);
+  });
+
+  const hb = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(hb);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,112 @@
+// Circuit breaker state machine (ops/breaker.js) on a mocked clock
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { canRequest, record, isProviderFailure, snapshotBreakers } from '../ops/breaker.js';
+
+// Breakers are per process: each test uses its own name and settings
+Object.assign(process.env, {
+  BREAKER_MIN_REQUESTS: '2',
+  BREAKER_FAILURE_RATE: '0.5',
+  BREAKER_COOLDOWN_MS: '1000',
+  BREAKER_MAX_COOLDOWN_MS: '4000',
+  BREAKER_HALF_OPEN_MAX: '1',
+  BREAKER_HALF_OPEN_SUCCESSES: '2',
+  BREAKER_WINDOW_T_WINDOW_MS: '1000',
+  BREAKER_WINDOW_T_MIN_REQUESTS: '3'
+});
+
+const state = name => snapshotBreakers()[name].state;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  mock.method(console, 'warn', () => {});
+});
+afterEach(() => mock.reset());
+
+function openBreaker(name) {
+  for (let i = 0; i < 2; i++) {
+    assert.equal(canRequest(name), true);
+    record(name, false);
+  }
+  assert.equal(state(name), 'open');
+}
+
+test('open -> half-open after the cool-down -> closed after enough trial successes', () => {
+  openBreaker('cycle');
+  assert.equal(canRequest('cycle'), false);
+
+  mock.timers.tick(999);
+  assert.equal(canRequest('cycle'), false);
+  mock.timers.tick(1);
+  assert.equal(canRequest('cycle'), true);
+  assert.equal(state('cycle'), 'half_open');
+  // HALF_OPEN_MAX concurrent trials
+  assert.equal(canRequest('cycle'), false);
+
+  record('cycle', true);
+  assert.equal(state('cycle'), 'half_open');
+  assert.equal(canRequest('cycle'), true);
+  record('cycle', true);
+  assert.equal(state('cycle'), 'closed');
+
+  // Closed with a fresh window: one failure is under MIN_REQUESTS
+  assert.equal(canRequest('cycle'), true);
+  record('cycle', false);
+  assert.equal(state('cycle'), 'closed');
+  assert.deepEqual(snapshotBreakers().cycle.transitions.map(t => t.to), ['open', 'half_open', 'closed']);
+});
+
+test('a failed trial releases its slot and reopens with a doubled cool-down', () => {
+  openBreaker('trial');
+
+  mock.timers.tick(1000);
+  assert.equal(canRequest('trial'), true);
+  record('trial', false);
+  assert.equal(state('trial'), 'open');
+
+  mock.timers.tick(1999);
+  assert.equal(canRequest('trial'), false);
+  mock.timers.tick(1);
+  // The slot taken by the failed trial is free again
+  assert.equal(canRequest('trial'), true);
+  record('trial', false);
+
+  // Backoff stops at MAX_COOLDOWN_MS
+  mock.timers.tick(4000);
+  assert.equal(canRequest('trial'), true);
+  record('trial', false);
+  mock.timers.tick(4000);
+  assert.equal(canRequest('trial'), true);
+  assert.equal(snapshotBreakers().trial.opens, 4);
+});
+
+test('failures older than the window do not count', () => {
+  const name = 'window_t';
+  record(name, false);
+  record(name, false);
+  mock.timers.tick(1001);
+  record(name, false);
+  assert.equal(state(name), 'closed');
+  assert.equal(snapshotBreakers()[name].requests, 1);
+
+  record(name, true);
+  record(name, false);
+  assert.equal(state(name), 'open');
+});
+
+test('late results of calls started before opening are ignored', () => {
+  openBreaker('late');
+  record('late', true);
+  assert.equal(state('late'), 'open');
+  assert.equal(snapshotBreakers().late.requests, 2);
+});
+
+test('only provider health counts as failure', () => {
+  assert.equal(isProviderFailure({ ok: true }), false);
+  assert.equal(isProviderFailure({ ok: false, error: 'timeout' }), true);
+  assert.equal(isProviderFailure({ ok: false, error: 'network' }), true);
+  assert.equal(isProviderFailure({ ok: false, status: 503 }), true);
+  assert.equal(isProviderFailure({ ok: false, status: 429 }), true);
+  assert.equal(isProviderFailure({ ok: false, status: 400 }), false);
+  assert.equal(isProviderFailure({ ok: false, error: 'no_route' }), false);
+});
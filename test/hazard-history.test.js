@@ -0,0 +1,100 @@
+// Hazard history merging and ending (src/ops/hazard-history.js) on an in-memory database
+import { test, mock, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_PATH = ':memory:';
+const { migrate } = await import('../db.js');
+const { migrate: familyMigrate } = await import('../src/ops/db-migrate.js');
+const { recordHazards, getHazard } = await import('../src/ops/hazard-history.js');
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  migrate();
+  familyMigrate();
+  mock.restoreAll();
+});
+
+const T0 = 1_800_000_000;
+
+// Square of side 2*r degrees around lon,lat
+function square(lon, lat, r = 0.01) {
+  return {
+    type: 'Polygon',
+    coordinates: [[[lon - r, lat - r], [lon + r, lat - r], [lon + r, lat + r], [lon - r, lat + r], [lon - r, lat - r]]]
+  };
+}
+
+const alert = (id, props = {}, geometry = square(34.8, 32.1)) => ({
+  type: 'Feature',
+  geometry,
+  properties: { kind: 'weather', source: 'test', id, title: 'Flood', event: 'Flood', severity: 'moderate', ...props }
+});
+
+const props = id => getHazard(id).properties;
+
+test('a report keeps its hazard id across reads', () => {
+  const [id] = recordHazards('weather', [alert('keep-1', { event: 'Keep' })], T0);
+  assert.match(id, /^hz_/);
+  assert.deepEqual(recordHazards('weather', [alert('keep-1', { event: 'Keep' })], T0 + 60), [id]);
+
+  const p = props(id);
+  assert.equal(p.reports, 1);
+  assert.equal(p.first_seen, new Date(T0 * 1000).toISOString());
+  assert.equal(p.last_seen, new Date((T0 + 60) * 1000).toISOString());
+  assert.equal(p.ended, null);
+});
+
+test('overlapping reports of the same event merge: highest severity, union bbox', () => {
+  const a = alert('merge-a', { event: 'Storm', severity: 'Moderate', expires: '2027-01-15T10:00:00Z' }, square(35, 31));
+  const b = alert('merge-b', { event: 'Storm', severity: 'Severe', expires: '2027-01-15T12:00:00Z' }, square(35.015, 31));
+  const [ia, ib] = recordHazards('weather', [a, b], T0);
+  assert.equal(ia, ib);
+
+  const h = getHazard(ia);
+  assert.equal(h.properties.reports, 2);
+  assert.equal(h.properties.severity, 'severe');
+  assert.equal(h.properties.peak_severity, 'severe');
+  assert.equal(h.properties.expires, '2027-01-15T12:00:00.000Z');
+  assert.deepEqual(h.geometry, b.geometry);
+
+  // Another event at the same place, or the same event far away, is its own hazard
+  const other = alert('merge-c', { event: 'Heat' }, square(35, 31));
+  const far = alert('merge-d', { event: 'Storm' }, square(35.5, 31));
+  const ids = recordHazards('weather', [a, b, other, far], T0 + 60);
+  assert.equal(new Set(ids).size, 3);
+  assert.equal(ids[0], ia);
+});
+
+test('hazards missing from a read end, and come back under the same id', () => {
+  const [id] = recordHazards('weather', [alert('end-1', { event: 'Fog' })], T0);
+  recordHazards('weather', [], T0 + 60);
+  assert.equal(props(id).ended, new Date((T0 + 60) * 1000).toISOString());
+
+  assert.deepEqual(recordHazards('weather', [alert('end-1', { event: 'Fog' })], T0 + 120), [id]);
+  assert.equal(props(id).ended, null);
+
+  // A read of another kind does not end it
+  recordHazards('traffic', [], T0 + 180);
+  assert.equal(props(id).ended, null);
+});
+
+test('severity changes are logged and the peak is kept', () => {
+  const read = (severity, t) => recordHazards('weather', [alert('sev-1', { event: 'Wind', severity })], t)[0];
+  const id = read('Moderate', T0);
+  read('Severe', T0 + 60);
+  read('Severe', T0 + 120);
+  read('Minor', T0 + 180);
+
+  const p = props(id);
+  assert.equal(p.severity, 'minor');
+  assert.equal(p.peak_severity, 'severe');
+  assert.deepEqual(p.severity_changes.map(c => c.severity), ['moderate', 'severe', 'minor']);
+});
+
+test('hazards not seen for HAZ_HISTORY_DAYS are deleted', () => {
+  const [id] = recordHazards('weather', [alert('old-1', { event: 'Dust' })], T0);
+  recordHazards('weather', [], T0 + 90 * 86400);
+  assert.ok(getHazard(id));
+  recordHazards('weather', [], T0 + 90 * 86400 + 1);
+  assert.equal(getHazard(id), null);
+});
@@ -0,0 +1,65 @@
+// Stop reordering and stale-reorder merging (src/ops/trips-db.js) on an in-memory database
+import { test, mock, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_PATH = ':memory:';
+const { default: db, migrate } = await import('../db.js');
+const { migrate: familyMigrate } = await import('../src/ops/db-migrate.js');
+const { createTrip, getTrip, addStop, deleteStop, reorderStops } = await import('../src/ops/trips-db.js');
+
+let user;
+before(() => {
+  mock.method(console, 'log', () => {});
+  migrate();
+  familyMigrate();
+  mock.restoreAll();
+  const row = db.prepare("SELECT id, tenant_id FROM users WHERE username = 'gal'").get();
+  user = { userId: row.id, tenantId: row.tenant_id };
+});
+
+// A trip with one day of stops named by letters; returns helpers by name
+function dayOf(names) {
+  const tripId = createTrip(user, { title: 't', days: [{ stops: names.map(name => ({ name })) }] });
+  const day = () => getTrip(tripId).days[0];
+  const idOf = name => day().stops.find(s => s.name === name).id;
+  const order = () => day().stops.map(s => s.name).join('');
+  return { tripId, dayId: day().id, idOf, order };
+}
+
+test('a full stop list is applied as is', () => {
+  const d = dayOf(['a', 'b', 'c']);
+  const r = reorderStops(d.tripId, d.dayId, ['c', 'a', 'b'].map(d.idOf));
+  assert.equal(r.status, 'ok');
+  assert.equal(d.order(), 'cab');
+  assert.equal(r.version, getTrip(d.tripId).version);
+});
+
+test('a stale list is refused without merge', () => {
+  const d = dayOf(['a', 'b', 'c']);
+  const stale = ['c', 'b'].map(d.idOf);
+  assert.equal(reorderStops(d.tripId, d.dayId, stale).status, 'mismatch');
+  assert.equal(reorderStops(d.tripId, d.dayId, [...stale, d.idOf('a'), d.idOf('a')]).status, 'mismatch');
+  assert.equal(d.order(), 'abc');
+  assert.equal(reorderStops(d.tripId, 'nope', stale, { merge: true }).status, 'not_found');
+});
+
+test('merge: stops added meanwhile stay after the stop they followed', () => {
+  const d = dayOf(['a', 'b', 'c']);
+  const requested = ['c', 'b', 'a'].map(d.idOf);
+  addStop(d.tripId, d.dayId, { name: 'x' }, 2); // a b x c
+  addStop(d.tripId, d.dayId, { name: 'y' }, 0); // y a b x c
+
+  const r = reorderStops(d.tripId, d.dayId, requested, { merge: true });
+  assert.equal(r.status, 'merged');
+  // y had nothing before it: first; x followed b
+  assert.equal(d.order(), 'ycbxa');
+});
+
+test('merge: stops deleted meanwhile are dropped, duplicates counted once', () => {
+  const d = dayOf(['a', 'b', 'c', 'd']);
+  const requested = ['d', 'b', 'b', 'c', 'a'].map(d.idOf);
+  deleteStop(d.tripId, d.idOf('b'));
+
+  assert.equal(reorderStops(d.tripId, d.dayId, requested, { merge: true }).status, 'merged');
+  assert.equal(d.order(), 'dca');
+});
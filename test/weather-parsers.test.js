@@ -0,0 +1,145 @@
+// Weather alert parsers (src/providers/weather) against sample feeds in fixtures/weather
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { alertParser } from '../src/providers/weather/index.js';
+import { parseCap } from '../src/providers/weather/cap.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/weather/${name}`, import.meta.url), 'utf8');
+
+test('CAP: one feature per <info> block with CAP values and ISO times', () => {
+  const r = parseCap(fixture('cap-alert.xml'));
+  assert.equal(r.ok, true);
+  assert.equal(r.features.length, 2);
+
+  const [he, en] = r.features.map(f => f.properties);
+  assert.equal(he.id, 'RW-2026-0042#0');
+  assert.equal(en.id, 'RW-2026-0042#1');
+  assert.equal(en.event, 'Flash Flood');
+  assert.equal(en.title, 'Flash flood in Nahal Zin');
+  assert.equal(en.level, 'Extreme');
+  assert.equal(en.severity, 'severe');
+  assert.equal(en.urgency, 'Immediate');
+  assert.equal(en.certainty, 'Observed');
+  assert.equal(en.onset, '2026-01-14T04:30:00.000Z');
+  assert.equal(en.expires, '2026-01-14T16:00:00.000Z');
+  assert.equal(en.area, 'Nahal Zin; Ein Avdat');
+  assert.equal(en.source, 'cap');
+  assert.equal(he.title, 'שיטפון בנחל צין');
+});
+
+test('CAP: lang keeps the matching <info> block only', () => {
+  const en = parseCap(fixture('cap-alert.xml'), { lang: 'en' });
+  assert.equal(en.features.length, 1);
+  assert.equal(en.features[0].properties.id, 'RW-2026-0042');
+  assert.equal(en.features[0].properties.event, 'Flash Flood');
+
+  const he = parseCap(fixture('cap-alert.xml'), { lang: 'he' });
+  assert.equal(he.features.length, 1);
+  assert.equal(he.features[0].properties.event, 'שיטפון');
+
+  // No block in the language: all of them
+  assert.equal(parseCap(fixture('cap-alert.xml'), { lang: 'ar' }).features.length, 2);
+});
+
+test('CAP: polygon and circle areas become a MultiPolygon of closed [lon, lat] rings', () => {
+  const { geometry } = parseCap(fixture('cap-alert.xml'), { lang: 'en' }).features[0];
+  assert.equal(geometry.type, 'MultiPolygon');
+  assert.equal(geometry.coordinates.length, 2);
+
+  const [[polygon], [circle]] = geometry.coordinates;
+  assert.deepEqual(polygon[0], [34.75, 30.8]);
+  assert.deepEqual(polygon[2], [34.9, 30.9]);
+  assert.deepEqual(polygon[0], polygon[polygon.length - 1]);
+
+  // 2 km around 30.82,34.77
+  assert.deepEqual(circle[0], circle[circle.length - 1]);
+  for (const [lon, lat] of circle) {
+    const dy = (lat - 30.82) * 111.32;
+    const dx = (lon - 34.77) * 111.32 * Math.cos((30.82 * Math.PI) / 180);
+    assert.ok(Math.abs(Math.hypot(dx, dy) - 2) < 0.01);
+  }
+});
+
+test('CAP: Cancel and Test messages are not hazards', () => {
+  assert.deepEqual(parseCap(fixture('cap-cancel.xml')), { ok: true, features: [] });
+  assert.deepEqual(parseCap(fixture('cap-test.xml')), { ok: true, features: [] });
+});
+
+test('CAP: malformed XML and non-CAP documents are invalid feeds', () => {
+  assert.deepEqual(parseCap(fixture('cap-malformed.xml')), { ok: false, error: 'invalid_feed', detail: 'invalid XML' });
+  assert.equal(parseCap('<rss><channel/></rss>').error, 'invalid_feed');
+  assert.equal(parseCap('').ok, false);
+});
+
+test('IMS: one warning per alert in IMS_LANG (default he), effective as onset', () => {
+  const r = alertParser('ims').parse(fixture('ims-warnings.xml'));
+  assert.equal(r.ok, true);
+  assert.equal(r.features.length, 1);
+
+  const f = r.features[0];
+  assert.equal(f.properties.id, 'IMS-2026-117');
+  assert.equal(f.properties.event, 'עומס חום כבד');
+  assert.equal(f.properties.severity, 'severe');
+  assert.equal(f.properties.urgency, 'Expected');
+  assert.equal(f.properties.certainty, 'Likely');
+  assert.equal(f.properties.onset, '2026-07-03T06:00:00.000Z');
+  assert.equal(f.properties.expires, '2026-07-03T16:00:00.000Z');
+  assert.equal(f.properties.source, 'ims');
+  // Open ring in the feed is closed
+  assert.equal(f.geometry.type, 'Polygon');
+  assert.equal(f.geometry.coordinates[0].length, 5);
+  assert.deepEqual(f.geometry.coordinates[0][0], [35.35, 31.2]);
+
+  assert.equal(alertParser('ims').parse(fixture('cap-malformed.xml')).ok, false);
+});
+
+test('NWS: alert properties, ends over expires, zone alerts without geometry', () => {
+  const r = alertParser('nws').parse(fixture('nws-alerts.json'));
+  assert.equal(r.ok, true);
+  assert.equal(r.features.length, 2);
+
+  const [heat, wind] = r.features;
+  assert.equal(heat.properties.id, 'urn:oid:2.49.0.1.840.0.aa11');
+  assert.equal(heat.properties.severity, 'severe');
+  assert.equal(heat.properties.level, 'Extreme');
+  assert.equal(heat.properties.urgency, 'Expected');
+  assert.equal(heat.properties.certainty, 'Likely');
+  assert.equal(heat.properties.onset, '2026-07-02T18:00:00.000Z');
+  assert.equal(heat.properties.expires, '2026-07-04T03:00:00.000Z');
+  assert.equal(heat.properties.area, 'Maricopa, AZ');
+  assert.equal(heat.geometry.type, 'Polygon');
+
+  assert.equal(wind.geometry, null);
+  assert.equal(wind.properties.severity, 'moderate');
+  assert.equal(wind.properties.urgency, 'Future');
+  assert.equal(wind.properties.certainty, 'Possible');
+  assert.equal(wind.properties.title, 'Wind Advisory');
+  assert.equal(wind.properties.onset, '2026-07-02T16:00:00.000Z');
+  assert.equal(wind.properties.expires, '2026-07-03T01:00:00.000Z');
+
+  assert.equal(alertParser('nws').parse('{"type":"Feature"}').error, 'invalid_feed');
+});
+
+test('GeoJSON: severity guessed from text, CAP values normalized', () => {
+  const r = alertParser('geojson').parse(fixture('geojson-alerts.json'));
+  assert.equal(r.ok, true);
+
+  const [storm, fog] = r.features.map(f => f.properties);
+  assert.equal(storm.id, 'feed-7');
+  assert.equal(storm.severity, 'severe');
+  assert.equal(storm.level, 'Severe');
+  assert.equal(storm.urgency, 'Immediate');
+  assert.equal(storm.certainty, 'Likely');
+  assert.equal(storm.onset, '2026-01-10T12:00:00.000Z');
+  assert.equal(storm.expires, '2026-01-10T15:00:00.000Z');
+  assert.equal(storm.area, 'Tel Aviv');
+  assert.deepEqual(r.features[0].geometry, { type: 'Point', coordinates: [34.78, 32.08] });
+
+  assert.equal(fog.severity, 'minor');
+  assert.equal(fog.urgency, 'Unknown');
+  assert.equal(fog.onset, null);
+  assert.equal(fog.title, 'Fog');
+
+  assert.equal(alertParser('geojson').parse('not json').ok, false);
+});